@@ -1,64 +1,204 @@
 // background.js
-// Listens for meeting detection and opens recorder window
+// Listens for meeting detection, opens recorder window and owns the
+// offscreen document that does the actual recording
 
-let recorderWindowId = null;
+importScripts(
+    '/src/domain/meetingRules.js',
+    '/src/domain/meetingDomains.js',
+    '/src/infrastructure/storage/recordingStore.js',
+    '/src/infrastructure/storage/meetingRulesStore.js'
+);
 
-// Listen for messages from content script
+const OFFSCREEN_PATH = 'src/application/offscreen/offscreen.html';
+const CUSTOM_DOMAINS_SCRIPT_ID = 'custom-meeting-domains';
+
+// Recorder window commands relayed unchanged to the offscreen document
+const RECORDER_COMMANDS = [
+    'stopRecording',
+    'pauseRecording',
+    'resumeRecording',
+    'addMarker',
+    'setChannelGain',
+    'setChannelMute',
+    'setCameraOverlay',
+    'setLimits',
+    'getRecorderStatus'
+];
+
+// Display names for meeting platforms in notifications
+const MEETING_NAMES = {
+    'google-meet': 'Google Meet',
+    'zoom': 'Zoom',
+    'teams': 'Microsoft Teams',
+    'webex': 'Webex',
+    'jitsi': 'Jitsi Meet',
+    'whereby': 'Whereby'
+};
+
+let recorderWindowId = null;        // Open recorder window; mirrored in session storage
+let recorderActive = false;         // Engine is recording, paused or saving; mirrored too
+let recorderStateKnown = false;     // A status arrived since this worker started
+let recorderError = null;           // Last recorder error, shown until the next recording
+let actionOpensRecorder = null;     // Icon click focuses the recorder instead of the popup
+let indicatorKey = '';              // Last badge and tooltip drawn
+let creatingOffscreen = null;
+let meetingEndTimerId = null;
+let meetingEndSessionId = null;
+let customScriptSync = Promise.resolve();
+
+// Listen for messages from content script, recorder window and offscreen document
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'meetingDetected') {
         console.log('Meeting detected:', message.meetingType, 'on tab', sender.tab.id);
 
-        // Open recorder window if not already open
-        openRecorderWindow(message.meetingType);
+        handleMeetingDetected(message, sender.tab.id);
+        return;
+    }
+
+    if (message.action === 'meetingEnded') {
+        console.log('Meeting ended:', message.sessionId, message.reason);
+        handleMeetingEnded(message.sessionId);
+        disarmMeetingOnTab(sender.tab.id);
+        return;
+    }
+
+    if (message.action === 'recorderStatus') {
+        updateToolbarIndicator(message.status);
+        return;
+    }
+
+    if (message.target !== 'background') return;
+
+    if (message.action === 'autoStartFailed') {
+        reportAutoStartFailure(message.meetingType, message.reason);
+        return;
+    }
+
+    if (message.action === 'getTabGrant') {
+        hasTabGrant(message.tabId).then(granted => sendResponse({ granted }));
+        return true;
+    }
+
+    if (message.action === 'armMeeting') {
+        armMeetingRecording(message.tabId, message.meetingType, message.meetingId).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (message.action === 'actionPopupOpened') {
+        handleActionPopupOpened().then(opened => sendResponse({ recorderOpened: opened }));
+        return true;
+    }
+
+    if (message.action === 'openRecorder') {
+        openRecorderWindow('manual', null, { autostart: message.autostart });
+        sendResponse({ ok: true });
+        return;
+    }
+
+    if (message.action === 'startRecording') {
+        startOffscreenRecording(message.options).then(sendResponse);
+        return true;  // Keep channel open for async response
+    }
+
+    if (RECORDER_COMMANDS.includes(message.action)) {
+        relayToOffscreen(message).then(sendResponse);
+        return true;
+    }
+
+    if (message.action === 'recordingFinished') {
+        handleRecordingFinished(message.recordingId);
     }
 });
 
-// Inject content script into Zoom tabs when they load
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status === 'complete' && tab.url && tab.url.includes('zoom.us')) {
-        console.log('Zoom tab detected:', tab.url);
-
-        // Check if script is already injected
-        chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            func: () => window.meetingDetectionLoaded
-        }).then(results => {
-            if (!results || !results[0] || !results[0].result) {
-                // Script not loaded, inject it
-                chrome.scripting.executeScript({
-                    target: { tabId: tabId },
-                    files: ['src/application/content/content.js']
-                }).then(() => {
-                    console.log('Content script injected into Zoom');
-                }).catch(err => {
-                    console.error('Injection failed:', err);
-                });
-            }
+/**
+ * Applies the user's auto-record rules to a detected meeting
+ * @param {Object} message - meetingDetected message from content.js
+ * @param {number} tabId - Meeting tab ID
+ */
+async function handleMeetingDetected(message, tabId) {
+    await rememberMeetingSession(tabId, message.sessionId, message.meetingType);
+
+    let action = 'ask';
+    try {
+        const rules = await MeetingRulesStore.load();
+        action = MeetingRules.evaluate(rules, {
+            meetingType: message.meetingType,
+            meetingId: message.meetingId
         });
+    } catch (err) {
+        console.warn('Could not read meeting rules, asking instead:', err);
+    }
+    console.log('Meeting rule for', message.meetingId || message.meetingType, '->', action);
+
+    if (action === 'ignore') return;
+
+    // Never start a second recording on top of a running one
+    if (action === 'record' && await hasOffscreenDocument()) {
+        action = 'ask';
     }
-});
 
-function openRecorderWindow(meetingType) {
+    // Chrome refuses to capture a tab the user has not invoked the extension on
+    if (action === 'record' && !(await hasTabGrant(tabId))) {
+        await armMeetingRecording(tabId, message.meetingType, message.meetingId);
+        action = 'ask';
+    }
+
+    openRecorderWindow(message.meetingType, tabId, {
+        meetingId: message.meetingId,
+        autostart: action === 'record'
+    });
+}
+
+/**
+ * Opens the recorder window, or focuses it and points it at a new meeting
+ * @param {string} meetingType - Meeting platform or 'manual'
+ * @param {number} [tabId] - Meeting tab ID
+ * @param {Object} [options] - { meetingId, autostart }; autostart true records
+ *   the meeting tab, 'picker' starts with the screen picker
+ */
+async function openRecorderWindow(meetingType, tabId, options = {}) {
+    await recorderStateRestored;
+
     // Check if recorder window is already open
     if (recorderWindowId) {
         chrome.windows.get(recorderWindowId, (win) => {
             if (chrome.runtime.lastError || !win) {
                 // Window was closed, create new one
-                createRecorderWindow(meetingType);
+                createRecorderWindow(meetingType, tabId, options);
             } else {
-                // Window exists, just focus it
-                chrome.windows.update(recorderWindowId, { focused: true });
+                // Window exists, just focus it and point it at the new meeting tab
+                chrome.windows.update(recorderWindowId, win.state === 'minimized'
+                    ? { state: 'normal', focused: true }
+                    : { focused: true });
+                if (tabId) {
+                    chrome.runtime.sendMessage({
+                        action: 'meetingTabChanged',
+                        tabId: tabId,
+                        meetingType: meetingType,
+                        meetingId: options.meetingId || null,
+                        autostart: Boolean(options.autostart)
+                    }).catch(() => {});
+                } else if (options.autostart === 'picker') {
+                    chrome.runtime.sendMessage({ action: 'startScreenRecording' }).catch(() => {});
+                }
                 console.log('Recorder window already open, focusing...');
             }
         });
     } else {
-        createRecorderWindow(meetingType);
+        createRecorderWindow(meetingType, tabId, options);
     }
 }
 
-function createRecorderWindow(meetingType) {
+function createRecorderWindow(meetingType, tabId, options = {}) {
+    // tabId lets the recorder capture the meeting tab directly
+    const params = new URLSearchParams({ mode: 'window', meeting: meetingType });
+    if (tabId) params.set('tabId', tabId);
+    if (options.meetingId) params.set('meetingId', options.meetingId);
+    if (options.autostart) params.set('autostart', options.autostart === 'picker' ? '1' : 'tab');
+    const query = params.toString();
+
     chrome.windows.create({
-        url: chrome.runtime.getURL('src/presentation/popup/popup.html?mode=window&meeting=' + meetingType),
+        url: chrome.runtime.getURL('src/presentation/popup/popup.html?' + query),
         type: 'popup',
         width: 640,
         height: 600,
@@ -67,7 +207,7 @@ function createRecorderWindow(meetingType) {
         left: 100
     }, (window) => {
         if (window) {
-            recorderWindowId = window.id;
+            setRecorderWindowId(window.id);
             console.log('Recorder window opened:', recorderWindowId);
 
             // Set max size immediately after creation
@@ -80,14 +220,788 @@ function createRecorderWindow(meetingType) {
 }
 
 // Clean up window ID when closed
-chrome.windows.onRemoved.addListener((windowId) => {
+chrome.windows.onRemoved.addListener(async (windowId) => {
+    await recorderStateRestored;
     if (windowId === recorderWindowId) {
-        recorderWindowId = null;
+        setRecorderWindowId(null);
         console.log('Recorder window closed');
     }
 });
 
-// Handle extension icon click (keep existing functionality)
-chrome.action.onClicked.addListener(() => {
+// Fires only while the action popup is off, i.e. while a recorder
+// window is open or a recording runs: start an armed meeting recording
+// on the clicked tab, or focus that recorder
+chrome.action.onClicked.addListener(async (tab) => {
+    await rememberTabGrant(tab.id);
+    if (await startArmedRecording(tab.id)) return;
     openRecorderWindow('manual');
-});
\ No newline at end of file
+});
+
+// Offer recovery of recordings interrupted by a browser crash or restart
+chrome.runtime.onStartup.addListener(() => {
+    RecordingStore.listInterruptedRecordings().then(interrupted => {
+        if (interrupted.length > 0) {
+            console.log('Interrupted recordings found:', interrupted.length);
+            openRecorderWindow('manual');
+        }
+    }).catch(err => {
+        console.error('Interrupted recording check failed:', err);
+    });
+});
+
+// ============================================================
+// OFFSCREEN RECORDING DOCUMENT
+// ============================================================
+
+/**
+ * Checks whether the offscreen recording document exists
+ * @returns {Promise<boolean>} True if the document is open
+ */
+async function hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)]
+    });
+    return contexts.length > 0;
+}
+
+/**
+ * Creates the offscreen recording document unless it already exists
+ * Concurrent callers share a single creation request
+ */
+async function ensureOffscreenDocument() {
+    if (await hasOffscreenDocument()) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: OFFSCREEN_PATH,
+            reasons: ['USER_MEDIA', 'DISPLAY_MEDIA', 'AUDIO_PLAYBACK'],
+            justification: 'Record the screen, microphone and tab audio while the recorder window is closed'
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+
+    await creatingOffscreen;
+}
+
+/**
+ * Closes the offscreen recording document if it is open
+ */
+async function closeOffscreenDocument() {
+    try {
+        if (await hasOffscreenDocument()) {
+            await chrome.offscreen.closeDocument();
+            console.log('Offscreen document closed');
+        }
+    } catch (err) {
+        console.warn('Could not close offscreen document:', err);
+    }
+}
+
+/**
+ * Opens the offscreen document and starts a recording in it
+ * @param {Object} options - Recording options from the recorder window
+ * @returns {Promise<Object>} Start result ({ ok, error })
+ */
+async function startOffscreenRecording(options) {
+    try {
+        // Link the recording to the detected meeting so it can stop when the meeting ends
+        const session = options.meetingTabId ? await getMeetingSession(options.meetingTabId) : null;
+        options = Object.assign({}, options, { meetingSessionId: session ? session.sessionId : null });
+
+        await ensureOffscreenDocument();
+        const result = await chrome.runtime.sendMessage(
+            { target: 'offscreen', action: 'startRecording', options: options }
+        );
+
+        // Nothing is recording, so the document is not needed
+        if (!result || !result.ok) {
+            closeOffscreenDocument();
+            return result;
+        }
+
+        // Whatever was armed is superseded by the recording that started
+        disarmMeetingRecording();
+        if (session) {
+            await chrome.storage.session.set({
+                meetingRecording: {
+                    recordingId: result.recordingId,
+                    tabId: options.meetingTabId,
+                    sessionId: session.sessionId,
+                    meetingType: session.meetingType
+                }
+            });
+        }
+
+        return result;
+    } catch (err) {
+        console.error('Could not start offscreen recording:', err);
+        return { ok: false, error: err && err.message ? err.message : String(err) };
+    }
+}
+
+/**
+ * Relays a recorder window command to the offscreen document
+ * @param {Object} message - Command message
+ * @returns {Promise<Object>} Recorder status after the command
+ */
+async function relayToOffscreen(message) {
+    if (!(await hasOffscreenDocument())) {
+        return { state: 'idle' };
+    }
+
+    try {
+        return await chrome.runtime.sendMessage(Object.assign({}, message, { target: 'offscreen' }));
+    } catch (err) {
+        console.warn('Offscreen document did not respond:', err);
+        return { state: 'idle' };
+    }
+}
+
+/**
+ * Opens a finished recording in the preview page and releases the offscreen document
+ * @param {string} recordingId - Finished recording ID
+ */
+function handleRecordingFinished(recordingId) {
+    console.log('Recording finished:', recordingId);
+
+    cancelMeetingEndStop();
+    chrome.storage.session.remove('meetingRecording');
+    updateToolbarIndicator({ state: 'idle' });
+
+    if (recordingId) {
+        chrome.tabs.create({
+            url: chrome.runtime.getURL('src/presentation/preview/preview.html?id=' + encodeURIComponent(recordingId))
+        });
+    }
+
+    closeOffscreenDocument();
+}
+
+// ============================================================
+// TOOLBAR INDICATOR
+// ============================================================
+
+const BADGE_COLORS = {
+    recording: '#d93025',
+    paused: '#f9ab00',
+    saving: '#1a73e8',
+    error: '#202124'
+};
+
+/**
+ * Formats milliseconds as MM:SS (or H:MM:SS for long recordings)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration string
+ */
+function formatElapsed(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+/**
+ * Formats elapsed minutes short enough for the badge, e.g. '7m' or '1h05'
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Badge text
+ */
+function formatBadgeMinutes(ms) {
+    const minutes = Math.floor(Math.max(0, ms) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Remembers the open recorder window, also for a restarted worker
+ * @param {number|null} windowId - Window ID, null once it closed
+ */
+function setRecorderWindowId(windowId) {
+    recorderWindowId = windowId;
+    chrome.storage.session.set({ recorderWindowId: windowId });
+    syncActionPopup();
+}
+
+/**
+ * Restores the recorder window and active flag after the worker restarted
+ * A stored window that was closed in the meantime is dropped
+ */
+async function restoreRecorderState() {
+    try {
+        const stored = await chrome.storage.session.get({ recorderWindowId: null, recorderActive: false });
+
+        if (stored.recorderWindowId) {
+            try {
+                await chrome.windows.get(stored.recorderWindowId);
+                recorderWindowId = stored.recorderWindowId;
+            } catch (e) {
+                chrome.storage.session.remove('recorderWindowId');
+            }
+        }
+
+        // A status broadcast that arrived meanwhile is newer
+        if (!recorderStateKnown) {
+            recorderActive = stored.recorderActive && await hasOffscreenDocument();
+        }
+    } catch (err) {
+        console.warn('Could not restore the recorder state:', err);
+    }
+
+    syncActionPopup();
+}
+
+/**
+ * Turns the action popup off while a recorder window or recording exists,
+ * so clicking the icon focuses it instead of opening a second recorder
+ */
+function syncActionPopup() {
+    const opensRecorder = Boolean(recorderWindowId) || recorderActive;
+    if (opensRecorder === actionOpensRecorder) return;
+
+    actionOpensRecorder = opensRecorder;
+    chrome.action.setPopup({
+        popup: opensRecorder ? '' : chrome.runtime.getManifest().action.default_popup
+    });
+}
+
+/**
+ * Shows the engine state on the toolbar icon: elapsed minutes on a red
+ * badge while recording, amber while paused, '!' after a recorder error
+ * @param {Object} status - Status broadcast by the offscreen document
+ */
+function updateToolbarIndicator(status) {
+    const state = status.state || 'idle';
+    const elapsed = formatElapsed(status.elapsedMs || 0);
+
+    if (status.error) {
+        recorderError = status.error;
+    } else if (state === 'recording') {
+        recorderError = null;
+    }
+    const active = state === 'recording' || state === 'paused' || state === 'saving';
+    recorderStateKnown = true;
+    if (active !== recorderActive) {
+        recorderActive = active;
+        chrome.storage.session.set({ recorderActive: active });
+    }
+    syncActionPopup();
+
+    let badge = { text: '', color: BADGE_COLORS.recording, title: chrome.runtime.getManifest().action.default_title };
+    if (recorderError) {
+        badge = { text: '!', color: BADGE_COLORS.error, title: recorderError };
+    } else if (state === 'recording') {
+        badge = { text: formatBadgeMinutes(status.elapsedMs), color: BADGE_COLORS.recording, title: `Recording · ${elapsed}` };
+    } else if (state === 'paused') {
+        badge = { text: formatBadgeMinutes(status.elapsedMs), color: BADGE_COLORS.paused, title: `Paused at ${elapsed}` };
+    } else if (state === 'saving') {
+        badge = { text: '…', color: BADGE_COLORS.saving, title: status.message || 'Saving recording...' };
+    }
+
+    // Status arrives five times a second; only redraw what changed
+    const key = `${badge.text}|${badge.color}|${badge.title}`;
+    if (key === indicatorKey) return;
+    indicatorKey = key;
+
+    chrome.action.setBadgeText({ text: badge.text });
+    chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    chrome.action.setTitle({ title: badge.title });
+}
+
+// A restarted worker picks up the recorder window and state it had
+const recorderStateRestored = restoreRecorderState();
+
+// ============================================================
+// TAB CAPTURE GRANTS
+// ============================================================
+// Chrome lets tabCapture record a tab only after the user invoked
+// the extension on it: a toolbar click, the action popup or a
+// shortcut. The grant ends when the tab navigates. Grants are kept
+// in session storage so a restarted worker still knows them.
+
+/**
+ * Remembers that the user invoked the extension on a tab
+ * @param {number} tabId - Tab ID
+ */
+async function rememberTabGrant(tabId) {
+    if (!tabId || tabId === chrome.tabs.TAB_ID_NONE) return;
+
+    const { capturableTabs = {} } = await chrome.storage.session.get('capturableTabs');
+    capturableTabs[tabId] = true;
+    await chrome.storage.session.set({ capturableTabs });
+}
+
+/**
+ * Forgets a tab's grant after it navigated or closed
+ * @param {number} tabId - Tab ID
+ */
+async function forgetTabGrant(tabId) {
+    const { capturableTabs = {} } = await chrome.storage.session.get('capturableTabs');
+    if (!capturableTabs[tabId]) return;
+
+    delete capturableTabs[tabId];
+    await chrome.storage.session.set({ capturableTabs });
+}
+
+/**
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>} True if the tab can be captured without a picker
+ */
+async function hasTabGrant(tabId) {
+    const { capturableTabs = {} } = await chrome.storage.session.get('capturableTabs');
+    return Boolean(tabId && capturableTabs[tabId]);
+}
+
+/**
+ * @returns {Promise<string>} Shortcut that starts a recording, e.g. 'Alt+Shift+R'
+ */
+async function getStartShortcut() {
+    const commands = await chrome.commands.getAll();
+    const command = commands.find(entry => entry.name === 'toggle-recording');
+    return command && command.shortcut ? command.shortcut : 'the start shortcut';
+}
+
+/**
+ * The action popup opening is a click on the icon: the active tab is
+ * granted, and an armed recording on it starts
+ * @returns {Promise<boolean>} True if the recorder window took over
+ */
+async function handleActionPopupOpened() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab) return false;
+
+    await rememberTabGrant(tab.id);
+    return startArmedRecording(tab.id);
+}
+
+// Loading a new page ends the grant; in-page route changes keep it
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') forgetTabGrant(tabId);
+});
+
+// ============================================================
+// ARMED MEETING RECORDINGS
+// ============================================================
+// A meeting the rules say to record, on a tab without a grant,
+// waits for the user's click or shortcut instead of failing.
+
+const ARMED_NOTIFICATION_ID = 'armed-meeting';
+
+/**
+ * Arms the recorder for a meeting tab and tells the user how to start it
+ * @param {number} tabId - Meeting tab ID
+ * @param {string} meetingType - Meeting platform
+ * @param {string} [meetingId] - Meeting identifier
+ */
+async function armMeetingRecording(tabId, meetingType, meetingId) {
+    await chrome.storage.session.set({
+        armedMeeting: { tabId, meetingType, meetingId: meetingId || null }
+    });
+
+    const name = MEETING_NAMES[meetingType] || 'meeting';
+    const shortcut = await getStartShortcut();
+    chrome.notifications.create(ARMED_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: `Ready to record the ${name} meeting`,
+        message: `Recording is armed but not running. Press ${shortcut} or click the extension icon ` +
+            'on the meeting tab to start it.',
+        requireInteraction: true
+    });
+    console.log('Meeting recording armed on tab', tabId);
+}
+
+/**
+ * Drops the armed recording, if any
+ */
+async function disarmMeetingRecording() {
+    await chrome.storage.session.remove('armedMeeting');
+    chrome.notifications.clear(ARMED_NOTIFICATION_ID);
+}
+
+/**
+ * Drops the armed recording of a meeting that ended or whose tab closed
+ * @param {number} tabId - Meeting tab ID
+ */
+async function disarmMeetingOnTab(tabId) {
+    const { armedMeeting } = await chrome.storage.session.get('armedMeeting');
+    if (armedMeeting && armedMeeting.tabId === tabId) await disarmMeetingRecording();
+}
+
+/**
+ * Starts the armed recording if the user just invoked the extension on its tab
+ * @param {number} tabId - Tab the user invoked the extension on
+ * @returns {Promise<boolean>} True if the recording is starting
+ */
+async function startArmedRecording(tabId) {
+    const { armedMeeting } = await chrome.storage.session.get('armedMeeting');
+    if (!armedMeeting || armedMeeting.tabId !== tabId) return false;
+
+    await disarmMeetingRecording();
+    openRecorderWindow(armedMeeting.meetingType, tabId, {
+        meetingId: armedMeeting.meetingId,
+        autostart: true
+    });
+    return true;
+}
+
+// ============================================================
+// KEYBOARD SHORTCUTS
+// ============================================================
+
+// Shortcut feedback replaces itself instead of piling up
+const SHORTCUT_NOTIFICATION_ID = 'recorder-shortcut';
+
+/**
+ * Briefly tells the user what a shortcut did; the recorder window is
+ * usually minimized and the focus is in another tab
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ */
+function showShortcutFeedback(title, message) {
+    chrome.notifications.create(SHORTCUT_NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: title,
+        message: message,
+        silent: true
+    });
+}
+
+/**
+ * Starts a recording from a shortcut
+ * A detected meeting in the focused tab is recorded directly; otherwise
+ * the recorder window opens with the screen picker
+ */
+async function startRecordingFromShortcut() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const session = tab ? await getMeetingSession(tab.id) : null;
+
+    if (session) {
+        await disarmMeetingRecording();
+        openRecorderWindow(session.meetingType, tab.id, { autostart: true });
+    } else {
+        openRecorderWindow('manual', null, { autostart: 'picker' });
+    }
+}
+
+/**
+ * Runs a manifest command against the active recording
+ * @param {string} command - 'toggle-recording', 'toggle-pause', 'add-marker' or 'toggle-mic-mute'
+ */
+async function handleShortcut(command) {
+    const status = await relayToOffscreen({ action: 'getRecorderStatus' });
+    const isActive = status.state === 'recording' || status.state === 'paused';
+
+    if (command === 'toggle-recording') {
+        if (isActive) {
+            relayToOffscreen({ action: 'stopRecording' });
+        } else if (status.state === 'idle') {
+            await startRecordingFromShortcut();
+        }
+        return;
+    }
+
+    if (!isActive) {
+        showShortcutFeedback('Not recording', 'Start a recording first.');
+        return;
+    }
+
+    switch (command) {
+        case 'toggle-pause': {
+            const paused = status.state === 'paused';
+            await relayToOffscreen({ action: paused ? 'resumeRecording' : 'pauseRecording' });
+            showShortcutFeedback(paused ? 'Recording resumed' : 'Recording paused',
+                paused ? 'Recording continues.' : 'Press the shortcut again to resume.');
+            break;
+        }
+
+        case 'add-marker': {
+            const result = await relayToOffscreen({ action: 'addMarker', kind: 'note' });
+            showShortcutFeedback('Marker added', result.message || '');
+            break;
+        }
+
+        case 'toggle-mic-mute': {
+            const muted = !(status.muted || []).includes('mic');
+            await relayToOffscreen({ action: 'setChannelMute', channel: 'mic', muted: muted });
+            showShortcutFeedback(muted ? 'Microphone muted' : 'Microphone unmuted',
+                muted ? 'Your voice is left out of the recording.' : 'Your voice is recorded again.');
+            break;
+        }
+
+        default:
+            console.warn('Unknown command:', command);
+    }
+}
+
+// Shortcuts work while the recorder window is minimized or another tab has focus
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    console.log('Shortcut:', command);
+    if (tab) await rememberTabGrant(tab.id);
+    handleShortcut(command).catch(err => console.error('Shortcut failed:', command, err));
+});
+
+// ============================================================
+// MEETING END - Automatic Stop
+// ============================================================
+
+/**
+ * Remembers the meeting session running in a tab
+ * A rejoined meeting takes over a recording whose stop is still pending
+ * @param {number} tabId - Meeting tab ID
+ * @param {string} sessionId - Session ID generated by content.js
+ * @param {string} meetingType - Meeting platform
+ */
+async function rememberMeetingSession(tabId, sessionId, meetingType) {
+    const { meetingSessions = {}, meetingRecording } =
+        await chrome.storage.session.get(['meetingSessions', 'meetingRecording']);
+
+    meetingSessions[tabId] = { sessionId, meetingType };
+    await chrome.storage.session.set({ meetingSessions });
+
+    if (meetingRecording && meetingRecording.tabId === tabId) {
+        cancelMeetingEndStop();
+        meetingRecording.sessionId = sessionId;
+        await chrome.storage.session.set({ meetingRecording });
+    }
+}
+
+/**
+ * Returns the meeting session last detected in a tab
+ * @param {number} tabId - Meeting tab ID
+ * @returns {Promise<Object|null>} { sessionId, meetingType } or null
+ */
+async function getMeetingSession(tabId) {
+    const { meetingSessions = {} } = await chrome.storage.session.get('meetingSessions');
+    return meetingSessions[tabId] || null;
+}
+
+/**
+ * Schedules the stop of the recording linked to an ended meeting session
+ * @param {string} sessionId - Session ID that ended
+ */
+async function handleMeetingEnded(sessionId) {
+    const { meetingRecording } = await chrome.storage.session.get('meetingRecording');
+    if (!meetingRecording || meetingRecording.sessionId !== sessionId) return;
+
+    // Leaving and then closing the tab both report the same session
+    if (meetingEndSessionId === sessionId) return;
+
+    const settings = await chrome.storage.local.get({
+        autoStopOnMeetingEnd: true,
+        meetingEndGraceSeconds: 30
+    });
+    if (!settings.autoStopOnMeetingEnd) return;
+
+    console.log(`Stopping recording in ${settings.meetingEndGraceSeconds}s unless the meeting resumes`);
+
+    // Status broadcasts from the offscreen document keep this worker
+    // awake while recording, so a plain timer is enough here
+    cancelMeetingEndStop();
+    meetingEndSessionId = sessionId;
+    meetingEndTimerId = setTimeout(() => {
+        meetingEndTimerId = null;
+        meetingEndSessionId = null;
+        stopRecordingForMeetingEnd(meetingRecording);
+    }, settings.meetingEndGraceSeconds * 1000);
+}
+
+/**
+ * Cancels a pending meeting-end stop
+ */
+function cancelMeetingEndStop() {
+    if (meetingEndTimerId) {
+        clearTimeout(meetingEndTimerId);
+        console.log('Pending meeting-end stop cancelled');
+    }
+    meetingEndTimerId = null;
+    meetingEndSessionId = null;
+}
+
+/**
+ * Stops the recording of an ended meeting and tells the user
+ * @param {Object} meetingRecording - { recordingId, tabId, sessionId, meetingType }
+ */
+async function stopRecordingForMeetingEnd(meetingRecording) {
+    const name = MEETING_NAMES[meetingRecording.meetingType] || 'meeting';
+    const status = await relayToOffscreen({
+        action: 'stopRecording',
+        reason: `Recording stopped automatically: the ${name} meeting ended.`
+    });
+
+    if (!status || status.state === 'idle' || status.recordingId !== meetingRecording.recordingId) {
+        return;
+    }
+
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: 'Recording stopped',
+        message: `The ${name} meeting ended, so the recording was stopped and saved.`
+    });
+}
+
+/**
+ * Tells the user that a meeting their rules say to record is not recording
+ * The badge keeps the error until a recording starts
+ * @param {string} meetingType - Meeting platform
+ * @param {string} [reason] - Why the recorder window could not start
+ */
+function reportAutoStartFailure(meetingType, reason) {
+    const name = MEETING_NAMES[meetingType] || 'meeting';
+    const error = `The ${name} meeting is not being recorded. ${reason || ''}`.trim();
+
+    updateToolbarIndicator({ state: 'idle', error: error });
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: 'Meeting not recorded',
+        message: reason || `Automatic recording of the ${name} meeting could not start.`,
+        requireInteraction: true
+    });
+}
+
+// A closed meeting tab ends its session even if content.js could not report it
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { meetingSessions = {}, meetingRecording } =
+        await chrome.storage.session.get(['meetingSessions', 'meetingRecording']);
+
+    if (meetingRecording && meetingRecording.tabId === tabId) {
+        handleMeetingEnded(meetingRecording.sessionId);
+    }
+
+    disarmMeetingOnTab(tabId);
+    forgetTabGrant(tabId);
+
+    if (meetingSessions[tabId]) {
+        delete meetingSessions[tabId];
+        chrome.storage.session.set({ meetingSessions });
+    }
+});
+
+// ============================================================
+// CUSTOM MEETING DOMAINS
+// ============================================================
+// Domains added on the options page get the content scripts
+// registered at runtime, limited to the hosts the user granted.
+
+/**
+ * Queues a re-registration of the custom domain content scripts
+ * Syncs run one after another so registrations never overlap
+ * @returns {Promise<void>}
+ */
+function syncCustomContentScripts() {
+    customScriptSync = customScriptSync.then(registerCustomContentScripts);
+    return customScriptSync;
+}
+
+/**
+ * Replaces the registered content scripts with the granted custom domains
+ */
+async function registerCustomContentScripts() {
+    try {
+        const { customMeetingDomains = [] } = await chrome.storage.local.get('customMeetingDomains');
+
+        const matches = [];
+        for (const entry of customMeetingDomains) {
+            const origin = MeetingDomains.toMatchPattern(entry.domain);
+            if (await chrome.permissions.contains({ origins: [origin] })) {
+                matches.push(origin);
+            }
+        }
+
+        const registered = await chrome.scripting.getRegisteredContentScripts({
+            ids: [CUSTOM_DOMAINS_SCRIPT_ID]
+        });
+        if (registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_DOMAINS_SCRIPT_ID] });
+        }
+
+        if (matches.length === 0) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: CUSTOM_DOMAINS_SCRIPT_ID,
+            matches,
+            js: [
+                'src/application/content/detectors.js',
+                'src/application/content/content.js'
+            ],
+            runAt: 'document_end',
+            persistAcrossSessions: true
+        }]);
+        console.log('Content scripts registered for custom domains:', matches);
+    } catch (err) {
+        console.error('Custom domain registration failed:', err);
+    }
+}
+
+// Dynamic registrations do not survive extension updates
+chrome.runtime.onInstalled.addListener(() => {
+    syncCustomContentScripts();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.customMeetingDomains) {
+        syncCustomContentScripts();
+    }
+});
+
+// Access can also be granted or revoked from chrome://extensions
+chrome.permissions.onAdded.addListener(() => {
+    syncCustomContentScripts();
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+    syncCustomContentScripts();
+});
+
+// ============================================================
+// LEGACY RECORDING STORAGE
+// ============================================================
+// Versions before the recording store kept the last recording as a
+// base64 data URL in chrome.storage.local. After an update it is
+// moved into the store once, which frees that space.
+
+const LEGACY_RECORDING_KEYS = ['recordingData', 'recordingTimestamp'];
+
+/**
+ * Imports a recording left in chrome.storage.local and removes the old keys
+ * Data that cannot be read is removed as well; nothing else can open it
+ */
+async function migrateLegacyRecording() {
+    const legacy = await chrome.storage.local.get(LEGACY_RECORDING_KEYS);
+    if (!legacy.recordingData && !legacy.recordingTimestamp) return;
+
+    if (legacy.recordingData) {
+        try {
+            const blob = await (await fetch(legacy.recordingData)).blob();
+            const createdAt = legacy.recordingTimestamp || Date.now();
+            const recording = await RecordingStore.createRecording({
+                status: 'complete',
+                mimeType: blob.type || 'video/webm',
+                source: 'manual',
+                title: 'Recording ' + new Date(createdAt).toLocaleString(),
+                createdAt: createdAt,
+                stoppedAt: createdAt
+            });
+            await RecordingStore.appendChunk(recording.id, 0, blob);
+            console.log('Legacy recording imported:', recording.id);
+        } catch (err) {
+            console.warn('Could not import the legacy recording, removing it:', err);
+        }
+    }
+
+    await chrome.storage.local.remove(LEGACY_RECORDING_KEYS);
+}
+
+chrome.runtime.onInstalled.addListener((details) => {
+    if (details.reason !== 'update') return;
+
+    migrateLegacyRecording().catch(err => {
+        console.error('Legacy recording migration failed:', err);
+    });
+});
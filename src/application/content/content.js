@@ -10,121 +10,55 @@ window.meetingDetectionLoaded = true;
 
 // Track meeting sessions to prevent duplicate notifications
 let meetingSessionId = null; // Unique ID for current meeting session
-let currentMeetingType = null;
+let currentMeetingId = null; // Identifier of the current meeting, null if the URL has none
+let endWatchInterval = null; // Keeps checking for the end of an active meeting
 
 function generateSessionId() {
   return Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// Platform checks live in detectors.js, loaded before this script
 function detectMeetingPage() {
-  const url = window.location.href;
-  const hash = window.location.hash;
-
-  // Google Meet detection
-  if (url.includes('meet.google.com/') && url.match(/meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}/)) {
-    return 'google-meet';
-  }
-
-  // Zoom detection - ONLY actual meeting pages
-  if (url.includes('zoom.us/')) {
-    if (url.match(/zoom\.us\/wc\/join\/\d+/) ||
-      url.match(/zoom\.us\/wc\/\d+/) ||
-      url.match(/zoom\.us\/j\/\d+/) ||
-      hash.includes('/join') ||
-      hash.includes('/wc/join/')) {
-      return 'zoom';
-    }
-    return null; // Dashboard or other non-meeting pages
-  }
-
-  // Microsoft Teams detection
-  if (url.includes('teams.microsoft.com') || url.includes('.teams.microsoft.com') ||
-    url.includes('teams.live.com') || url.includes('.teams.live.com')) {
-
-    if (url.includes('/l/meetup-join/') ||
-      url.includes('/_#/l/meetup-join/') ||
-      url.includes('/_#/pre-join-calling/') ||
-      url.includes('/calling/') ||
-      url.includes('action=visit') ||
-      hash.includes('meetup-join') ||
-      hash.includes('calling') ||
-      hash.includes('pre-join')) {
-      return 'teams';
-    }
-
-    if (isTeamsMeetingUIPresent()) {
-      console.log('Teams meeting detected via UI elements');
-      return 'teams';
-    }
-  }
-
-  return null;
-}
-
-function isTeamsMeetingUIPresent() {
-  const hasLeaveButton = document.querySelector('button[aria-label*="Leave"]') ||
-    document.querySelector('button[aria-label*="Hang up"]') ||
-    document.querySelector('button[title*="Leave"]') ||
-    document.querySelector('button[title*="Hang up"]');
-
-  if (!hasLeaveButton) {
-    return false;
-  }
-
-  const hasMuteControl = document.querySelector('button[aria-label*="Mute"]') ||
-    document.querySelector('button[aria-label*="microphone"]') ||
-    document.querySelector('button[title*="Mute"]');
-
-  return hasLeaveButton && hasMuteControl;
+  const detector = MeetingDetectors.detect(window.location, document);
+  return detector ? detector.type : null;
 }
 
 function isMeetingActive() {
-  const meetingType = detectMeetingPage();
-
-  if (meetingType === 'google-meet') {
-    return document.querySelector('[data-meeting-title]') ||
-      document.querySelector('[data-participant-id]') ||
-      document.querySelector('[jsname="HNNBSb"]');
-  }
-
-  if (meetingType === 'zoom') {
-    // Check for webclient iframe or meeting controls
-    const hasWebClientIframe = document.querySelector('#webclient') ||
-      document.querySelector('iframe[id*="webclient"]') ||
-      document.querySelector('iframe[src*="zoom.us"]');
-
-    const hasMeetingControls = document.querySelector('button[aria-label*="Mute"]') ||
-      document.querySelector('button[aria-label*="Leave"]');
-
-    return hasWebClientIframe || hasMeetingControls;
-  }
-
-  if (meetingType === 'teams') {
-    return isTeamsMeetingUIPresent();
-  }
+  const detector = MeetingDetectors.detect(window.location, document);
+  return Boolean(detector && MeetingDetectors.isActive(detector, document));
+}
 
-  return false;
+// Custom domains from the options page reuse a built-in platform's detector
+function loadCustomDomains() {
+  return chrome.storage.local.get({ customMeetingDomains: [] }).then(result => {
+    result.customMeetingDomains.forEach(entry => {
+      MeetingDetectors.addHost(entry.platform, entry.domain);
+    });
+  }).catch(err => {
+    console.warn('Could not load custom meeting domains:', err);
+  });
 }
 
+const customDomainsLoaded = loadCustomDomains();
+
 // Extract meeting identifier from URL to track unique sessions
 function getMeetingIdentifier() {
-  const url = window.location.href;
-  const hash = window.location.hash;
-
-  // For Zoom: extract meeting ID
-  const zoomMatch = url.match(/\/(?:wc\/join\/|wc\/|j\/)(\d+)/);
-  if (zoomMatch) return 'zoom_' + zoomMatch[1];
-
-  // For Meet: extract meeting code
-  const meetMatch = url.match(/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})/);
-  if (meetMatch) return 'meet_' + meetMatch[1];
+  const detector = MeetingDetectors.detect(window.location, document);
+  return detector ? detector.getMeetingId(window.location) : null;
+}
 
-  // For Teams: use hash or URL pattern
-  if (hash.includes('meetup-join') || url.includes('/l/meetup-join/')) {
-    return 'teams_' + (hash || url).replace(/[^a-z0-9]/gi, '_').substr(0, 50);
+// Tell background.js the meeting is over so it can stop the recording
+function notifyMeetingEnded(reason) {
+  try {
+    chrome.runtime.sendMessage({
+      action: 'meetingEnded',
+      sessionId: meetingSessionId,
+      reason: reason
+    });
+  } catch (e) {
+    // Extension was reloaded; nothing left to notify
+    console.warn('Could not send meetingEnded:', e);
   }
-
-  return null;
 }
 
 function checkAndNotify() {
@@ -134,22 +68,25 @@ function checkAndNotify() {
   // No meeting detected
   if (!meetingType || !isMeetingActive()) {
     // Clear session if we left the meeting
-    if (meetingSessionId && currentMeetingType) {
+    if (meetingSessionId) {
       console.log('Left meeting, clearing session:', meetingSessionId);
+      notifyMeetingEnded('left');
       meetingSessionId = null;
-      currentMeetingType = null;
+      currentMeetingId = null;
+      clearInterval(endWatchInterval);
+      endWatchInterval = null;
     }
     return false;
   }
 
   // Check if this is a NEW meeting session
   const isNewMeeting = meetingSessionId === null ||
-    meetingIdentifier !== currentMeetingType;
+    meetingIdentifier !== currentMeetingId;
 
   if (isNewMeeting) {
     // Generate new session ID for this meeting
     meetingSessionId = generateSessionId();
-    currentMeetingType = meetingIdentifier;
+    currentMeetingId = meetingIdentifier;
 
     console.log(`NEW meeting detected: ${meetingType} (Session: ${meetingSessionId})`);
 
@@ -158,9 +95,15 @@ function checkAndNotify() {
       action: 'meetingDetected',
       meetingType: meetingType,
       sessionId: meetingSessionId,
+      meetingId: meetingIdentifier,
       url: window.location.href
     });
 
+    // Keep watching for the end of the meeting after initial detection stops
+    if (!endWatchInterval) {
+      endWatchInterval = setInterval(() => checkAndNotify(), 2000);
+    }
+
     return true;
   } else {
     console.log('Same meeting session, skipping notification');
@@ -170,8 +113,10 @@ function checkAndNotify() {
 
 // Initial check after page load
 setTimeout(() => {
-  console.log('Running initial meeting detection check...');
-  checkAndNotify();
+  customDomainsLoaded.then(() => {
+    console.log('Running initial meeting detection check...');
+    checkAndNotify();
+  });
 }, 3000);
 
 // Continuous monitoring for dynamic loading
@@ -202,6 +147,14 @@ new MutationObserver(() => {
   }
 }).observe(document, { subtree: true, childList: true });
 
+// Tab closed, reloaded or navigated to another site while in a meeting
+window.addEventListener('pagehide', () => {
+  if (meetingSessionId) {
+    console.log('Page hidden during meeting, ending session:', meetingSessionId);
+    notifyMeetingEnded('closed');
+  }
+});
+
 // Hash change listener
 window.addEventListener('hashchange', () => {
   console.log('Hash changed event:', location.hash);
@@ -0,0 +1,289 @@
+// detectors.js
+// Registry of meeting platform detectors used by content.js
+//
+// Each detector describes one platform:
+//   type            - platform key sent to background.js
+//   hostPattern     - hostnames the detector applies to; more can be added
+//                     at runtime for self-hosted or vanity domains
+//   urlPatterns     - any match on the path, query and hash marks a meeting page
+//   detectFromUi    - also treat the page as a meeting when the active UI is present
+//   activeSelectors - groups of selectors; every group needs at least one match
+//                     for the meeting to count as active
+//   getMeetingId    - extracts a stable identifier for the meeting from location
+//
+// Detectors only read the location and document they are given, so they
+// can be run against saved copies of meeting pages (test/fixtures/meetings,
+// checked by `npm test`).
+
+const MeetingDetectors = (() => {
+  const detectors = [];
+
+  /**
+   * Returns the part of a URL that URL patterns are matched against
+   * Leaving out the host lets the same patterns work on custom domains
+   * @param {Location|URL} location - Page location
+   * @returns {string} Path, query and hash
+   */
+  function pagePath(location) {
+    return location.pathname + location.search + location.hash;
+  }
+
+  /**
+   * Builds an ID extractor from a path regex with one capture group
+   * @param {string} prefix - Platform prefix for the identifier
+   * @param {RegExp} pattern - Pattern matched against the page path
+   * @returns {Function} location => identifier or null
+   */
+  function idFromPath(prefix, pattern) {
+    return (location) => {
+      const match = pagePath(location).match(pattern);
+      return match ? prefix + '_' + match[1] : null;
+    };
+  }
+
+  /**
+   * Checks a hostname against a custom domain
+   * @param {string} domain - Domain such as 'meet.example.com' or '*.example.com'
+   * @param {string} hostname - Page hostname
+   * @returns {boolean} True if the hostname belongs to the domain
+   */
+  function hostMatches(domain, hostname) {
+    if (domain.startsWith('*.')) {
+      const base = domain.slice(2);
+      return hostname === base || hostname.endsWith('.' + base);
+    }
+    return hostname === domain;
+  }
+
+  /**
+   * Adds a detector to the registry
+   * Detectors are tried in registration order
+   * @param {Object} detector - Detector definition
+   */
+  function register(detector) {
+    detectors.push(Object.assign({
+      customHosts: [],
+      urlPatterns: [],
+      detectFromUi: false,
+      activeSelectors: [],
+      getMeetingId: () => null
+    }, detector));
+  }
+
+  /**
+   * Applies a platform's detector to an additional domain
+   * @param {string} type - Platform key, e.g. 'jitsi'
+   * @param {string} domain - Domain such as 'meet.example.com' or '*.example.com'
+   * @returns {boolean} True if a detector for the platform exists
+   */
+  function addHost(type, domain) {
+    const detector = detectors.find(d => d.type === type);
+    if (!detector) return false;
+
+    if (!detector.customHosts.includes(domain)) detector.customHosts.push(domain);
+    return true;
+  }
+
+  /**
+   * Checks whether a detector's meeting UI is on the page
+   * @param {Object} detector - Detector definition
+   * @param {Document} doc - Page document
+   * @returns {boolean} True if every selector group has a match
+   */
+  function isActive(detector, doc) {
+    if (detector.activeSelectors.length === 0) return false;
+
+    return detector.activeSelectors.every(group =>
+      group.some(selector => doc.querySelector(selector))
+    );
+  }
+
+  /**
+   * Checks whether a page is a meeting page for a detector
+   * @param {Object} detector - Detector definition
+   * @param {Location|URL} location - Page location
+   * @param {Document} doc - Page document
+   * @returns {boolean} True if the detector claims the page
+   */
+  function matchesPage(detector, location, doc) {
+    const onHost = detector.hostPattern.test(location.hostname) ||
+      detector.customHosts.some(domain => hostMatches(domain, location.hostname));
+    if (!onHost) return false;
+
+    const path = pagePath(location);
+    if (detector.urlPatterns.some(pattern => pattern.test(path))) return true;
+    return detector.detectFromUi && isActive(detector, doc);
+  }
+
+  /**
+   * Finds the detector for a meeting page
+   * @param {Location|URL} location - Page location
+   * @param {Document} doc - Page document
+   * @returns {Object|null} Matching detector, or null if not a meeting page
+   */
+  function detect(location, doc) {
+    return detectors.find(detector => matchesPage(detector, location, doc)) || null;
+  }
+
+  /**
+   * @returns {Object[]} Registered detectors
+   */
+  function list() {
+    return detectors.slice();
+  }
+
+  // ============================================================
+  // BUILT-IN DETECTORS
+  // ============================================================
+
+  register({
+    type: 'google-meet',
+    hostPattern: /^meet\.google\.com$/,
+    urlPatterns: [/^\/[a-z]{3}-[a-z]{4}-[a-z]{3}/],
+    activeSelectors: [[
+      '[data-meeting-title]',
+      '[data-participant-id]',
+      '[jsname="HNNBSb"]'
+    ]],
+    getMeetingId: idFromPath('meet', /^\/([a-z]{3}-[a-z]{4}-[a-z]{3})/)
+  });
+
+  register({
+    type: 'zoom',
+    hostPattern: /(^|\.)zoom\.us$/,
+    // Only actual meeting pages, not the dashboard
+    urlPatterns: [
+      /^\/wc\/join\/\d+/,
+      /^\/wc\/\d+/,
+      /^\/j\/\d+/,
+      /#.*\/join/
+    ],
+    // Web client iframe or meeting controls
+    activeSelectors: [[
+      '#webclient',
+      'iframe[id*="webclient"]',
+      'iframe[src*="zoom.us"]',
+      'button[aria-label*="Mute"]',
+      'button[aria-label*="Leave"]'
+    ]],
+    getMeetingId: idFromPath('zoom', /\/(?:wc\/join\/|wc\/|j\/)(\d+)/)
+  });
+
+  register({
+    type: 'teams',
+    hostPattern: /(^|\.)teams\.(microsoft|live)\.com$/,
+    urlPatterns: [
+      /\/l\/meetup-join\//,
+      /\/_#\/pre-join-calling\//,
+      /\/calling\//,
+      /action=visit/,
+      /#.*(meetup-join|calling|pre-join)/
+    ],
+    // The Teams client often keeps the same URL when joining
+    detectFromUi: true,
+    activeSelectors: [
+      [
+        'button[aria-label*="Leave"]',
+        'button[aria-label*="Hang up"]',
+        'button[title*="Leave"]',
+        'button[title*="Hang up"]'
+      ],
+      [
+        'button[aria-label*="Mute"]',
+        'button[aria-label*="microphone"]',
+        'button[title*="Mute"]'
+      ]
+    ],
+    // Meetup-join links carry the meeting's thread, e.g. 19:meeting_…@thread.v2
+    getMeetingId: (location) => {
+      const match = pagePath(location).match(/meetup-join\/([^/?#&]+)/);
+      if (!match) return null;
+
+      let thread = match[1];
+      try {
+        thread = decodeURIComponent(thread);
+      } catch (e) {
+        // Keep the encoded form of a malformed link
+      }
+      return 'teams_' + thread;
+    }
+  });
+
+  register({
+    type: 'webex',
+    hostPattern: /(^|\.)webex\.com$/,
+    urlPatterns: [
+      /^\/meet\/[^/?#]+/,           // Personal rooms
+      /^\/[^/]+\/j\.php\?.*MTID=/,  // Scheduled meeting links
+      /\/wbxmjs\/joinservice\//,    // Web app join flow
+      /\/webappng\/sites\/[^/]+\/meeting\//
+    ],
+    detectFromUi: true,
+    activeSelectors: [
+      [
+        'button[aria-label*="Leave meeting"]',
+        'button[aria-label*="End meeting"]',
+        '[data-test="call-leave-button"]'
+      ],
+      [
+        'button[aria-label*="Mute"]',
+        'button[aria-label*="Unmute"]',
+        '[data-test="mute-audio-button"]'
+      ]
+    ],
+    getMeetingId: (location) => {
+      const room = location.pathname.match(/^\/meet\/([^/?#]+)/);
+      if (room) return 'webex_' + location.hostname.split('.')[0] + '_' + room[1].toLowerCase();
+
+      const mtid = location.search.match(/[?&]MTID=([^&#]+)/i);
+      if (mtid) return 'webex_' + mtid[1];
+
+      const meeting = location.pathname.match(/\/meeting\/(?:[^/]+\/)*?(\d{6,})/);
+      return meeting ? 'webex_' + meeting[1] : null;
+    }
+  });
+
+  register({
+    type: 'jitsi',
+    hostPattern: /^(meet\.jit\.si|8x8\.vc)$/,
+    // Any room path; 8x8.vc rooms live under a tenant folder
+    urlPatterns: [/^\/[^/?#]+/],
+    activeSelectors: [[
+      '#videoconference_page',
+      '#largeVideoContainer',
+      '.toolbox-content'
+    ]],
+    getMeetingId: (location) => {
+      const room = location.pathname.replace(/^\/+|\/+$/g, '');
+      return room ? 'jitsi_' + room.replace(/\//g, '_').toLowerCase() : null;
+    }
+  });
+
+  register({
+    type: 'whereby',
+    hostPattern: /(^|\.)whereby\.com$/,
+    // Rooms are a single path segment; account and info pages are excluded
+    urlPatterns: [
+      /^\/(?!(?:user|login|information|org|embed|pricing|blog)(?:[/?#]|$))[^/?#]+\/?(?:[?#]|$)/
+    ],
+    activeSelectors: [
+      [
+        'button[aria-label*="Leave"]',
+        '[data-testid="leaveButton"]'
+      ],
+      [
+        'video'
+      ]
+    ],
+    getMeetingId: (location) => {
+      const room = location.pathname.match(/^\/([^/]+)\/?$/);
+      if (!room) return null;
+
+      // Company subdomains can reuse room names
+      const subdomain = location.hostname.replace(/\.?whereby\.com$/, '');
+      return 'whereby_' + (subdomain ? subdomain + '_' : '') + room[1].toLowerCase();
+    }
+  });
+
+  return { register, addHost, detect, isActive, list };
+})();
@@ -0,0 +1,1315 @@
+// ============================================================
+// SCREEN RECORDER - Offscreen Recording Engine
+// ============================================================
+// Owns capture streams, audio mixing and MediaRecorder state in
+// an offscreen document created by background.js, so recording
+// continues when every extension window is closed. The recorder
+// window acts as a remote control through runtime messages and
+// is kept up to date with periodic 'recorderStatus' broadcasts.
+// ============================================================
+
+// ============================================================
+// STATE VARIABLES
+// ============================================================
+
+// Recording State
+let recorder = null;
+let recordingId = null;      // RecordingStore entry for the active recording
+let chunkIndex = 0;          // Index of the next chunk to persist
+let pendingWrites = Promise.resolve();  // Serialized chunk writes
+let releaseSessionLock = null;          // Marks the recording as live for recovery checks
+let recordingStartedAt = 0;             // Wall-clock start of the active recording
+let pausedAt = 0;                       // Wall-clock time of the current pause, 0 if running
+let pausedTotalMs = 0;                  // Total time spent paused so far
+let pauseIntervals = [];                // Breaks as { at, duration } in recording seconds
+let markers = [];                       // Markers as { kind, at, text } in recording seconds
+let bytesRecorded = 0;                  // Total size of chunks produced so far
+let autoStopReason = null;              // Set when a limit stopped the recording
+let recorderError = null;               // Set when MediaRecorder reported an error
+let chunkWriteError = null;             // Set when a chunk could not be stored; stops the recording
+let trackRecorders = [];                // Separate mic/system audio recorders
+let combinedStream = null;
+let displayStream = null;
+let micStream = null;
+let cameraStream = null;
+
+// Engine state reported to the remote control
+let engineState = 'idle';               // 'idle', 'starting', 'recording', 'paused' or 'saving'
+let statusMessage = '';
+let statusIntervalId = null;
+
+// Settings sent by the remote control, adjustable while recording
+let channelGains = { system: 1, mic: 1 };
+let mutedChannels = new Set();
+let cameraOverlayOptions = {};
+let limits = { maxDurationMinutes: 0, maxSizeMb: 0 };
+
+// Quality profile of the active recording
+let recordingSettings = RecordingSettings.normalize();
+let recordingProfile = '';              // Summary shown by the remote control
+let audioOnly = false;                  // Recording mic and tab/system audio without video
+let audioFormat = 'webm';               // Output of audio-only recordings, see RecordingSettings.AUDIO_FORMATS
+
+// Interval (ms) between status broadcasts while recording
+const STATUS_INTERVAL_MS = 200;
+
+// Mixer channels reported in level updates
+const MIXER_CHANNELS = ['system', 'mic'];
+
+// Maximum gap (ms) between video keyframes; the preview editor can
+// only start a kept section at a keyframe
+const KEYFRAME_INTERVAL_MS = 2000;
+
+// Bytes read from the start of a recording to find its first audio block
+const AUDIO_START_SCAN_BYTES = 4 * 1024 * 1024;
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Formats milliseconds as MM:SS (or H:MM:SS for long recordings)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration string
+ */
+function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+/**
+ * Safely stops all tracks in a MediaStream
+ * @param {MediaStream} stream - Stream whose tracks should be stopped
+ */
+function stopAllTracks(stream) {
+  if (!stream) return;
+
+  try {
+    stream.getTracks().forEach(track => {
+      try {
+        track.stop();
+      } catch (e) {
+        console.warn('Error stopping track:', e);
+      }
+    });
+  } catch (e) {
+    console.warn('Error iterating tracks:', e);
+  }
+}
+
+/**
+ * Returns a readable message for an error-like value
+ * @param {*} err - Error or other thrown value
+ * @returns {string} Error message
+ */
+function describeError(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+// ============================================================
+// STATUS REPORTING
+// ============================================================
+
+/**
+ * Builds the status snapshot sent to the remote control
+ * @returns {Object} Current engine status
+ */
+function getStatus() {
+  return {
+    state: engineState,
+    message: statusMessage,
+    recordingId: recordingId,
+    elapsedMs: getElapsedMs(),
+    bytesRecorded: bytesRecorded,
+    levels: getChannelLevels(),
+    autoStopReason: autoStopReason,
+    profile: recordingProfile,
+    markerCount: markers.length,
+    muted: Array.from(mutedChannels),
+    error: recorderError
+  };
+}
+
+/**
+ * Broadcasts the current status to every open extension page
+ */
+function broadcastStatus() {
+  chrome.runtime.sendMessage({ action: 'recorderStatus', status: getStatus() })
+    .catch(() => {});  // No recorder window open
+}
+
+/**
+ * Updates engine state and message, then broadcasts the change
+ * @param {string} state - New engine state
+ * @param {string} [message] - Status message for the remote control
+ */
+function setEngineState(state, message) {
+  engineState = state;
+  if (message !== undefined) statusMessage = message;
+  broadcastStatus();
+}
+
+/**
+ * Starts periodic status broadcasts and limit checks
+ */
+function startStatusUpdates() {
+  stopStatusUpdates();
+  statusIntervalId = setInterval(() => {
+    checkRecordingLimits();
+    broadcastStatus();
+  }, STATUS_INTERVAL_MS);
+}
+
+/**
+ * Stops periodic status broadcasts
+ */
+function stopStatusUpdates() {
+  if (statusIntervalId) {
+    clearInterval(statusIntervalId);
+    statusIntervalId = null;
+  }
+}
+
+// ============================================================
+// MEDIA RECORDER CONFIGURATION
+// ============================================================
+
+/**
+ * Detects the supported MIME type for the chosen codec
+ * Falls back to VP9/VP8 with Opus audio when the codec is unavailable
+ * @param {Object} settings - Normalized recording settings
+ * @returns {{mimeType: string, codec: string|null}} MIME type (empty for the
+ *   browser default) and the codec it records
+ */
+function getSupportedMimeType(settings) {
+  const isTypeSupported = (mimeType) => {
+    try {
+      return Boolean(MediaRecorder.isTypeSupported && MediaRecorder.isTypeSupported(mimeType));
+    } catch (e) {
+      console.warn('Error checking MIME type:', mimeType, e);
+      return false;
+    }
+  };
+
+  const picked = RecordingSettings.pickMimeType(settings, isTypeSupported);
+  if (settings.codec !== 'auto' && picked.codec !== settings.codec) {
+    console.warn(`Codec ${settings.codec} not supported, using`, picked.codec || 'default');
+  }
+
+  if (picked.mimeType) {
+    console.log('Using MIME type:', picked.mimeType);
+  } else {
+    console.warn('No preferred MIME types supported, using default');
+  }
+  return picked;
+}
+
+// ============================================================
+// STREAM CAPTURE
+// ============================================================
+
+/**
+ * Opens a desktop or tab capture from a stream ID chosen in the recorder window
+ * @param {Object} capture - { source: 'desktop'|'tab', streamId, audio }
+ * @param {Object} settings - Normalized recording settings (size and frame rate caps)
+ * @param {boolean} [withoutVideo] - Audio-only recording; the capture's picture is not recorded
+ * @returns {Promise<MediaStream>} Capture stream
+ */
+async function captureSource(capture, settings, withoutVideo) {
+  const source = { chromeMediaSource: capture.source, chromeMediaSourceId: capture.streamId };
+
+  // Tab audio can be captured alone. Desktop audio only comes with the
+  // picture, so a tiny one is opened and kept out of the recording; it
+  // still reports when the user stops sharing.
+  let video = { mandatory: Object.assign({}, source, RecordingSettings.getCaptureConstraints(settings)) };
+  if (withoutVideo) {
+    video = capture.source === 'tab'
+      ? false
+      : { mandatory: Object.assign({}, source, { maxWidth: 320, maxHeight: 180, maxFrameRate: 1 }) };
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: capture.audio ? { mandatory: source } : false,
+    video: video
+  });
+
+  // Tab capture silences the tab for the user, so it is played back locally
+  stream._isTabCapture = capture.source === 'tab';
+
+  return stream;
+}
+
+// ============================================================
+// AUDIO MIXING - Web Audio API
+// ============================================================
+
+/**
+ * Creates a combined MediaStream with mixed audio tracks
+ * Uses Web Audio API to mix display audio and microphone audio
+ *
+ * @param {MediaStream|null} displayStream - Screen capture stream (video + optional system
+ *   audio); null when an audio-only recording has just the microphone
+ * @param {MediaStream} micStream - Microphone audio stream
+ * @param {MediaStream} [cameraStream] - Camera stream to overlay picture-in-picture
+ * @param {boolean} [withoutVideo] - Leave the capture's video out, for audio-only recordings
+ * @returns {Promise<MediaStream>} Combined stream with video and mixed audio
+ */
+async function createCombinedStreamUsingAudioContext(displayStream, micStream, cameraStream, withoutVideo) {
+  const outputStream = new MediaStream();
+
+  // Add video track from display capture, composited with the camera if enabled
+  const videoTrack = !withoutVideo && displayStream && displayStream.getVideoTracks()[0];
+  const cameraTrack = cameraStream && cameraStream.getVideoTracks()[0];
+  if (videoTrack && cameraTrack) {
+    const compositor = PipCompositor.create(videoTrack, cameraTrack, cameraOverlayOptions, recordingSettings.frameRate);
+    outputStream.addTrack(compositor.track);
+    outputStream._compositor = compositor;
+    console.log('Added composited screen + camera track to output stream');
+  } else if (videoTrack) {
+    outputStream.addTrack(videoTrack);
+    console.log('Added video track to output stream');
+  }
+
+  // Check if we have any audio to mix
+  const hasDisplayAudio = Boolean(displayStream) && displayStream.getAudioTracks().length > 0;
+  const hasMicAudio = micStream && micStream.getAudioTracks && micStream.getAudioTracks().length > 0;
+
+  // If no audio from any source, return video-only stream
+  if (!hasDisplayAudio && !hasMicAudio) {
+    console.log('No audio tracks available, returning video-only stream');
+    return outputStream;
+  }
+
+  // Create audio mixing context
+  const audioContext = new AudioContext();
+  const destination = audioContext.createMediaStreamDestination();
+
+  const mixer = {};
+
+  /**
+   * Connects a MediaStream's audio to the audio mixing destination
+   * Each source gets its own gain, mute and level analyser:
+   * source -> gain -> mute -> destination, with the analyser on gain
+   * @param {MediaStream} stream - Stream to connect
+   * @param {string} key - Mixer channel name ('system' or 'mic')
+   */
+  function connectAudioSource(stream, key) {
+    if (!stream) return;
+
+    // Verify stream has audio tracks
+    const audioTracks = stream.getAudioTracks();
+    if (!audioTracks || audioTracks.length === 0) {
+      console.log('Stream has no audio tracks, skipping connection');
+      return;
+    }
+
+    try {
+      const source = audioContext.createMediaStreamSource(stream);
+      const gain = audioContext.createGain();
+      const mute = audioContext.createGain();
+      const analyser = audioContext.createAnalyser();
+
+      analyser.fftSize = 1024;
+      gain.gain.value = channelGains[key];
+      mute.gain.value = mutedChannels.has(key) ? 0 : 1;
+
+      source.connect(gain);
+      gain.connect(mute);
+      gain.connect(analyser);
+      mute.connect(destination);
+
+      // Tab capture silences the tab for the user, so play it back locally
+      if (key === 'system' && stream._isTabCapture) {
+        source.connect(audioContext.destination);
+      }
+
+      mixer[key] = { gain, mute, analyser };
+      console.log('Connected audio source to mixer:', key);
+    } catch (err) {
+      console.warn('Could not create MediaStreamSource:', err);
+    }
+  }
+
+  // Connect both audio sources (if available)
+  connectAudioSource(displayStream, 'system');  // System audio
+  if (hasMicAudio) {
+    connectAudioSource(micStream, 'mic');        // Microphone audio
+  }
+
+  // Add the mixed audio track to output
+  const mixedAudioTrack = destination.stream.getAudioTracks()[0];
+  if (mixedAudioTrack) {
+    outputStream.addTrack(mixedAudioTrack);
+    console.log('Added mixed audio track to output stream');
+  }
+
+  // Store references for cleanup later
+  outputStream._audioContext = audioContext;
+  outputStream._audioDestination = destination;
+  outputStream._mixer = mixer;
+
+  return outputStream;
+}
+
+// ============================================================
+// AUDIO MIXER CONTROLS - Gain, Mute & Levels
+// ============================================================
+
+/**
+ * Returns a mixer channel's live audio nodes, if recording
+ * @param {string} key - Mixer channel name
+ * @returns {Object|null} { gain, mute, analyser } or null
+ */
+function getMixerChannel(key) {
+  return (combinedStream && combinedStream._mixer && combinedStream._mixer[key]) || null;
+}
+
+/**
+ * Sets a channel's gain, live if recording
+ * @param {string} key - Mixer channel name
+ * @param {number} value - Linear gain (1 = unchanged)
+ */
+function setChannelGain(key, value) {
+  channelGains[key] = value;
+
+  const channel = getMixerChannel(key);
+  if (channel) {
+    channel.gain.gain.setTargetAtTime(value, channel.gain.context.currentTime, 0.02);
+  }
+}
+
+/**
+ * Mutes or unmutes a channel, live if recording
+ * @param {string} key - Mixer channel name
+ * @param {boolean} muted - New mute state
+ */
+function setChannelMute(key, muted) {
+  if (muted) {
+    mutedChannels.add(key);
+  } else {
+    mutedChannels.delete(key);
+  }
+
+  const channel = getMixerChannel(key);
+  if (channel) {
+    channel.mute.gain.setTargetAtTime(muted ? 0 : 1, channel.mute.context.currentTime, 0.02);
+  }
+
+  console.log(`Mixer channel ${key} ${muted ? 'muted' : 'unmuted'}`);
+}
+
+/**
+ * Measures each channel's current level from its analyser
+ * @returns {Object} Channel name -> level from 0 to 1
+ */
+function getChannelLevels() {
+  const samples = new Float32Array(1024);
+  const levels = {};
+
+  MIXER_CHANNELS.forEach(key => {
+    const channel = getMixerChannel(key);
+    let level = 0;
+
+    if (channel) {
+      channel.analyser.getFloatTimeDomainData(samples);
+      let sumSquares = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+      }
+      // Map RMS from -60 dBFS..0 dBFS onto 0..1
+      const rms = Math.sqrt(sumSquares / samples.length);
+      const db = 20 * Math.log10(rms || 1e-8);
+      level = Math.min(1, Math.max(0, (db + 60) / 60));
+    }
+
+    levels[key] = level;
+  });
+
+  return levels;
+}
+
+// ============================================================
+// CAMERA OVERLAY
+// ============================================================
+
+/**
+ * Applies overlay option changes, live if recording
+ * @param {Object} options - { corner, size, shape }
+ */
+function setCameraOverlayOptions(options) {
+  cameraOverlayOptions = Object.assign({}, cameraOverlayOptions, options);
+
+  if (combinedStream && combinedStream._compositor) {
+    combinedStream._compositor.update(cameraOverlayOptions);
+  }
+}
+
+/**
+ * Stops the camera compositor attached to the combined stream
+ */
+function releaseCompositor() {
+  if (combinedStream && combinedStream._compositor) {
+    try {
+      combinedStream._compositor.stop();
+      console.log('Camera compositor stopped');
+    } catch (e) {
+      console.warn('Error stopping compositor:', e);
+    }
+    combinedStream._compositor = null;
+  }
+}
+
+// ============================================================
+// SCREEN SHARE END DETECTION
+// ============================================================
+
+/**
+ * Attaches event handlers to detect when user stops screen sharing
+ * Uses both event listeners and polling for reliable detection
+ *
+ * @param {MediaStream} displayStream - The display capture stream to monitor
+ */
+function attachDisplayEndHandlers(displayStream) {
+  if (!displayStream) return;
+
+  // Audio-only tab captures have no video track to watch
+  const captureTrack = displayStream.getVideoTracks()[0] || displayStream.getAudioTracks()[0];
+  if (!captureTrack) {
+    console.warn('No capture track found to monitor');
+    return;
+  }
+
+  // Method 1: Event-based detection
+  // Fires when user clicks "Stop sharing" in browser UI
+  captureTrack.addEventListener('ended', () => {
+    console.log('Capture track ended - user stopped sharing');
+
+    if (recorder && recorder.state !== 'inactive') {
+      stopRecording();
+    }
+  });
+
+  // Method 2: Polling-based detection (backup)
+  // Some scenarios may not fire 'ended' event reliably
+  const pollInterval = setInterval(() => {
+    if (captureTrack.readyState === 'ended') {
+      console.log('Capture track detected as ended via polling');
+      clearInterval(pollInterval);
+
+      if (recorder && recorder.state !== 'inactive') {
+        stopRecording();
+      }
+    }
+  }, 1000); // Check every second
+
+  // Store interval ID for cleanup
+  displayStream.__shareEndPollId = pollInterval;
+  console.log('Screen share end detection attached');
+}
+
+// ============================================================
+// RECORDING LIFECYCLE - Stop & Save
+// ============================================================
+
+/**
+ * Handles cleanup when recording stops
+ * Waits for pending chunk writes, marks the recording complete
+ * and asks background.js to open it in the preview page
+ */
+async function handleRecorderStop() {
+  console.log('Recorder stopped, saving...');
+
+  const finishedId = recordingId;
+
+  // Close a break that was still open when recording stopped
+  if (pausedAt) markResumed();
+  const duration = getElapsedMs() / 1000;
+
+  // Separate tracks end together with the main recording
+  stopTrackRecorders();
+
+  cleanupRecordingResources();
+  setEngineState('saving', 'Saving recording...');
+
+  let message;
+  let complete = false;
+  try {
+    // Make sure the final chunk has reached the store
+    await pendingWrites;
+    await finalizeTrackRecorders(finishedId, duration);
+
+    if (chunkWriteError) {
+      // Not marked complete: the recorder offers the stored part for recovery
+      await RecordingStore.updateRecording(finishedId, { pauses: pauseIntervals, markers: markers });
+      throw chunkWriteError;
+    }
+
+    await RecordingStore.updateRecording(finishedId, {
+      status: 'complete',
+      stoppedAt: Date.now(),
+      duration: duration,
+      pauses: pauseIntervals,
+      markers: markers
+    });
+    console.log('Recording stored successfully:', finishedId);
+
+    // Write the length and seek index before the preview opens
+    setEngineState('saving', 'Indexing recording...');
+    await WebMFinalizer.finalizeRecording(finishedId);
+
+    message = autoStopReason
+      ? `${autoStopReason} Preview opened in new tab.`
+      : 'Recording complete! Preview opened in new tab.';
+
+    if (audioOnly && audioFormat !== 'webm') {
+      const formatName = RecordingSettings.AUDIO_FORMATS[audioFormat].label;
+      setEngineState('saving', `Converting to ${formatName}...`);
+      try {
+        await AudioExport.convertRecording(finishedId, audioFormat);
+      } catch (e) {
+        // The WebM recording is still complete and playable
+        console.error('Audio conversion failed:', e);
+        message = `Recording saved as WebM; converting to ${formatName} failed: ${describeError(e)}`;
+      }
+    }
+    complete = true;
+  } catch (e) {
+    if (chunkWriteError) {
+      message = `${recorderError} Recording stopped; reopen the recorder to recover the part saved so far.`;
+    } else {
+      // Chunks already in the store stay playable in the preview
+      console.error('Error finalizing recording:', e);
+      message = 'Recording finished but could not be finalized: ' + describeError(e);
+      complete = true;
+    }
+  } finally {
+    if (releaseSessionLock) releaseSessionLock();
+    releaseSessionLock = null;
+    recordingId = null;
+    trackRecorders = [];
+    chunkIndex = 0;
+    pendingWrites = Promise.resolve();
+    recordingStartedAt = 0;
+  }
+
+  setEngineState('idle', message);
+
+  // background.js opens the preview and closes this document
+  chrome.runtime.sendMessage({
+    target: 'background',
+    action: 'recordingFinished',
+    recordingId: complete ? finishedId : null
+  }).catch(e => console.warn('Could not report finished recording:', e));
+}
+
+/**
+ * Stops the recording when a chunk could not be stored, e.g. when the
+ * storage quota is used up; later chunks are dropped so the stored
+ * part stays a playable prefix
+ * @param {*} err - Error from the recording store
+ */
+function handleChunkWriteError(err) {
+  if (chunkWriteError) return;
+
+  console.error('Failed to store chunk:', err);
+  chunkWriteError = err;
+  recorderError = 'Could not save the recording: ' + describeError(err);
+  statusMessage = recorderError;
+  stopRecording();
+}
+
+/**
+ * Cleans up all recording-related resources
+ * Stops tracks, closes audio context, clears intervals
+ */
+function cleanupRecordingResources() {
+  console.log('Cleaning up recording resources...');
+
+  // Close audio context
+  if (combinedStream && combinedStream._audioContext) {
+    try {
+      combinedStream._audioContext.close();
+      console.log('Audio context closed');
+    } catch (e) {
+      console.warn('Error closing audio context:', e);
+    }
+  }
+
+  stopStatusUpdates();
+
+  // Stop camera compositing and combined stream tracks
+  releaseCompositor();
+  stopAllTracks(combinedStream);
+
+  // Clear screen share end detection interval
+  try {
+    if (displayStream && displayStream.__shareEndPollId) {
+      clearInterval(displayStream.__shareEndPollId);
+      console.log('Cleared share-end poll interval');
+    }
+  } catch (e) {
+    console.warn('Error clearing poll interval:', e);
+  }
+
+  // Stop display, mic and camera streams
+  stopAllTracks(displayStream);
+  stopAllTracks(micStream);
+  stopAllTracks(cameraStream);
+
+  // Clear stream references
+  combinedStream = null;
+  displayStream = null;
+  micStream = null;
+  cameraStream = null;
+  recordingProfile = '';
+
+  console.log('Resource cleanup complete');
+}
+
+// ============================================================
+// RECORDING LIFECYCLE - Start Recording
+// ============================================================
+
+/**
+ * Main recording flow - opens the streams chosen in the recorder window,
+ * mixes them and starts MediaRecorder
+ * Permission prompts and the screen picker have already been handled by
+ * the recorder window, which passes the resulting stream ID along.
+ *
+ * @param {Object} options - Recording options
+ * @param {Object|null} options.capture - { source: 'desktop'|'tab', streamId, audio };
+ *   null for an audio-only recording of just the microphone
+ * @param {boolean} [options.audioOnly] - Record audio without video
+ * @param {string} [options.audioFormat] - 'webm', 'ogg' or 'wav' for audio-only recordings
+ * @param {boolean} options.includeMic - Record the microphone
+ * @param {boolean} options.includeCamera - Overlay the camera picture-in-picture
+ * @param {boolean} options.separateTracks - Also save mic and system audio separately
+ * @param {string} options.source - Meeting platform that started the recording
+ * @param {string} [options.meetingSessionId] - Detected meeting session being recorded
+ * @param {Object} options.gains - Channel name -> linear gain
+ * @param {string[]} options.muted - Muted channel names
+ * @param {Object} options.cameraOverlay - Compositor options
+ * @param {Object} options.limits - { maxDurationMinutes, maxSizeMb }
+ * @param {Object} [options.quality] - Recording settings from the settings page
+ * @param {string} [options.presetName] - Preset the recording was started with
+ * @param {string} [options.filenameTemplate] - Template for download names
+ * @param {string} [options.meetingId] - Identifier of the recorded meeting
+ * @returns {Promise<{ok: boolean, error?: string}>} Start result
+ */
+async function startRecording(options) {
+  if (engineState !== 'idle') {
+    return { ok: false, error: 'A recording is already in progress.' };
+  }
+
+  console.log('Starting recording...');
+  setEngineState('starting', 'Preparing...');
+
+  channelGains = Object.assign({ system: 1, mic: 1 }, options.gains);
+  mutedChannels = new Set(options.muted || []);
+  cameraOverlayOptions = Object.assign({}, options.cameraOverlay);
+  limits = Object.assign({ maxDurationMinutes: 0, maxSizeMb: 0 }, options.limits);
+  recordingSettings = RecordingSettings.normalize(options.quality);
+  audioOnly = Boolean(options.audioOnly);
+  audioFormat = Object.prototype.hasOwnProperty.call(RecordingSettings.AUDIO_FORMATS, options.audioFormat)
+    ? options.audioFormat
+    : 'webm';
+
+  /**
+   * Releases everything opened so far and reports the failure
+   * @param {string} message - Error message for the remote control
+   * @returns {{ok: boolean, error: string}} Failed start result
+   */
+  const fail = (message) => {
+    recorder = null;
+    // Same cleanup as a stop, so the mixer's AudioContext is closed too
+    cleanupRecordingResources();
+    setEngineState('idle', message);
+    return { ok: false, error: message };
+  };
+
+  // ========================================
+  // STEP 1: Open Microphone & Camera
+  // ========================================
+  if (options.includeMic) {
+    try {
+      micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      console.log('Microphone opened');
+    } catch (err) {
+      // The recorder window already confirmed the microphone is optional
+      console.warn('Microphone unavailable, continuing without it:', err);
+      micStream = null;
+    }
+  }
+
+  if (options.includeCamera && !audioOnly) {
+    try {
+      cameraStream = await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 640 }, height: { ideal: 480 } }
+      });
+      console.log('Camera opened');
+    } catch (err) {
+      console.warn('Camera unavailable, continuing without overlay:', err);
+      cameraStream = null;
+    }
+  }
+
+  // ========================================
+  // STEP 2: Open Screen or Tab Capture
+  // ========================================
+  if (options.capture) {
+    try {
+      displayStream = await captureSource(options.capture, recordingSettings, audioOnly);
+      console.log('Capture started:', options.capture.source);
+      attachDisplayEndHandlers(displayStream);
+    } catch (err) {
+      console.warn('Capture failed:', err);
+      return fail('Failed to start display capture: ' + describeError(err));
+    }
+  }
+
+  if (audioOnly && !micStream && !(displayStream && displayStream.getAudioTracks().length > 0)) {
+    return fail('Nothing to record: share tab or system audio, or enable the microphone.');
+  }
+
+  // ========================================
+  // STEP 3: Mix Audio Streams
+  // ========================================
+  try {
+    combinedStream = await createCombinedStreamUsingAudioContext(displayStream, micStream, cameraStream, audioOnly);
+    console.log('Combined stream created successfully');
+  } catch (err) {
+    console.error('Failed to create combined stream:', err);
+    return fail('Failed to prepare audio mixing: ' + describeError(err));
+  }
+
+  // ========================================
+  // STEP 4: Create MediaRecorder
+  // ========================================
+  const { mimeType, codec } = audioOnly
+    ? { mimeType: RecordingSettings.pickAudioMimeType(type => MediaRecorder.isTypeSupported(type)), codec: null }
+    : getSupportedMimeType(recordingSettings);
+  const recorderOptions = RecordingSettings.getRecorderOptions(recordingSettings);
+  if (mimeType) recorderOptions.mimeType = mimeType;
+  if (!audioOnly) recorderOptions.videoKeyFrameIntervalDuration = KEYFRAME_INTERVAL_MS;
+  try {
+    recorder = new MediaRecorder(combinedStream, recorderOptions);
+    recordingProfile = audioOnly
+      ? RecordingSettings.describeAudio(recordingSettings, audioFormat)
+      : RecordingSettings.describe(recordingSettings, codec);
+    console.log('MediaRecorder created:', recordingProfile);
+  } catch (err) {
+    console.error('MediaRecorder creation failed:', err);
+    return fail('Recording failed: ' + describeError(err));
+  }
+
+  // ========================================
+  // STEP 5: Create Recording Store Entry
+  // ========================================
+  try {
+    const recording = await RecordingStore.createRecording({
+      mimeType: recorder.mimeType || mimeType || (audioOnly ? 'audio/webm' : 'video/webm'),
+      source: options.source || 'manual',
+      captureMode: audioOnly ? 'audio' : options.capture.source === 'tab' ? 'tab' : 'display',
+      meetingSessionId: options.meetingSessionId || null,
+      presetName: options.presetName || null,
+      filenameTemplate: options.filenameTemplate || null,
+      meetingId: options.meetingId || null,
+      title: 'Recording ' + new Date().toLocaleString()
+    });
+    recordingId = recording.id;
+    releaseSessionLock = RecordingStore.holdSessionLock(recordingId);
+    chunkIndex = 0;
+    pendingWrites = Promise.resolve();
+    console.log('Recording store entry created:', recordingId);
+
+    if (options.separateTracks) {
+      trackRecorders = await createTrackRecorders(recordingId);
+    }
+  } catch (err) {
+    console.error('Could not create recording entry:', err);
+    return fail('Could not open recording storage: ' + describeError(err));
+  }
+
+  // ========================================
+  // STEP 6: Setup Recorder Event Handlers
+  // ========================================
+
+  // Persist data chunks as they become available
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      const id = recordingId;
+      const index = chunkIndex++;
+      const data = event.data;
+
+      bytesRecorded += data.size;
+      checkRecordingLimits();
+
+      // Chain writes so chunks land in order and stop can wait for them
+      pendingWrites = pendingWrites
+        .then(() => {
+          if (chunkWriteError) return;  // Keep what was stored free of gaps
+          return RecordingStore.appendChunk(id, index, data)
+            .then(() => console.log(`Stored chunk ${index}: ${data.size} bytes`));
+        })
+        .catch(handleChunkWriteError);
+    }
+  };
+
+  recorder.onstop = handleRecorderStop;
+
+  recorder.onerror = (event) => {
+    console.error('Recorder error:', event);
+    recorderError = 'Recorder error: ' + (event && event.error && event.error.name ? event.error.name : event);
+    statusMessage = recorderError;
+    broadcastStatus();
+  };
+
+  // ========================================
+  // STEP 7: Start Recording
+  // ========================================
+  try {
+    recorder.start(recordingSettings.timesliceMs);  // Emit a chunk every timeslice
+    startTrackRecorders();
+    console.log('Recording started successfully');
+  } catch (err) {
+    console.error('recorder.start() failed:', err);
+
+    RecordingStore.deleteRecording(recordingId).catch(e =>
+      console.warn('Error deleting unused recording entry:', e)
+    );
+    releaseSessionLock();
+    releaseSessionLock = null;
+    recordingId = null;
+    trackRecorders = [];
+    return fail('Could not start recorder: ' + describeError(err));
+  }
+
+  recordingStartedAt = Date.now();
+  pausedAt = 0;
+  pausedTotalMs = 0;
+  pauseIntervals = [];
+  markers = [];
+  bytesRecorded = 0;
+  autoStopReason = null;
+  recorderError = null;
+  chunkWriteError = null;
+  startStatusUpdates();
+  setEngineState('recording', 'Recording... Click Stop to finish.');
+
+  return { ok: true, recordingId: recordingId };
+}
+
+// ============================================================
+// RECORDING LIFECYCLE - Stop Recording
+// ============================================================
+
+/**
+ * Stops the active recording
+ * Called from the remote control, when sharing ends, when a limit is hit
+ * or when background.js sees the recorded meeting end
+ * @param {string} [reason] - Why the recording stopped automatically
+ */
+function stopRecording(reason) {
+  console.log('Stopping recording...');
+
+  if (reason && !autoStopReason) autoStopReason = reason;
+
+  if (recorder && recorder.state !== 'inactive') {
+    statusMessage = 'Stopping...';
+    try {
+      recorder.stop();  // Triggers handleRecorderStop callback
+    } catch (e) {
+      console.warn('Error stopping recorder:', e);
+    }
+  } else if (engineState === 'recording' || engineState === 'paused') {
+    // Recorder already stopped or never started - manual cleanup
+    cleanupRecordingResources();
+    setEngineState('idle', 'Stopped.');
+  }
+}
+
+// ============================================================
+// RECORDING LIFECYCLE - Pause & Resume
+// ============================================================
+
+/**
+ * Returns recorded time so far, excluding paused time
+ * @returns {number} Elapsed recording time in milliseconds
+ */
+function getElapsedMs() {
+  if (!recordingStartedAt) return 0;
+
+  const now = pausedAt || Date.now();
+  return now - recordingStartedAt - pausedTotalMs;
+}
+
+/**
+ * Pauses the active recording and opens a new break interval
+ */
+function pauseRecording() {
+  if (!recorder || recorder.state !== 'recording') return;
+
+  try {
+    recorder.pause();
+    trackRecorders
+      .filter(track => track.recorder.state === 'recording')
+      .forEach(track => track.recorder.pause());
+  } catch (e) {
+    console.warn('Error pausing recorder:', e);
+    return;
+  }
+
+  pausedAt = Date.now();
+  pauseIntervals.push({ at: getElapsedMs() / 1000, duration: 0 });
+  savePauseIntervals();
+
+  setEngineState('paused', `Paused at ${formatElapsed(getElapsedMs())}. Click Resume to continue.`);
+  console.log('Recording paused');
+}
+
+/**
+ * Resumes a paused recording and closes the current break interval
+ */
+function resumeRecording() {
+  if (!recorder || recorder.state !== 'paused') return;
+
+  try {
+    recorder.resume();
+    trackRecorders
+      .filter(track => track.recorder.state === 'paused')
+      .forEach(track => track.recorder.resume());
+  } catch (e) {
+    console.warn('Error resuming recorder:', e);
+    return;
+  }
+
+  markResumed();
+
+  setEngineState('recording', `Recording resumed at ${formatElapsed(getElapsedMs())}. Click Stop to finish.`);
+  console.log('Recording resumed');
+}
+
+/**
+ * Adds the current pause to the paused total and records its length
+ */
+function markResumed() {
+  const pausedFor = Date.now() - pausedAt;
+  const current = pauseIntervals[pauseIntervals.length - 1];
+
+  pausedTotalMs += pausedFor;
+  pausedAt = 0;
+  if (current) current.duration = pausedFor / 1000;
+
+  savePauseIntervals();
+}
+
+/**
+ * Persists break intervals so interrupted recordings keep them too
+ */
+function savePauseIntervals() {
+  if (!recordingId) return;
+
+  RecordingStore.updateRecording(recordingId, { pauses: pauseIntervals })
+    .catch(e => console.warn('Error saving pause intervals:', e));
+}
+
+// ============================================================
+// RECORDING LIFECYCLE - Markers
+// ============================================================
+
+/**
+ * Drops a marker at the current recording time
+ * @param {string} kind - RecordingMarkers.KINDS key
+ * @param {string} [text] - What was decided or noted
+ */
+function addMarker(kind, text) {
+  if (!recordingId || (engineState !== 'recording' && engineState !== 'paused')) return;
+
+  const marker = RecordingMarkers.create(kind, getElapsedMs() / 1000, text);
+  markers.push(marker);
+  saveMarkers();
+
+  statusMessage = `${RecordingMarkers.KINDS[marker.kind].label} marked at ${formatElapsed(marker.at * 1000)}.`;
+  broadcastStatus();
+}
+
+/**
+ * Persists markers so interrupted recordings keep them too
+ */
+function saveMarkers() {
+  RecordingStore.updateRecording(recordingId, { markers: markers })
+    .catch(e => console.warn('Error saving markers:', e));
+}
+
+// ============================================================
+// SEPARATE AUDIO TRACKS
+// ============================================================
+
+/**
+ * Creates audio-only recorders for the raw mic and system audio
+ * Each track is stored as its own recording linked to the main one,
+ * so levels can be fixed in post independently of the mix
+ * @param {string} parentId - Main recording ID
+ * @returns {Promise<Object[]>} Track recorder descriptors
+ */
+async function createTrackRecorders(parentId) {
+  const sources = [
+    { kind: 'system', tracks: displayStream ? displayStream.getAudioTracks() : [] },
+    { kind: 'mic', tracks: micStream ? micStream.getAudioTracks() : [] }
+  ];
+  const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus')
+    ? 'audio/webm;codecs=opus'
+    : 'audio/webm';
+  const trackOptions = { mimeType };
+  if (recordingSettings.audioBitrateKbps) {
+    trackOptions.audioBitsPerSecond = recordingSettings.audioBitrateKbps * 1000;
+  }
+  const tracks = [];
+
+  for (const source of sources) {
+    if (source.tracks.length === 0) continue;
+
+    try {
+      const trackRecorder = new MediaRecorder(new MediaStream(source.tracks), trackOptions);
+      const entry = await RecordingStore.createRecording({
+        parentId: parentId,
+        trackKind: source.kind,
+        mimeType: trackRecorder.mimeType || mimeType
+      });
+
+      const track = {
+        kind: source.kind,
+        id: entry.id,
+        recorder: trackRecorder,
+        chunkIndex: 0,
+        pendingWrites: Promise.resolve(),
+        started: false
+      };
+
+      track.stopped = new Promise(resolve => { trackRecorder.onstop = resolve; });
+      trackRecorder.ondataavailable = (event) => {
+        if (!event.data || event.data.size === 0) return;
+
+        const index = track.chunkIndex++;
+        const data = event.data;
+        track.pendingWrites = track.pendingWrites
+          .then(() => {
+            if (chunkWriteError) return;
+            return RecordingStore.appendChunk(track.id, index, data);
+          })
+          .catch(handleChunkWriteError);
+      };
+
+      tracks.push(track);
+      console.log('Separate track recorder created:', source.kind);
+    } catch (err) {
+      console.warn(`Could not record separate ${source.kind} track:`, err);
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Starts the track recorders in the same tick as the main recorder
+ * so their first blocks line up with the main recording's audio
+ */
+function startTrackRecorders() {
+  trackRecorders.forEach(track => {
+    try {
+      track.recorder.start(recordingSettings.timesliceMs);
+      track.started = true;
+    } catch (err) {
+      console.warn(`Could not start ${track.kind} track recorder:`, err);
+    }
+  });
+}
+
+/**
+ * Stops all track recorders that are still running
+ */
+function stopTrackRecorders() {
+  trackRecorders.forEach(track => {
+    if (track.recorder.state !== 'inactive') {
+      try {
+        track.recorder.stop();
+      } catch (e) {
+        console.warn(`Error stopping ${track.kind} track recorder:`, e);
+      }
+    }
+  });
+}
+
+/**
+ * Finds where audio starts on the main recording's timeline
+ * Only the head of the file is read; the first audio block is near the start
+ * @param {string} mainId - Main recording ID
+ * @returns {Promise<number|null>} Seconds, or null if it cannot be read
+ */
+async function measureAudioStart(mainId) {
+  try {
+    const blob = await RecordingStore.getRecordingBlob(mainId);
+    if (!blob) return null;
+
+    const file = WebM.parse(await blob.slice(0, AUDIO_START_SCAN_BYTES).arrayBuffer());
+    const audioTrack = file.tracks.find(track => track.type === 'audio');
+    const audioTimes = file.frames
+      .filter(frame => audioTrack && frame.track === audioTrack.number)
+      .map(frame => frame.time);
+    if (audioTimes.length === 0) return null;
+
+    return Math.min(...audioTimes) * file.timecodeScale / 1e9;
+  } catch (err) {
+    console.warn('Could not read where the recording\'s audio starts:', err);
+    return null;
+  }
+}
+
+/**
+ * Moves a stored track onto the main recording's timeline
+ * The aligned file is already indexed, so it is not finalized again
+ * @param {Object} track - Track recorder descriptor
+ * @param {number} audioStart - Main recording's audio start in seconds
+ * @returns {Promise<boolean>} True if the track was aligned
+ */
+async function alignTrack(track, audioStart) {
+  try {
+    const blob = await RecordingStore.getRecordingBlob(track.id);
+    if (!blob) return false;
+
+    const result = WebM.align(WebM.parse(await blob.arrayBuffer()), audioStart);
+    await RecordingStore.replaceChunks(track.id, new Blob([result.blob], { type: blob.type }), {
+      indexed: true,
+      aligned: true,
+      duration: result.duration
+    });
+    return true;
+  } catch (err) {
+    console.warn(`Could not align ${track.kind} track:`, err);
+    return false;
+  }
+}
+
+/**
+ * Waits for track recorders to flush, marks their entries complete
+ * and lines them up with the main recording
+ * @param {string} mainId - Main recording ID
+ * @param {number} duration - Main recording duration in seconds
+ */
+async function finalizeTrackRecorders(mainId, duration) {
+  if (trackRecorders.length === 0) return;
+
+  await Promise.all(trackRecorders.map(async track => {
+    // The final chunk arrives just before 'stop' fires
+    if (track.started) await track.stopped;
+    await track.pendingWrites;
+  }));
+
+  const audioStart = await measureAudioStart(mainId);
+
+  await Promise.all(trackRecorders.map(async track => {
+    await RecordingStore.updateRecording(track.id, { status: 'complete', duration: duration });
+    if (audioStart === null || !(await alignTrack(track, audioStart))) {
+      await WebMFinalizer.finalizeRecording(track.id);
+    }
+  }));
+}
+
+// ============================================================
+// AUTOMATIC LIMITS
+// ============================================================
+
+/**
+ * Stops the recording once the duration or size limit is reached
+ * Limits can be changed from the remote control while recording
+ */
+function checkRecordingLimits() {
+  if (autoStopReason || !recorder || recorder.state === 'inactive') return;
+
+  const { maxDurationMinutes, maxSizeMb } = limits;
+
+  if (maxDurationMinutes && getElapsedMs() >= maxDurationMinutes * 60 * 1000) {
+    autoStopReason = `Recording stopped automatically: reached the ${maxDurationMinutes} minute limit.`;
+  } else if (maxSizeMb && bytesRecorded >= maxSizeMb * 1024 * 1024) {
+    autoStopReason = `Recording stopped automatically: reached the ${maxSizeMb} MB limit.`;
+  }
+
+  if (autoStopReason) {
+    console.log(autoStopReason);
+    stopRecording();
+    statusMessage = autoStopReason + ' Saving...';
+  }
+}
+
+// ============================================================
+// MESSAGE HANDLING - Remote Control
+// ============================================================
+
+/**
+ * Handles commands relayed by background.js
+ * Only messages addressed to the offscreen document are answered
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  switch (message.action) {
+    case 'startRecording':
+      startRecording(message.options).then(sendResponse).catch(err => {
+        console.error('Start failed:', err);
+        sendResponse({ ok: false, error: describeError(err) });
+      });
+      return true;  // Keep channel open for async response
+
+    case 'stopRecording':
+      stopRecording(message.reason);
+      break;
+
+    case 'pauseRecording':
+      pauseRecording();
+      break;
+
+    case 'resumeRecording':
+      resumeRecording();
+      break;
+
+    case 'addMarker':
+      addMarker(message.kind, message.text);
+      break;
+
+    case 'setChannelGain':
+      setChannelGain(message.channel, message.value);
+      break;
+
+    case 'setChannelMute':
+      setChannelMute(message.channel, message.muted);
+      break;
+
+    case 'setCameraOverlay':
+      setCameraOverlayOptions(message.options);
+      break;
+
+    case 'setLimits':
+      limits = Object.assign({}, limits, message.limits);
+      checkRecordingLimits();
+      break;
+
+    case 'getRecorderStatus':
+      break;
+
+    default:
+      console.warn('Unknown offscreen action:', message.action);
+      return;
+  }
+
+  sendResponse(getStatus());
+});
+
+// ============================================================
+// END OF OFFSCREEN.JS
+// ============================================================
+console.log('Offscreen recording engine loaded');
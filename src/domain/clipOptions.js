@@ -0,0 +1,135 @@
+// ============================================================
+// CLIP OPTIONS - Animated GIF / WebP Clip Settings
+// ============================================================
+// Format, frame rate, width and palette for short looping clips
+// cut from a recording, plus the frame times to sample and a
+// rough output size shown before encoding. Pure functions, all
+// times in seconds.
+// ============================================================
+
+const ClipOptions = (() => {
+  const FORMATS = {
+    gif: { label: 'GIF', mimeType: 'image/gif' },
+    webp: { label: 'Animated WebP', mimeType: 'image/webp' }
+  };
+
+  const FRAME_RATES = [5, 10, 15, 20];
+  const WIDTHS = [320, 480, 640, 800, 1024];
+  const PALETTES = [256, 128, 64, 32, 16];      // GIF colors per frame
+  const QUALITIES = [0.5, 0.7, 0.8, 0.9];       // WebP lossy quality
+
+  const DEFAULT_OPTIONS = {
+    format: 'gif',
+    frameRate: 10,
+    width: 640,
+    colors: 128,
+    quality: 0.8
+  };
+
+  // Longer clips are cut short; clips are meant for tickets and chat
+  const MAX_FRAMES = 600;
+
+  // Size estimate: compressed bits per pixel of a full frame, and the
+  // share of each later frame that changes in typical screen content
+  const GIF_BITS_PER_COLOR_BIT = 0.45;
+  const CHANGED_AREA = 0.2;
+
+  /**
+   * Fills in missing or invalid options with defaults
+   * @param {Object} [options] - Options as entered
+   * @returns {Object} Complete options
+   */
+  function normalize(options) {
+    options = options || {};
+    const pick = (list, value, fallback) => (list.includes(Number(value)) ? Number(value) : fallback);
+
+    return {
+      format: Object.prototype.hasOwnProperty.call(FORMATS, options.format) ? options.format : DEFAULT_OPTIONS.format,
+      frameRate: pick(FRAME_RATES, options.frameRate, DEFAULT_OPTIONS.frameRate),
+      width: pick(WIDTHS, options.width, DEFAULT_OPTIONS.width),
+      colors: pick(PALETTES, options.colors, DEFAULT_OPTIONS.colors),
+      quality: pick(QUALITIES, options.quality, DEFAULT_OPTIONS.quality)
+    };
+  }
+
+  /**
+   * Scales the recording to the clip width, never enlarging it
+   * @param {number} sourceWidth - Recording width
+   * @param {number} sourceHeight - Recording height
+   * @param {number} width - Chosen clip width
+   * @returns {{width: number, height: number}} Even clip size
+   */
+  function outputSize(sourceWidth, sourceHeight, width) {
+    const targetWidth = Math.min(width, sourceWidth || width);
+    const targetHeight = sourceWidth ? targetWidth * sourceHeight / sourceWidth : targetWidth * 9 / 16;
+
+    return {
+      width: Math.max(2, Math.round(targetWidth / 2) * 2),
+      height: Math.max(2, Math.round(targetHeight / 2) * 2)
+    };
+  }
+
+  /**
+   * Lists the recording times to sample, skipping cut sections
+   * @param {Array<{start: number, end: number}>} ranges - Kept sections in order
+   * @param {number} frameRate - Frames per second
+   * @returns {number[]} Frame times, at most MAX_FRAMES
+   */
+  function frameTimes(ranges, frameRate) {
+    const times = [];
+    const step = 1 / frameRate;
+
+    for (const range of ranges) {
+      for (let time = range.start; time < range.end && times.length < MAX_FRAMES; time += step) {
+        times.push(time);
+      }
+    }
+
+    return times;
+  }
+
+  /**
+   * Guesses the encoded size before anything is encoded
+   * @param {Object} options - Normalized options
+   * @param {number} frameCount - Number of frames
+   * @param {{width: number, height: number}} size - Clip size
+   * @returns {number} Estimated bytes
+   */
+  function estimateBytes(options, frameCount, size) {
+    if (frameCount === 0) return 0;
+
+    const pixels = size.width * size.height;
+    const bitsPerPixel = options.format === 'gif'
+      ? Math.log2(options.colors) * GIF_BITS_PER_COLOR_BIT
+      : 0.3 + 1.2 * options.quality;
+    const fullFrame = pixels * bitsPerPixel / 8;
+
+    return Math.round(fullFrame * (1 + (frameCount - 1) * CHANGED_AREA));
+  }
+
+  /**
+   * Formats a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. '850 KB' or '3.2 MB'
+   */
+  function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  return {
+    FORMATS,
+    FRAME_RATES,
+    WIDTHS,
+    PALETTES,
+    QUALITIES,
+    DEFAULT_OPTIONS,
+    MAX_FRAMES,
+    normalize,
+    outputSize,
+    frameTimes,
+    estimateBytes,
+    formatBytes
+  };
+})();
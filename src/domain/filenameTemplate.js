@@ -0,0 +1,119 @@
+// ============================================================
+// FILENAME TEMPLATE - Download Paths for Recordings
+// ============================================================
+// Turns a template such as 'meetings/{platform}/{date}_{title}'
+// into a safe relative download path. Slashes create subfolders
+// inside the downloads folder; characters that are not allowed
+// in filenames are replaced.
+// ============================================================
+
+const FilenameTemplate = (() => {
+  const DEFAULT_TEMPLATE = 'screen-recording-{date}_{time}';
+
+  // Token -> description, shown next to the template field
+  const TOKENS = {
+    date: 'Start date, e.g. 2026-10-19',
+    time: 'Start time, e.g. 14-05-30',
+    platform: 'Meeting platform, or manual',
+    meetingId: 'Meeting identifier, if detected',
+    title: 'Recording title',
+    duration: 'Length, e.g. 1h05m12s',
+    preset: 'Preset the recording used'
+  };
+
+  const MAX_SEGMENT_LENGTH = 120;
+
+  // Names Windows refuses for files and folders, with or without an extension
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+  /**
+   * @param {number} value - Number to pad
+   * @returns {string} Two-digit string
+   */
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  /**
+   * Formats a length in seconds, e.g. '5m03s' or '1h05m12s'
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration, empty if unknown
+   */
+  function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '';
+
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    return hours > 0
+      ? `${hours}h${pad(minutes)}m${pad(secs)}s`
+      : `${minutes}m${pad(secs)}s`;
+  }
+
+  /**
+   * Makes one folder or file name safe on every platform
+   * @param {string} segment - Rendered path segment
+   * @returns {string} Safe segment, empty if nothing is left
+   */
+  function sanitizeSegment(segment) {
+    let safe = segment
+      .replace(/[<>:"\\|?*\u0000-\u001f\u007f]/g, '_')
+      .replace(/\s+/g, ' ')
+      .slice(0, MAX_SEGMENT_LENGTH)
+      // Separators left over from empty tokens, and trailing dots Windows strips
+      .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+    if (RESERVED_NAMES.test(safe)) safe = '_' + safe;
+    return safe;
+  }
+
+  /**
+   * Fills in a template for a recording
+   * @param {string} template - Template with {token} placeholders and '/' for folders
+   * @param {Object} context - Recording details
+   * @param {Date|number} context.date - When the recording started
+   * @param {string} [context.platform] - Meeting platform or 'manual'
+   * @param {string} [context.meetingId] - Meeting identifier
+   * @param {string} [context.title] - Recording title
+   * @param {number} [context.duration] - Length in seconds
+   * @param {string} [context.preset] - Preset name
+   * @param {string} [context.suffix] - Appended to the file name, e.g. '-mic'
+   * @param {string} [context.extension] - File extension without dot (default 'webm')
+   * @returns {string} Relative path such as 'meetings/zoom/2026-10-19_standup.webm'
+   */
+  function render(template, context) {
+    const date = new Date(context.date || Date.now());
+    const values = {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+      platform: context.platform || 'manual',
+      meetingId: context.meetingId || '',
+      title: context.title || '',
+      duration: formatDuration(context.duration),
+      preset: context.preset || ''
+    };
+
+    // Token values cannot add folders of their own
+    const filled = String(template || DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (match, token) =>
+      Object.prototype.hasOwnProperty.call(values, token)
+        ? String(values[token]).replace(/[/\\]/g, '-')
+        : match
+    );
+
+    const segments = filled
+      .split(/[/\\]/)
+      .map(sanitizeSegment)
+      .filter(segment => segment && segment !== '.' && segment !== '..');
+
+    if (segments.length === 0) segments.push('screen-recording');
+
+    const last = segments.length - 1;
+    segments[last] = sanitizeSegment(segments[last] + (context.suffix || '')) || 'screen-recording';
+
+    return `${segments.join('/')}.${context.extension || 'webm'}`;
+  }
+
+  return { DEFAULT_TEMPLATE, TOKENS, formatDuration, render };
+})();
@@ -0,0 +1,38 @@
+// ============================================================
+// MEETING DOMAINS - Custom Domain Helpers
+// ============================================================
+// Validates user-added meeting domains (self-hosted or vanity
+// hosts of a supported platform) and turns them into the match
+// patterns used for host permissions and content scripts.
+// ============================================================
+
+const MeetingDomains = (() => {
+  const DOMAIN_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+  /**
+   * Cleans up a domain typed by the user
+   * Accepts full URLs and strips scheme, port and path
+   * @param {string} input - Domain or URL, e.g. 'https://meet.example.com/room'
+   * @returns {string|null} Domain such as 'meet.example.com' or '*.example.com', or null if invalid
+   */
+  function normalize(input) {
+    const domain = String(input || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/:?#].*$/, '');
+
+    return DOMAIN_PATTERN.test(domain) ? domain : null;
+  }
+
+  /**
+   * Builds the match pattern covering every page on a domain
+   * @param {string} domain - Normalized domain
+   * @returns {string} Match pattern, e.g. 'https://meet.example.com/*'
+   */
+  function toMatchPattern(domain) {
+    return `https://${domain}/*`;
+  }
+
+  return { normalize, toMatchPattern };
+})();
@@ -0,0 +1,144 @@
+// ============================================================
+// MEETING RULES - Auto-Record Decisions
+// ============================================================
+// Decides what happens when a meeting is detected: record it
+// straight away, ask through the recorder window, or ignore it.
+// Pure functions over a plain rules object so the same logic
+// runs in the service worker and in extension pages.
+// ============================================================
+
+const MeetingRules = (() => {
+  const ACTIONS = ['record', 'ask', 'ignore'];
+  const PLATFORMS = ['google-meet', 'zoom', 'teams', 'webex', 'jitsi', 'whereby'];
+
+  const DEFAULT_RULES = {
+    platforms: {
+      'google-meet': 'ask',
+      'zoom': 'ask',
+      'teams': 'ask',
+      'webex': 'ask',
+      'jitsi': 'ask',
+      'whereby': 'ask'
+    },
+    allowList: [],   // Meeting identifiers that always record
+    denyList: [],    // Meeting identifiers that never prompt
+    snoozed: {}      // Meeting identifier -> snoozed-until timestamp
+  };
+
+  /**
+   * Fills in missing or invalid fields with defaults
+   * @param {Object} [rules] - Rules as stored
+   * @returns {Object} Complete rules object
+   */
+  function normalize(rules) {
+    rules = rules || {};
+    const platforms = Object.assign({}, DEFAULT_RULES.platforms);
+
+    Object.keys(rules.platforms || {}).forEach(platform => {
+      if (ACTIONS.includes(rules.platforms[platform])) {
+        platforms[platform] = rules.platforms[platform];
+      }
+    });
+
+    return {
+      platforms: platforms,
+      allowList: Array.isArray(rules.allowList) ? rules.allowList.slice() : [],
+      denyList: Array.isArray(rules.denyList) ? rules.denyList.slice() : [],
+      snoozed: Object.assign({}, rules.snoozed)
+    };
+  }
+
+  /**
+   * Checks whether a meeting is snoozed
+   * @param {Object} rules - Normalized rules
+   * @param {string|null} meetingId - Meeting identifier
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if prompts are snoozed for the meeting
+   */
+  function isSnoozed(rules, meetingId, now) {
+    return Boolean(meetingId && rules.snoozed[meetingId] > now);
+  }
+
+  /**
+   * Decides what to do with a detected meeting
+   * Snooze and the deny list win over the allow list, which wins
+   * over the per-platform choice
+   * @param {Object} rules - Normalized rules
+   * @param {{meetingType: string, meetingId: string|null}} meeting - Detected meeting
+   * @param {number} [now] - Current timestamp
+   * @returns {string} 'record', 'ask' or 'ignore'
+   */
+  function evaluate(rules, meeting, now = Date.now()) {
+    const meetingId = meeting.meetingId;
+
+    if (isSnoozed(rules, meetingId, now)) return 'ignore';
+    if (meetingId && rules.denyList.includes(meetingId)) return 'ignore';
+    if (meetingId && rules.allowList.includes(meetingId)) return 'record';
+
+    return rules.platforms[meeting.meetingType] || 'ask';
+  }
+
+  /**
+   * Moves a meeting onto the allow or deny list
+   * A meeting is never on both lists at once
+   * @param {Object} rules - Normalized rules
+   * @param {string} meetingId - Meeting identifier
+   * @param {string} list - 'allowList' or 'denyList'
+   * @returns {Object} Updated rules
+   */
+  function addToList(rules, meetingId, list) {
+    const other = list === 'allowList' ? 'denyList' : 'allowList';
+    const updated = normalize(rules);
+
+    updated[other] = updated[other].filter(id => id !== meetingId);
+    if (!updated[list].includes(meetingId)) updated[list].push(meetingId);
+
+    return updated;
+  }
+
+  /**
+   * Snoozes prompts for a meeting until the end of the current day
+   * Recurring meetings reuse their identifier, so the next occurrence
+   * is handled normally again
+   * @param {Object} rules - Normalized rules
+   * @param {string} meetingId - Meeting identifier
+   * @param {number} [now] - Current timestamp
+   * @returns {Object} Updated rules
+   */
+  function snooze(rules, meetingId, now = Date.now()) {
+    const endOfDay = new Date(now);
+    endOfDay.setHours(24, 0, 0, 0);
+
+    const updated = pruneSnoozed(rules, now);
+    updated.snoozed[meetingId] = endOfDay.getTime();
+    return updated;
+  }
+
+  /**
+   * Drops expired snoozes
+   * @param {Object} rules - Normalized rules
+   * @param {number} [now] - Current timestamp
+   * @returns {Object} Updated rules
+   */
+  function pruneSnoozed(rules, now = Date.now()) {
+    const updated = normalize(rules);
+
+    Object.keys(updated.snoozed).forEach(meetingId => {
+      if (!(updated.snoozed[meetingId] > now)) delete updated.snoozed[meetingId];
+    });
+
+    return updated;
+  }
+
+  return {
+    ACTIONS,
+    PLATFORMS,
+    DEFAULT_RULES,
+    normalize,
+    isSnoozed,
+    evaluate,
+    addToList,
+    snooze,
+    pruneSnoozed
+  };
+})();
@@ -0,0 +1,178 @@
+// ============================================================
+// RECORDING MARKERS - Timestamped Notes & Chapters
+// ============================================================
+// Markers dropped while recording ("decision", "action item" or
+// a free note), stored with the recording and shown as chapters
+// in the preview. Pure functions over plain marker objects,
+// times in recording seconds (paused time excluded), plus the
+// WebVTT chapters and Markdown summary exports.
+// ============================================================
+
+const RecordingMarkers = (() => {
+  const KINDS = {
+    decision: { label: 'Decision', icon: '✅', heading: 'Decisions' },
+    action: { label: 'Action item', icon: '📌', heading: 'Action items' },
+    note: { label: 'Note', icon: '📝', heading: 'Notes' }
+  };
+
+  const MAX_TEXT_LENGTH = 500;
+
+  /**
+   * Creates a marker
+   * @param {string} kind - KINDS key; unknown kinds become 'note'
+   * @param {number} at - Recording time in seconds
+   * @param {string} [text] - What was decided or noted
+   * @returns {{kind: string, at: number, text: string}} Marker
+   */
+  function create(kind, at, text) {
+    return {
+      kind: Object.prototype.hasOwnProperty.call(KINDS, kind) ? kind : 'note',
+      at: Math.max(0, Number(at) || 0),
+      text: String(text || '').trim().slice(0, MAX_TEXT_LENGTH)
+    };
+  }
+
+  /**
+   * Cleans up stored markers and orders them by time
+   * @param {Array} [markers] - Markers as stored
+   * @returns {Array<{kind: string, at: number, text: string}>} Sorted markers
+   */
+  function normalize(markers) {
+    return (Array.isArray(markers) ? markers : [])
+      .filter(marker => marker && typeof marker === 'object')
+      .map(marker => create(marker.kind, marker.at, marker.text))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Moves markers onto the timeline of a trimmed copy
+   * Markers inside a cut or outside the in/out points are dropped
+   * @param {Array} markers - Markers
+   * @param {Array<{start: number, end: number}>} ranges - Kept sections, in order
+   * @returns {Array} Markers in the copy's seconds
+   */
+  function remap(markers, ranges) {
+    const moved = [];
+    let offset = 0;
+
+    ranges.forEach(range => {
+      normalize(markers)
+        .filter(marker => marker.at >= range.start && marker.at < range.end)
+        .forEach(marker => moved.push(Object.assign(marker, { at: offset + marker.at - range.start })));
+      offset += range.end - range.start;
+    });
+
+    return moved;
+  }
+
+  /**
+   * @param {Object} marker - Marker
+   * @returns {string} e.g. 'Decision: ship on Friday', or just the kind label
+   */
+  function describe(marker) {
+    const label = KINDS[marker.kind].label;
+    return marker.text ? `${label}: ${marker.text}` : label;
+  }
+
+  /**
+   * Formats seconds as H:MM:SS, or MM:SS under an hour
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time
+   */
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const mmss = `${String(Math.floor((total % 3600) / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+  }
+
+  /**
+   * Formats seconds as a WebVTT timestamp, HH:MM:SS.mmm
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp
+   */
+  function vttTimestamp(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const secs = Math.floor((ms % 60000) / 1000);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+  }
+
+  /**
+   * Escapes text for a WebVTT cue payload
+   * @param {string} text - Plain text
+   * @returns {string} Cue text
+   */
+  function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\s*\n\s*/g, ' ');
+  }
+
+  /**
+   * Builds a WebVTT chapters file; each marker starts a chapter that
+   * runs to the next marker or the end of the recording
+   * @param {Array} markers - Markers
+   * @param {number} duration - Recording length in seconds
+   * @returns {string} WebVTT file contents
+   */
+  function toWebVtt(markers, duration) {
+    const sorted = normalize(markers);
+    const cues = sorted.map((marker, i) => {
+      const next = sorted[i + 1];
+      const end = Math.max(marker.at, next ? next.at : Math.max(duration || 0, marker.at));
+      return `${i + 1}\n${vttTimestamp(marker.at)} --> ${vttTimestamp(end)}\n${escapeVtt(describe(marker))}`;
+    });
+
+    return ['WEBVTT'].concat(cues).join('\n\n') + '\n';
+  }
+
+  /**
+   * Escapes characters Markdown would treat as formatting
+   * @param {string} text - Plain text
+   * @returns {string} Markdown-safe text
+   */
+  function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+  }
+
+  /**
+   * Builds a Markdown summary: decisions, action items (as a task
+   * list) and notes, followed by the full timeline
+   * @param {Object} recording - Recording metadata (title, createdAt, duration)
+   * @param {Array} markers - Markers
+   * @returns {string} Markdown document
+   */
+  function toMarkdown(recording, markers) {
+    const sorted = normalize(markers);
+    const lines = [`# ${escapeMarkdown(recording.title || 'Recording')}`, ''];
+
+    if (recording.createdAt) lines.push(`- **Recorded:** ${new Date(recording.createdAt).toLocaleString()}`);
+    if (recording.duration) lines.push(`- **Duration:** ${formatTime(recording.duration)}`);
+    lines.push(`- **Markers:** ${sorted.length}`);
+
+    Object.keys(KINDS).forEach(kind => {
+      const ofKind = sorted.filter(marker => marker.kind === kind);
+      if (ofKind.length === 0) return;
+
+      lines.push('', `## ${KINDS[kind].heading}`, '');
+      ofKind.forEach(marker => {
+        const text = escapeMarkdown(marker.text || KINDS[kind].label);
+        lines.push(kind === 'action'
+          ? `- [ ] ${text} (${formatTime(marker.at)})`
+          : `- **${formatTime(marker.at)}** ${text}`);
+      });
+    });
+
+    if (sorted.length > 0) {
+      lines.push('', '## Timeline', '');
+      sorted.forEach(marker => {
+        lines.push(`- ${formatTime(marker.at)} ${KINDS[marker.kind].icon} ${escapeMarkdown(describe(marker))}`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  return { KINDS, create, normalize, remap, describe, formatTime, toWebVtt, toMarkdown };
+})();
@@ -0,0 +1,330 @@
+// ============================================================
+// RECORDING PRESETS - Named Recording Setups
+// ============================================================
+// A preset bundles audio sources, camera overlay, automatic
+// limits, quality settings and the download filename template.
+// Applying a preset copies it into the recorder's preferences.
+// Pure functions over a plain state object; requires
+// src/domain/recordingSettings.js and src/domain/filenameTemplate.js
+// to be loaded first.
+// ============================================================
+
+const RecordingPresets = (() => {
+  // Recorder preferences stored in chrome.storage.local, by preset section
+  const DEFAULT_PREFERENCES = {
+    audio: {
+      includeSystemAudio: false,
+      includeMic: true,
+      separateTracks: false,
+      audioOnly: false,
+      audioFormat: 'webm'
+    },
+    overlay: {
+      includeCamera: false,
+      cameraCorner: 'bottom-right',
+      cameraSize: 'medium',
+      cameraShape: 'circle'
+    },
+    limits: {
+      maxDurationMinutes: 240,
+      maxSizeMb: 0,
+      autoStopOnMeetingEnd: true,
+      meetingEndGraceSeconds: 30
+    }
+  };
+
+  const DEFAULT_FILENAME_TEMPLATE = FilenameTemplate.DEFAULT_TEMPLATE;
+
+  // Allowed values for string preferences
+  const CHOICES = {
+    cameraCorner: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+    cameraSize: ['small', 'medium', 'large'],
+    cameraShape: ['circle', 'rounded'],
+    audioFormat: Object.keys(RecordingSettings.AUDIO_FORMATS)
+  };
+
+  const BUILT_IN_PRESETS = [
+    {
+      id: 'meeting',
+      name: 'Meeting',
+      audio: { includeSystemAudio: true, includeMic: true, separateTracks: true },
+      overlay: { includeCamera: false },
+      limits: { maxDurationMinutes: 240, autoStopOnMeetingEnd: true },
+      quality: { maxResolution: '1080', frameRate: 24 },
+      filenameTemplate: 'meetings/{platform}/{date}_{title}'
+    },
+    {
+      id: 'tutorial',
+      name: 'Tutorial',
+      audio: { includeSystemAudio: true, includeMic: true, separateTracks: false },
+      overlay: { includeCamera: true, cameraCorner: 'bottom-right', cameraSize: 'medium' },
+      limits: { maxDurationMinutes: 60, autoStopOnMeetingEnd: false },
+      quality: { maxResolution: '1080', frameRate: 30, videoBitrateKbps: 8000 },
+      filenameTemplate: 'tutorials/{date}_{title}'
+    },
+    {
+      id: 'bug-report',
+      name: 'Bug report',
+      audio: { includeSystemAudio: false, includeMic: true, separateTracks: false },
+      overlay: { includeCamera: false },
+      limits: { maxDurationMinutes: 10, maxSizeMb: 100, autoStopOnMeetingEnd: false },
+      quality: { maxResolution: '1080', frameRate: 30 },
+      filenameTemplate: 'bug-reports/{date}_{time}'
+    }
+  ];
+
+  /**
+   * Creates a new preset ID
+   * @returns {string} Unique ID
+   */
+  function createId() {
+    return 'preset_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+  }
+
+  /**
+   * Reads one preset section, keeping only known keys of the right type
+   * @param {Object} defaults - Default values of the section
+   * @param {Object} [values] - Values as stored
+   * @returns {Object} Complete section
+   */
+  function normalizeSection(defaults, values) {
+    values = values || {};
+    const section = {};
+
+    Object.keys(defaults).forEach(key => {
+      const value = values[key];
+      const fallback = defaults[key];
+
+      if (typeof fallback === 'boolean') {
+        section[key] = typeof value === 'boolean' ? value : fallback;
+      } else if (typeof fallback === 'number') {
+        const number = parseFloat(value);
+        section[key] = Number.isFinite(number) && number >= 0 ? number : fallback;
+      } else {
+        section[key] = CHOICES[key].includes(value) ? value : fallback;
+      }
+    });
+
+    return section;
+  }
+
+  /**
+   * Fills in missing or invalid preset fields with defaults
+   * @param {Object} [preset] - Preset as stored or imported
+   * @returns {Object} Complete preset
+   */
+  function normalizePreset(preset) {
+    preset = preset || {};
+    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+
+    return {
+      id: typeof preset.id === 'string' && preset.id ? preset.id : createId(),
+      name: name || 'Untitled preset',
+      audio: normalizeSection(DEFAULT_PREFERENCES.audio, preset.audio),
+      overlay: normalizeSection(DEFAULT_PREFERENCES.overlay, preset.overlay),
+      limits: normalizeSection(DEFAULT_PREFERENCES.limits, preset.limits),
+      quality: RecordingSettings.normalize(preset.quality),
+      filenameTemplate: typeof preset.filenameTemplate === 'string' && preset.filenameTemplate.trim()
+        ? preset.filenameTemplate.trim()
+        : DEFAULT_FILENAME_TEMPLATE
+    };
+  }
+
+  /**
+   * Fills in the preset state, starting from the built-in presets
+   * @param {Object} [state] - State as stored
+   * @returns {{presets: Object[], activeId: string|null, lastUsed: Object}} Complete state
+   */
+  function normalize(state) {
+    state = state || {};
+    const presets = (Array.isArray(state.presets) ? state.presets : BUILT_IN_PRESETS)
+      .map(normalizePreset);
+    const ids = presets.map(preset => preset.id);
+
+    // Platform or 'manual' -> ID of the preset used last
+    const lastUsed = {};
+    Object.keys(state.lastUsed || {}).forEach(platform => {
+      if (ids.includes(state.lastUsed[platform])) lastUsed[platform] = state.lastUsed[platform];
+    });
+
+    return {
+      presets: presets,
+      activeId: ids.includes(state.activeId) ? state.activeId : null,
+      lastUsed: lastUsed
+    };
+  }
+
+  /**
+   * @param {Object} state - Normalized state
+   * @param {string|null} id - Preset ID
+   * @returns {Object|null} Preset, or null if not found
+   */
+  function find(state, id) {
+    return state.presets.find(preset => preset.id === id) || null;
+  }
+
+  /**
+   * Builds a preset from the recorder's current preferences
+   * @param {string} name - Preset name
+   * @param {Object} preferences - Flat preferences as stored
+   * @param {Object} quality - Recording settings
+   * @returns {Object} New preset
+   */
+  function fromPreferences(name, preferences, quality) {
+    return normalizePreset({
+      name: name,
+      audio: preferences,
+      overlay: preferences,
+      limits: preferences,
+      quality: quality,
+      filenameTemplate: preferences.filenameTemplate
+    });
+  }
+
+  /**
+   * Flattens a preset into the recorder's preference keys
+   * Quality settings are stored separately by RecordingSettingsStore
+   * @param {Object} preset - Normalized preset
+   * @returns {Object} Flat preferences
+   */
+  function toPreferences(preset) {
+    return Object.assign({}, preset.audio, preset.overlay, preset.limits, {
+      filenameTemplate: preset.filenameTemplate
+    });
+  }
+
+  /**
+   * Checks whether the current preferences still match a preset
+   * @param {Object} preset - Normalized preset
+   * @param {Object} preferences - Flat preferences
+   * @param {Object} quality - Recording settings
+   * @returns {boolean} True if nothing was changed since the preset was applied
+   */
+  function matches(preset, preferences, quality) {
+    const current = fromPreferences(preset.name, preferences, quality);
+    current.id = preset.id;
+    return JSON.stringify(current) === JSON.stringify(preset);
+  }
+
+  /**
+   * Adds or replaces a preset
+   * @param {Object} state - Normalized state
+   * @param {Object} preset - Preset to save
+   * @returns {Object} Updated state
+   */
+  function save(state, preset) {
+    const normalized = normalizePreset(preset);
+    const exists = state.presets.some(p => p.id === normalized.id);
+
+    return Object.assign({}, state, {
+      presets: exists
+        ? state.presets.map(p => (p.id === normalized.id ? normalized : p))
+        : state.presets.concat(normalized)
+    });
+  }
+
+  /**
+   * Copies a preset under a new ID and name
+   * @param {Object} state - Normalized state
+   * @param {string} id - Preset to copy
+   * @returns {Object} Updated state
+   */
+  function duplicate(state, id) {
+    const preset = find(state, id);
+    if (!preset) return state;
+
+    return save(state, Object.assign({}, preset, { id: createId(), name: preset.name + ' (copy)' }));
+  }
+
+  /**
+   * Deletes a preset and forgets where it was used
+   * @param {Object} state - Normalized state
+   * @param {string} id - Preset to delete
+   * @returns {Object} Updated state
+   */
+  function remove(state, id) {
+    return normalize(Object.assign({}, state, {
+      presets: state.presets.filter(preset => preset.id !== id)
+    }));
+  }
+
+  /**
+   * Marks a preset as applied, remembering it for the platform
+   * @param {Object} state - Normalized state
+   * @param {string} id - Applied preset
+   * @param {string} platform - Meeting platform, or 'manual'
+   * @returns {Object} Updated state
+   */
+  function markUsed(state, id, platform) {
+    return Object.assign({}, state, {
+      activeId: id,
+      lastUsed: Object.assign({}, state.lastUsed, { [platform]: id })
+    });
+  }
+
+  /**
+   * Serializes presets for sharing
+   * @param {Object[]} presets - Presets to export
+   * @returns {string} JSON document
+   */
+  function exportJson(presets) {
+    return JSON.stringify({
+      type: 'screen-recorder-presets',
+      version: 1,
+      presets: presets.map(preset => {
+        const copy = Object.assign({}, preset);
+        delete copy.id;
+        return copy;
+      })
+    }, null, 2);
+  }
+
+  /**
+   * Adds presets from an exported JSON document
+   * Imported presets always get new IDs so nothing is overwritten
+   * @param {Object} state - Normalized state
+   * @param {string} text - JSON document
+   * @returns {{state: Object, count: number}} Updated state and number of presets added
+   * @throws {Error} If the document does not contain presets
+   */
+  function importJson(state, text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    const presets = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(presets) || presets.length === 0) {
+      throw new Error('The file does not contain any presets.');
+    }
+
+    const imported = presets.map(preset =>
+      normalizePreset(Object.assign({}, preset, { id: createId() }))
+    );
+
+    return {
+      state: Object.assign({}, state, { presets: state.presets.concat(imported) }),
+      count: imported.length
+    };
+  }
+
+  return {
+    DEFAULT_PREFERENCES,
+    DEFAULT_FILENAME_TEMPLATE,
+    CHOICES,
+    normalizePreset,
+    normalize,
+    find,
+    fromPreferences,
+    toPreferences,
+    matches,
+    save,
+    duplicate,
+    remove,
+    markUsed,
+    exportJson,
+    importJson
+  };
+})();
@@ -0,0 +1,268 @@
+// ============================================================
+// RECORDING SETTINGS - Quality & Output Profile
+// ============================================================
+// Codec, bitrate, resolution, frame rate and timeslice used for
+// every recording, and the output formats of audio-only ones.
+// Turns the saved settings into capture constraints and
+// MediaRecorder options. Pure functions: codec support is
+// checked through the isTypeSupported passed in.
+// ============================================================
+
+const RecordingSettings = (() => {
+  // WebM except 'mp4', which is only offered where MediaRecorder can write MP4
+  // itself; the preview's trim editor and seek index need WebM
+  const CODECS = {
+    vp9: {
+      label: 'VP9',
+      mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp9']
+    },
+    vp8: {
+      label: 'VP8',
+      mimeTypes: ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp8']
+    },
+    av1: {
+      label: 'AV1',
+      mimeTypes: ['video/webm;codecs=av01,opus', 'video/webm;codecs=av1,opus', 'video/webm;codecs=av01']
+    },
+    h264: {
+      label: 'H.264',
+      mimeTypes: ['video/webm;codecs=h264,opus', 'video/webm;codecs=avc1,opus', 'video/webm;codecs=h264']
+    },
+    mp4: {
+      label: 'H.264 / AAC (MP4)',
+      mimeTypes: [
+        'video/mp4;codecs=avc1.42E01F,mp4a.40.2',
+        'video/mp4;codecs=avc1,mp4a.40.2',
+        'video/mp4;codecs=avc1,opus',
+        'video/mp4'
+      ]
+    }
+  };
+
+  // Codecs tried, in order, when no codec is chosen
+  const AUTO_CODECS = ['vp9', 'vp8'];
+
+  // Audio-only output. MediaRecorder writes Opus in WebM; the other
+  // formats are converted from it once recording stops
+  const AUDIO_FORMATS = {
+    webm: { label: 'Opus (WebM)', mimeType: 'audio/webm' },
+    ogg: { label: 'Opus (OGG)', mimeType: 'audio/ogg' },
+    wav: { label: 'WAV', mimeType: 'audio/wav' }
+  };
+
+  const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm'];
+
+  // Maximum output height -> 16:9 bounding box; 'native' keeps the source size
+  const RESOLUTIONS = {
+    'native': null,
+    '2160': { width: 3840, height: 2160 },
+    '1440': { width: 2560, height: 1440 },
+    '1080': { width: 1920, height: 1080 },
+    '720': { width: 1280, height: 720 },
+    '480': { width: 854, height: 480 }
+  };
+
+  const FRAME_RATES = [15, 24, 30, 60];
+
+  const DEFAULT_SETTINGS = {
+    codec: 'auto',          // 'auto' or a CODECS key
+    videoBitrateKbps: 0,    // 0 lets the browser choose
+    audioBitrateKbps: 0,
+    maxResolution: 'native',
+    frameRate: 30,
+    timesliceMs: 1000       // How often a chunk is handed over and saved
+  };
+
+  /**
+   * @param {*} codec - Stored codec value
+   * @returns {boolean} True if the value is a CODECS key
+   */
+  function isCodec(codec) {
+    return Object.prototype.hasOwnProperty.call(CODECS, codec);
+  }
+
+  /**
+   * Reads a whole number within a range
+   * @param {*} value - Stored value
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @param {number} fallback - Used when the value is not a number
+   * @returns {number} Clamped value
+   */
+  function clampInteger(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  /**
+   * Reads a bitrate where 0 means automatic
+   * @param {*} value - Stored value in kbps
+   * @param {number} min - Smallest explicit bitrate
+   * @param {number} max - Largest explicit bitrate
+   * @returns {number} Bitrate in kbps, or 0
+   */
+  function readBitrate(value, min, max) {
+    const kbps = clampInteger(value, 0, max, 0);
+    return kbps === 0 ? 0 : Math.max(min, kbps);
+  }
+
+  /**
+   * Fills in missing or invalid fields with defaults
+   * @param {Object} [settings] - Settings as stored
+   * @returns {Object} Complete settings object
+   */
+  function normalize(settings) {
+    settings = settings || {};
+
+    return {
+      codec: isCodec(settings.codec) ? settings.codec : 'auto',
+      videoBitrateKbps: readBitrate(settings.videoBitrateKbps, 250, 50000),
+      audioBitrateKbps: readBitrate(settings.audioBitrateKbps, 32, 320),
+      maxResolution: Object.prototype.hasOwnProperty.call(RESOLUTIONS, settings.maxResolution)
+        ? settings.maxResolution
+        : DEFAULT_SETTINGS.maxResolution,
+      frameRate: FRAME_RATES.includes(Number(settings.frameRate))
+        ? Number(settings.frameRate)
+        : DEFAULT_SETTINGS.frameRate,
+      timesliceMs: clampInteger(settings.timesliceMs, 100, 10000, DEFAULT_SETTINGS.timesliceMs)
+    };
+  }
+
+  /**
+   * Finds the first supported MIME type for a codec
+   * @param {string} codec - CODECS key
+   * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+   * @returns {string} MIME type or empty string
+   */
+  function findMimeType(codec, isTypeSupported) {
+    return CODECS[codec].mimeTypes.find(mimeType => isTypeSupported(mimeType)) || '';
+  }
+
+  /**
+   * Lists the codecs this browser can record
+   * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+   * @returns {string[]} CODECS keys
+   */
+  function getSupportedCodecs(isTypeSupported) {
+    return Object.keys(CODECS).filter(codec => findMimeType(codec, isTypeSupported));
+  }
+
+  /**
+   * Picks the MIME type for the chosen codec
+   * Falls back to the automatic choice when the codec is unsupported
+   * @param {Object} settings - Normalized settings
+   * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+   * @returns {{mimeType: string, codec: string|null}} MIME type (empty for the
+   *   browser default) and the codec it records
+   */
+  function pickMimeType(settings, isTypeSupported) {
+    const preferred = isCodec(settings.codec) ? [settings.codec] : [];
+
+    for (const codec of preferred.concat(AUTO_CODECS)) {
+      const mimeType = findMimeType(codec, isTypeSupported);
+      if (mimeType) return { mimeType, codec };
+    }
+
+    return { mimeType: isTypeSupported('video/webm') ? 'video/webm' : '', codec: null };
+  }
+
+  /**
+   * Picks the MIME type for audio-only recordings
+   * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+   * @returns {string} MIME type, or empty for the browser default
+   */
+  function pickAudioMimeType(isTypeSupported) {
+    return AUDIO_MIME_TYPES.find(mimeType => isTypeSupported(mimeType)) || '';
+  }
+
+  /**
+   * Builds the size and frame rate limits for a Chrome capture
+   * Merged into the 'mandatory' constraints next to chromeMediaSource
+   * @param {Object} settings - Normalized settings
+   * @returns {Object} maxWidth, maxHeight and maxFrameRate as applicable
+   */
+  function getCaptureConstraints(settings) {
+    const constraints = { maxFrameRate: settings.frameRate };
+    const resolution = RESOLUTIONS[settings.maxResolution];
+
+    if (resolution) {
+      constraints.maxWidth = resolution.width;
+      constraints.maxHeight = resolution.height;
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Builds the bitrate options for MediaRecorder
+   * @param {Object} settings - Normalized settings
+   * @returns {Object} videoBitsPerSecond and audioBitsPerSecond when set
+   */
+  function getRecorderOptions(settings) {
+    const options = {};
+    if (settings.videoBitrateKbps) options.videoBitsPerSecond = settings.videoBitrateKbps * 1000;
+    if (settings.audioBitrateKbps) options.audioBitsPerSecond = settings.audioBitrateKbps * 1000;
+    return options;
+  }
+
+  /**
+   * Formats a bitrate for display
+   * @param {number} kbps - Bitrate in kbps
+   * @returns {string} e.g. '2.5 Mbps' or '128 kbps'
+   */
+  function formatBitrate(kbps) {
+    return kbps >= 1000 ? `${kbps / 1000} Mbps` : `${kbps} kbps`;
+  }
+
+  /**
+   * Summarizes a profile in one line, e.g. 'VP9 · 1080p · 30 fps · 8 Mbps'
+   * @param {Object} settings - Normalized settings
+   * @param {string|null} [codec] - Codec actually used, if known
+   * @returns {string} Profile summary
+   */
+  function describe(settings, codec) {
+    const codecKey = codec || (isCodec(settings.codec) ? settings.codec : null);
+
+    return [
+      codecKey ? CODECS[codecKey].label : 'Auto codec',
+      settings.maxResolution === 'native' ? 'native size' : `${settings.maxResolution}p`,
+      `${settings.frameRate} fps`,
+      settings.videoBitrateKbps ? formatBitrate(settings.videoBitrateKbps) : 'auto bitrate'
+    ].join(' · ');
+  }
+
+  /**
+   * Summarizes an audio-only profile, e.g. 'Audio only · WAV'
+   * @param {Object} settings - Normalized settings
+   * @param {string} format - AUDIO_FORMATS key
+   * @returns {string} Profile summary
+   */
+  function describeAudio(settings, format) {
+    const output = AUDIO_FORMATS[format] || AUDIO_FORMATS.webm;
+
+    return [
+      'Audio only',
+      output.label,
+      // WAV is uncompressed; the bitrate only applies to the Opus recording
+      format === 'wav' || !settings.audioBitrateKbps ? null : formatBitrate(settings.audioBitrateKbps)
+    ].filter(Boolean).join(' · ');
+  }
+
+  return {
+    CODECS,
+    AUDIO_FORMATS,
+    RESOLUTIONS,
+    FRAME_RATES,
+    DEFAULT_SETTINGS,
+    normalize,
+    getSupportedCodecs,
+    pickMimeType,
+    pickAudioMimeType,
+    getCaptureConstraints,
+    getRecorderOptions,
+    formatBitrate,
+    describe,
+    describeAudio
+  };
+})();
@@ -0,0 +1,126 @@
+// ============================================================
+// TRIM EDITS - In/Out Points and Cuts
+// ============================================================
+// Describes which parts of a recording to keep: an in point,
+// an out point and any number of sections cut from between
+// them. Pure functions over a plain edits object, all times in
+// seconds.
+// ============================================================
+
+const TrimEdits = (() => {
+  // Shorter kept or cut sections are dropped
+  const MIN_SECTION_SECONDS = 0.1;
+
+  /**
+   * Creates edits that keep the whole recording
+   * @param {number} duration - Recording length in seconds
+   * @returns {{inPoint: number, outPoint: number, cuts: Array<{start: number, end: number}>}} Edits
+   */
+  function create(duration) {
+    return { inPoint: 0, outPoint: duration, cuts: [] };
+  }
+
+  /**
+   * @param {number} value - Time in seconds
+   * @param {number} duration - Recording length in seconds
+   * @returns {number} Time within the recording
+   */
+  function clamp(value, duration) {
+    return Math.min(duration, Math.max(0, Number(value) || 0));
+  }
+
+  /**
+   * Clamps times to the recording, orders them and merges overlapping cuts
+   * Cuts outside the in/out range are dropped
+   * @param {Object} edits - Edits to clean up
+   * @param {number} duration - Recording length in seconds
+   * @returns {Object} Normalized edits
+   */
+  function normalize(edits, duration) {
+    let inPoint = clamp(edits.inPoint, duration);
+    let outPoint = clamp(edits.outPoint, duration);
+    if (outPoint < inPoint) [inPoint, outPoint] = [outPoint, inPoint];
+
+    const cuts = [];
+    (edits.cuts || [])
+      .map(cut => ({
+        start: Math.max(inPoint, Math.min(clamp(cut.start, duration), clamp(cut.end, duration))),
+        end: Math.min(outPoint, Math.max(clamp(cut.start, duration), clamp(cut.end, duration)))
+      }))
+      .filter(cut => cut.end - cut.start >= MIN_SECTION_SECONDS)
+      .sort((a, b) => a.start - b.start)
+      .forEach(cut => {
+        const previous = cuts[cuts.length - 1];
+        if (previous && cut.start <= previous.end) {
+          previous.end = Math.max(previous.end, cut.end);
+        } else {
+          cuts.push(cut);
+        }
+      });
+
+    return { inPoint, outPoint, cuts };
+  }
+
+  /**
+   * Adds a section to cut out
+   * @param {Object} edits - Current edits
+   * @param {number} start - Cut start in seconds
+   * @param {number} end - Cut end in seconds
+   * @param {number} duration - Recording length in seconds
+   * @returns {Object} Normalized edits
+   */
+  function addCut(edits, start, end, duration) {
+    return normalize(Object.assign({}, edits, {
+      cuts: edits.cuts.concat({ start, end })
+    }), duration);
+  }
+
+  /**
+   * Removes a cut, keeping that section again
+   * @param {Object} edits - Current edits
+   * @param {number} index - Cut position in edits.cuts
+   * @returns {Object} Updated edits
+   */
+  function removeCut(edits, index) {
+    return Object.assign({}, edits, {
+      cuts: edits.cuts.filter((cut, i) => i !== index)
+    });
+  }
+
+  /**
+   * Lists the sections that remain after trimming and cutting
+   * @param {Object} edits - Normalized edits
+   * @returns {Array<{start: number, end: number}>} Kept sections in order
+   */
+  function keepRanges(edits) {
+    const ranges = [];
+    let start = edits.inPoint;
+
+    edits.cuts.forEach(cut => {
+      ranges.push({ start, end: cut.start });
+      start = cut.end;
+    });
+    ranges.push({ start, end: edits.outPoint });
+
+    return ranges.filter(range => range.end - range.start >= MIN_SECTION_SECONDS);
+  }
+
+  /**
+   * @param {Object} edits - Normalized edits
+   * @returns {number} Length of the result in seconds
+   */
+  function keptDuration(edits) {
+    return keepRanges(edits).reduce((total, range) => total + range.end - range.start, 0);
+  }
+
+  /**
+   * @param {Object} edits - Normalized edits
+   * @param {number} duration - Recording length in seconds
+   * @returns {boolean} True if the edits remove anything
+   */
+  function hasChanges(edits, duration) {
+    return edits.inPoint > 0 || edits.outPoint < duration || edits.cuts.length > 0;
+  }
+
+  return { create, normalize, addCut, removeCut, keepRanges, keptDuration, hasChanges };
+})();
@@ -0,0 +1,132 @@
+// ============================================================
+// RECORDING DOWNLOADS - chrome.downloads Integration
+// ============================================================
+// Saves recordings under names built from the filename
+// template, creating subfolders in the downloads folder.
+// Falls back to a plain download link when chrome.downloads
+// is unavailable. Requires src/domain/filenameTemplate.js.
+// ============================================================
+
+const RecordingDownloads = (() => {
+  const TEMPLATE_KEY = 'filenameTemplate';
+
+  // MIME subtype -> file extension
+  const EXTENSIONS = {
+    'webm': 'webm',
+    'mp4': 'mp4',
+    'gif': 'gif',
+    'webp': 'webp',
+    'ogg': 'ogg',
+    'wav': 'wav'
+  };
+
+  /**
+   * @param {string} [mimeType] - Recording MIME type
+   * @returns {string} File extension without dot
+   */
+  function extensionFor(mimeType) {
+    const subtype = String(mimeType || '').split(';')[0].split('/')[1];
+    return EXTENSIONS[subtype] || 'webm';
+  }
+
+  /**
+   * Reads the filename template the recorder currently uses
+   * @returns {Promise<string>} Template
+   */
+  async function loadTemplate() {
+    const result = await chrome.storage.local.get({ [TEMPLATE_KEY]: FilenameTemplate.DEFAULT_TEMPLATE });
+    return result[TEMPLATE_KEY];
+  }
+
+  /**
+   * Builds the download path for a recording
+   * Uses the template saved with the recording, or the current one for
+   * recordings made before templates existed
+   * @param {Object} recording - Recording metadata from RecordingStore
+   * @param {Object} [options] - { suffix, extension, mimeType }
+   * @returns {Promise<string>} Relative path inside the downloads folder
+   */
+  async function filenameFor(recording, options = {}) {
+    const template = recording.filenameTemplate || await loadTemplate();
+
+    return FilenameTemplate.render(template, {
+      date: recording.createdAt,
+      platform: recording.source,
+      meetingId: recording.meetingId,
+      title: recording.title,
+      duration: recording.duration,
+      preset: recording.presetName,
+      suffix: options.suffix,
+      extension: options.extension || extensionFor(options.mimeType || recording.mimeType)
+    });
+  }
+
+  /**
+   * Downloads through a temporary link, keeping only the file name
+   * Subfolders need chrome.downloads
+   * @param {string} url - Object URL of the data
+   * @param {string} filename - Relative path
+   */
+  function fallbackDownload(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename.split('/').pop();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  /**
+   * Releases an object URL once its download has finished or failed
+   * @param {number} downloadId - chrome.downloads ID
+   * @param {string} url - Object URL to revoke
+   */
+  function revokeWhenDone(downloadId, url) {
+    const listener = (delta) => {
+      if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+
+      chrome.downloads.onChanged.removeListener(listener);
+      URL.revokeObjectURL(url);
+    };
+    chrome.downloads.onChanged.addListener(listener);
+  }
+
+  /**
+   * Saves data under a relative path in the downloads folder
+   * Existing files are kept; Chrome adds a number to the new name
+   * @param {Blob} blob - Data to save
+   * @param {string} filename - Relative path, e.g. 'meetings/zoom/standup.webm'
+   * @returns {Promise<void>}
+   */
+  async function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    try {
+      const downloadId = await chrome.downloads.download({
+        url: url,
+        filename: filename,
+        conflictAction: 'uniquify'
+      });
+      revokeWhenDone(downloadId, url);
+    } catch (err) {
+      console.warn('chrome.downloads failed, using a download link:', err);
+      fallbackDownload(url, filename);
+      setTimeout(() => URL.revokeObjectURL(url), 5000);
+    }
+  }
+
+  /**
+   * Downloads a recording under its template name
+   * @param {Object} recording - Recording metadata used for the name
+   * @param {Blob} blob - Recording data
+   * @param {Object} [options] - { suffix, extension, mimeType }
+   * @returns {Promise<string>} Path the recording was saved under
+   */
+  async function downloadRecording(recording, blob, options) {
+    const filename = await filenameFor(recording, options);
+    await downloadBlob(blob, filename);
+    return filename;
+  }
+
+  return { TEMPLATE_KEY, extensionFor, loadTemplate, filenameFor, downloadBlob, downloadRecording };
+})();
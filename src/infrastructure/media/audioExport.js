@@ -0,0 +1,356 @@
+// ============================================================
+// AUDIO EXPORT - Opus WebM to OGG / WAV Conversion
+// ============================================================
+// Audio-only recordings are written by MediaRecorder as Opus in
+// WebM. OGG copies the Opus packets into Ogg pages unchanged;
+// WAV decodes them with WebCodecs into 16-bit PCM. Requires
+// src/infrastructure/media/webm.js and
+// src/infrastructure/storage/recordingStore.js.
+// ============================================================
+
+const AudioExport = (() => {
+  const QUEUE_LIMIT = 8;              // Packets waiting in the decoder
+  const OGG_PAGE_BYTES = 8192;        // Audio data per Ogg page, roughly
+  const OGG_MAX_SEGMENTS = 255;
+  const WAV_PART_SECONDS = 10;        // PCM collected before it becomes a Blob part
+  const WAV_MAX_DATA_BYTES = 0xFFFFFFFF - 36;
+  const OPUS_RATE = 48000;            // Ogg Opus granule positions count 48 kHz samples
+
+  // CRC-32 of Ogg pages: polynomial 0x04C11DB7, unreflected, no final xor
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let bit = 0; bit < 8; bit++) r = (r & 0x80000000) ? (r << 1) ^ 0x04C11DB7 : r << 1;
+      table[i] = r >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * @param {Object} file - Parsed WebM, see WebM.parse
+   * @returns {Object} The Opus audio track
+   * @throws {Error} If there is none
+   */
+  function findOpusTrack(file) {
+    const track = file.tracks.find(t => t.type === 'audio');
+    if (!track) throw new Error('The recording has no audio track.');
+    if (track.codecId !== 'A_OPUS') throw new Error(`Unsupported audio codec ${track.codecId}.`);
+    return track;
+  }
+
+  /**
+   * @param {Object} file - Parsed WebM
+   * @param {Object} track - Audio track
+   * @returns {Uint8Array[]} The track's packets in order
+   */
+  function trackPackets(file, track) {
+    return file.frames.filter(frame => frame.track === track.number).map(frame => frame.data);
+  }
+
+  /**
+   * Waits until the decoder's queue is short enough to add more work
+   * @param {AudioDecoder} decoder - Decoder to watch
+   */
+  async function waitForQueue(decoder) {
+    while (decoder.state === 'configured' && decoder.decodeQueueSize > QUEUE_LIMIT) {
+      // The timeout covers decoders that close with work still queued
+      await new Promise(resolve => {
+        decoder.addEventListener('dequeue', resolve, { once: true });
+        setTimeout(resolve, 100);
+      });
+    }
+  }
+
+  // ============================================================
+  // OGG
+  // ============================================================
+
+  /**
+   * Reads the length of an Opus packet from its TOC byte (RFC 6716, 3.1)
+   * @param {Uint8Array} packet - Opus packet
+   * @returns {number} Samples at 48 kHz
+   */
+  function opusPacketSamples(packet) {
+    if (packet.length === 0) return 0;
+
+    const config = packet[0] >> 3;
+    let frameSamples;
+    if (config < 12) {
+      frameSamples = [480, 960, 1920, 2880][config % 4];     // SILK: 10, 20, 40, 60 ms
+    } else if (config < 16) {
+      frameSamples = [480, 960][config % 2];                 // Hybrid: 10, 20 ms
+    } else {
+      frameSamples = [120, 240, 480, 960][config % 4];       // CELT: 2.5, 5, 10, 20 ms
+    }
+
+    const code = packet[0] & 0x03;
+    const frameCount = code === 0 ? 1 : code < 3 ? 2 : (packet[1] || 0) & 0x3F;
+    return frameSamples * frameCount;
+  }
+
+  /**
+   * Builds one Ogg page
+   * @param {Uint8Array[]} packets - Complete packets on the page
+   * @param {number} flags - 0x02 first page, 0x04 last page
+   * @param {number} granule - Granule position after the last packet
+   * @param {number} serial - Stream serial number
+   * @param {number} sequence - Page number
+   * @returns {Uint8Array} Page bytes
+   */
+  function oggPage(packets, flags, granule, serial, sequence) {
+    const lacing = [];
+    packets.forEach(packet => {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    });
+
+    const dataLength = packets.reduce((total, packet) => total + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + dataLength);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4F, 0x67, 0x67, 0x53]);                       // 'OggS', version 0
+    page[5] = flags;
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    page[26] = lacing.length;
+    page.set(lacing, 27);
+
+    let offset = 27 + lacing.length;
+    packets.forEach(packet => {
+      page.set(packet, offset);
+      offset += packet.length;
+    });
+
+    // The checksum is computed with its own field still zero
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+      crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xFF]) >>> 0;
+    }
+    view.setUint32(22, crc, true);
+
+    return page;
+  }
+
+  /**
+   * Builds an OpusHead for tracks that were stored without one
+   * @param {Object} track - Audio track
+   * @returns {Uint8Array} Identification header
+   */
+  function defaultOpusHead(track) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(Array.from('OpusHead', c => c.charCodeAt(0)));
+    head[8] = 1;                                              // version
+    head[9] = track.channels || 2;
+    view.setUint16(10, 312, true);                            // pre-skip
+    view.setUint32(12, Math.round(track.sampleRate || OPUS_RATE), true);
+    return head;
+  }
+
+  /**
+   * Builds the OpusTags comment header
+   * @returns {Uint8Array} Comment header without comments
+   */
+  function opusTags() {
+    const vendor = Array.from('Screen Recorder', c => c.charCodeAt(0));
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    tags.set(Array.from('OpusTags', c => c.charCodeAt(0)));
+    new DataView(tags.buffer).setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    return tags;
+  }
+
+  /**
+   * Copies the Opus packets of a WebM recording into an Ogg file
+   * @param {Object} file - Parsed WebM, see WebM.parse
+   * @returns {Blob} Ogg Opus file
+   */
+  function toOgg(file) {
+    const track = findOpusTrack(file);
+    const packets = trackPackets(file, track);
+    const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+    const head = track.codecPrivate && track.codecPrivate.length >= 19 ? track.codecPrivate : defaultOpusHead(track);
+
+    // Both headers sit alone on their own pages
+    const pages = [
+      oggPage([head], 0x02, 0, serial, 0),
+      oggPage([opusTags()], 0, 0, serial, 1)
+    ];
+
+    let page = [];
+    let pageBytes = 0;
+    let pageSegments = 0;
+    let granule = 0;
+
+    packets.forEach((packet, index) => {
+      const segments = Math.floor(packet.length / 255) + 1;
+      if (page.length > 0 && (pageSegments + segments > OGG_MAX_SEGMENTS || pageBytes >= OGG_PAGE_BYTES)) {
+        pages.push(oggPage(page, 0, granule, serial, pages.length));
+        page = [];
+        pageBytes = 0;
+        pageSegments = 0;
+      }
+
+      page.push(packet);
+      pageBytes += packet.length;
+      pageSegments += segments;
+      granule += opusPacketSamples(packet);
+
+      if (index === packets.length - 1) pages.push(oggPage(page, 0x04, granule, serial, pages.length));
+    });
+
+    return new Blob(pages, { type: 'audio/ogg' });
+  }
+
+  // ============================================================
+  // WAV
+  // ============================================================
+
+  /**
+   * Builds the RIFF header of a 16-bit PCM WAV file
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} channels - Channel count
+   * @param {number} dataBytes - Size of the PCM data
+   * @returns {Uint8Array} 44-byte header
+   */
+  function wavHeader(sampleRate, channels, dataBytes) {
+    const header = new Uint8Array(44);
+    const view = new DataView(header.buffer);
+    const ascii = (offset, text) => header.set(Array.from(text, c => c.charCodeAt(0)), offset);
+
+    ascii(0, 'RIFF');
+    view.setUint32(4, 36 + dataBytes, true);
+    ascii(8, 'WAVE');
+    ascii(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                              // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true);      // byte rate
+    view.setUint16(32, channels * 2, true);                   // block align
+    view.setUint16(34, 16, true);                             // bits per sample
+    ascii(36, 'data');
+    view.setUint32(40, dataBytes, true);
+
+    return header;
+  }
+
+  /**
+   * Decodes the Opus audio of a WebM recording into a WAV file
+   * @param {Object} file - Parsed WebM, see WebM.parse
+   * @returns {Promise<Blob>} 16-bit PCM WAV file
+   * @throws {Error} If the browser cannot decode Opus or the result is too long for WAV
+   */
+  async function toWav(file) {
+    if (typeof AudioDecoder === 'undefined') throw new Error('This browser cannot decode audio.');
+
+    const track = findOpusTrack(file);
+    const parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let sampleRate = 0;
+    let channels = 0;
+    let failure = null;
+    const fail = e => { failure = failure || e; };
+
+    // Keeps whole seconds of PCM as Blobs so the browser can move them out of memory
+    const collect = pcm => {
+      pending.push(pcm);
+      pendingBytes += pcm.byteLength;
+      if (pendingBytes >= sampleRate * channels * 2 * WAV_PART_SECONDS) {
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+      }
+    };
+
+    const decoder = new AudioDecoder({
+      output: data => {
+        try {
+          sampleRate = data.sampleRate;
+          channels = data.numberOfChannels;
+
+          const frames = data.numberOfFrames;
+          const pcm = new Int16Array(frames * channels);
+          const plane = new Float32Array(frames);
+          for (let c = 0; c < channels; c++) {
+            data.copyTo(plane, { planeIndex: c, format: 'f32-planar' });
+            for (let i = 0; i < frames; i++) {
+              const sample = Math.max(-1, Math.min(1, plane[i]));
+              pcm[i * channels + c] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            }
+          }
+          collect(pcm);
+        } catch (e) {
+          fail(e);
+        } finally {
+          data.close();
+        }
+      },
+      error: fail
+    });
+    decoder.configure({
+      codec: 'opus',
+      sampleRate: Math.round(track.sampleRate || OPUS_RATE),
+      numberOfChannels: track.channels || 2,
+      description: track.codecPrivate || undefined
+    });
+
+    try {
+      for (const frame of file.frames) {
+        if (frame.track !== track.number) continue;
+        if (failure) throw failure;
+
+        decoder.decode(new EncodedAudioChunk({
+          type: 'key',
+          timestamp: frame.time * file.timecodeScale / 1000,
+          data: frame.data
+        }));
+        await waitForQueue(decoder);
+      }
+
+      await decoder.flush();
+      if (failure) throw failure;
+    } finally {
+      if (decoder.state !== 'closed') decoder.close();
+    }
+
+    parts.push(new Blob(pending));
+    const dataBytes = parts.reduce((total, part) => total + part.size, 0);
+    if (dataBytes > WAV_MAX_DATA_BYTES) throw new Error('The recording is too long for a WAV file.');
+
+    return new Blob([wavHeader(sampleRate || OPUS_RATE, channels || 1, dataBytes)].concat(parts), { type: 'audio/wav' });
+  }
+
+  // ============================================================
+  // STORED RECORDINGS
+  // ============================================================
+
+  /**
+   * Converts a stored audio-only recording in place
+   * @param {string} recordingId - Recording ID
+   * @param {string} format - 'ogg' or 'wav'; 'webm' leaves the recording as it is
+   * @returns {Promise<Blob|null>} Stored file; null if the recording is missing
+   * @throws {Error} If the conversion fails; the WebM recording is kept then
+   */
+  async function convertRecording(recordingId, format) {
+    const blob = await RecordingStore.getRecordingBlob(recordingId);
+    if (!blob || format === 'webm') return blob;
+
+    const file = WebM.parse(await blob.arrayBuffer());
+    const converted = format === 'wav' ? await toWav(file) : toOgg(file);
+
+    await RecordingStore.replaceChunks(recordingId, converted, { mimeType: converted.type });
+    console.log('Recording converted to', format, recordingId);
+    return converted;
+  }
+
+  return { toOgg, toWav, convertRecording };
+})();
@@ -0,0 +1,153 @@
+// ============================================================
+// CLIP EXPORT - Looping GIF / WebP Clips from a Recording
+// ============================================================
+// Samples frames from a recording by seeking a hidden video
+// element, finds what changed between frames and hands them to
+// the GIF or WebP encoder. Everything runs in the page. Requires
+// src/domain/clipOptions.js, gifEncoder.js and webpAnimator.js.
+// ============================================================
+
+const ClipExport = (() => {
+  // Summed RGB difference below which a pixel counts as unchanged;
+  // hides video compression noise on static screen content
+  const CHANGE_THRESHOLD = 24;
+  const SEEK_TIMEOUT_MS = 5000;
+
+  /**
+   * Loads a recording into a detached, muted video element
+   * @param {string} url - Object URL of the recording
+   * @returns {Promise<HTMLVideoElement>} Video ready to seek
+   */
+  function loadVideo(url) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.preload = 'auto';
+      video.addEventListener('loadeddata', () => resolve(video), { once: true });
+      video.addEventListener('error', () => reject(new Error('The recording could not be decoded.')), { once: true });
+      video.src = url;
+    });
+  }
+
+  /**
+   * Seeks and waits until the frame at that time is ready
+   * @param {HTMLVideoElement} video - Video to seek
+   * @param {number} time - Time in seconds
+   * @returns {Promise<void>}
+   */
+  function seek(video, time) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, SEEK_TIMEOUT_MS);
+      video.addEventListener('seeked', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+      video.currentTime = time;
+    });
+  }
+
+  /**
+   * Compares a frame with what is currently shown
+   * @param {Uint8ClampedArray} pixels - New RGBA frame
+   * @param {Uint8ClampedArray} shown - RGBA frame as currently displayed; updated in place
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {{changed: Uint8Array, rect: Object|null}} Changed pixels and their
+   *   bounding box, null if nothing changed
+   */
+  function diffFrame(pixels, shown, width, height) {
+    const changed = new Uint8Array(width * height);
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const p = i * 4;
+        const difference = Math.abs(pixels[p] - shown[p]) +
+          Math.abs(pixels[p + 1] - shown[p + 1]) +
+          Math.abs(pixels[p + 2] - shown[p + 2]);
+        if (difference <= CHANGE_THRESHOLD) continue;
+
+        changed[i] = 1;
+        shown[p] = pixels[p];
+        shown[p + 1] = pixels[p + 1];
+        shown[p + 2] = pixels[p + 2];
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+
+    return {
+      changed,
+      rect: maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+    };
+  }
+
+  /**
+   * Encodes a clip
+   * @param {string} url - Object URL of the recording
+   * @param {Array<{start: number, end: number}>} ranges - Sections to include, in seconds
+   * @param {Object} options - Clip options, see ClipOptions
+   * @param {Object} [control] - Export control
+   * @param {Function} [control.onProgress] - Receives the finished fraction, 0 to 1
+   * @param {AbortSignal} [control.signal] - Cancels the export with an AbortError
+   * @returns {Promise<Blob>} GIF or WebP file
+   */
+  async function exportClip(url, ranges, options, control = {}) {
+    const settings = ClipOptions.normalize(options);
+    const onProgress = control.onProgress || (() => {});
+    const times = ClipOptions.frameTimes(ranges, settings.frameRate);
+    if (times.length === 0) throw new Error('The selected range is empty.');
+
+    const video = await loadVideo(url);
+    try {
+      const { width, height } = ClipOptions.outputSize(video.videoWidth, video.videoHeight, settings.width);
+      const encoder = settings.format === 'gif'
+        ? GifEncoder.create(width, height, { colors: settings.colors })
+        : WebPAnimator.create(width, height, { quality: settings.quality });
+
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      const frameMs = 1000 / settings.frameRate;
+      let shown = null;
+      let pending = null;
+
+      for (let i = 0; i < times.length; i++) {
+        if (control.signal) control.signal.throwIfAborted();
+
+        await seek(video, times[i]);
+        ctx.drawImage(video, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        if (!shown) {
+          shown = pixels.slice();
+          pending = { pixels, changed: null, rect: { x: 0, y: 0, width, height }, duration: frameMs };
+        } else {
+          const diff = diffFrame(pixels, shown, width, height);
+          if (diff.rect) {
+            await encoder.addFrame(pending);
+            pending = { pixels, changed: diff.changed, rect: diff.rect, duration: frameMs };
+          } else {
+            // Nothing changed: show the previous frame longer
+            pending.duration += frameMs;
+          }
+        }
+
+        onProgress((i + 1) / times.length);
+      }
+
+      await encoder.addFrame(pending);
+      return encoder.finish();
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+
+  return { exportClip };
+})();
@@ -0,0 +1,22 @@
+// ============================================================
+// FRAME CLOCK - Worker Timer
+// ============================================================
+// Posts a tick at the requested frame rate. Worker timers keep
+// running when the recorder window is minimized, unlike
+// requestAnimationFrame and page timers which get throttled.
+// ============================================================
+
+let tickIntervalId = null;
+
+self.onmessage = (event) => {
+  const { command, fps } = event.data || {};
+
+  if (tickIntervalId) {
+    clearInterval(tickIntervalId);
+    tickIntervalId = null;
+  }
+
+  if (command === 'start') {
+    tickIntervalId = setInterval(() => self.postMessage('tick'), 1000 / (fps || 30));
+  }
+};
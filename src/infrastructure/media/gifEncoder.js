@@ -0,0 +1,279 @@
+// ============================================================
+// GIF ENCODER - Animated GIF89a Writer
+// ============================================================
+// Encodes RGBA frames as a looping GIF. Each frame gets its own
+// median-cut palette and only covers the area that changed since
+// the previous frame; unchanged pixels inside that area are
+// transparent, so static screen content costs almost nothing.
+// ============================================================
+
+const GifEncoder = (() => {
+  const MAX_PALETTE_SAMPLES = 50000;
+  const MAX_CODE = 4096;            // GIF LZW codes are at most 12 bits
+
+  // ============================================================
+  // PALETTE
+  // ============================================================
+
+  /**
+   * Reduces a set of colors to a palette by median cut
+   * @param {number[]} colors - Colors packed as 0xRRGGBB
+   * @param {number} maxColors - Palette size
+   * @returns {number[][]} Palette as [r, g, b]
+   */
+  function medianCut(colors, maxColors) {
+    const describe = list => {
+      const ranges = [0, 0, 0];
+      for (let channel = 0; channel < 3; channel++) {
+        const shift = 16 - channel * 8;
+        let min = 255;
+        let max = 0;
+        for (const color of list) {
+          const value = (color >> shift) & 0xFF;
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+        ranges[channel] = max - min;
+      }
+      const channel = ranges.indexOf(Math.max(...ranges));
+      return { list, channel, range: ranges[channel] };
+    };
+
+    const boxes = [describe(colors)];
+    while (boxes.length < maxColors) {
+      // Split the box with the widest color range
+      let widest = null;
+      for (const box of boxes) {
+        if (box.list.length > 1 && box.range > 0 && (!widest || box.range > widest.range)) widest = box;
+      }
+      if (!widest) break;
+
+      const shift = 16 - widest.channel * 8;
+      const sorted = widest.list.slice().sort((a, b) => ((a >> shift) & 0xFF) - ((b >> shift) & 0xFF));
+      const middle = sorted.length >> 1;
+      boxes.splice(boxes.indexOf(widest), 1, describe(sorted.slice(0, middle)), describe(sorted.slice(middle)));
+    }
+
+    return boxes.map(box => {
+      const sum = [0, 0, 0];
+      for (const color of box.list) {
+        sum[0] += (color >> 16) & 0xFF;
+        sum[1] += (color >> 8) & 0xFF;
+        sum[2] += color & 0xFF;
+      }
+      return sum.map(total => Math.round(total / box.list.length));
+    });
+  }
+
+  /**
+   * Finds the closest palette entry, remembering earlier answers
+   * @param {number[][]} palette - Palette as [r, g, b]
+   * @returns {Function} Maps (r, g, b) to a palette index
+   */
+  function createColorMapper(palette) {
+    const cache = new Map();
+
+    return (r, g, b) => {
+      const key = (r << 16) | (g << 8) | b;
+      let index = cache.get(key);
+      if (index !== undefined) return index;
+
+      let best = Infinity;
+      palette.forEach((color, i) => {
+        const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = i;
+        }
+      });
+      cache.set(key, index);
+      return index;
+    };
+  }
+
+  // ============================================================
+  // LZW
+  // ============================================================
+
+  /**
+   * Compresses palette indices with GIF's variable-length LZW
+   * @param {Uint8Array} indices - Pixel palette indices
+   * @param {number} minCodeSize - LZW minimum code size
+   * @returns {Uint8Array} Compressed bytes
+   */
+  function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = code => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        out.push(buffer & 0xFF);
+        buffer >>>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === MAX_CODE) {
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        // Grow before the first code that would not fit, as decoders do
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = index;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) out.push(buffer & 0xFF);
+
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Splits data into GIF sub-blocks of at most 255 bytes
+   * @param {Uint8Array} data - Compressed image data
+   * @returns {Uint8Array} Sub-blocks with the closing empty block
+   */
+  function subBlocks(data) {
+    const blockCount = Math.ceil(data.length / 255);
+    const out = new Uint8Array(data.length + blockCount + 1);
+    let offset = 0;
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out[offset++] = block.length;
+      out.set(block, offset);
+      offset += block.length;
+    }
+    return out;
+  }
+
+  /**
+   * @param {number} value - 16-bit value
+   * @returns {number[]} Little-endian bytes
+   */
+  function le16(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+  }
+
+  // ============================================================
+  // ENCODER
+  // ============================================================
+
+  /**
+   * Creates an encoder for one animation
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Object} options - { colors } palette size per frame, up to 256
+   * @returns {{addFrame: Function, finish: Function}} Encoder handle
+   */
+  function create(width, height, options) {
+    const parts = [Uint8Array.from([
+      0x47, 0x49, 0x46, 0x38, 0x39, 0x61,                 // 'GIF89a'
+      ...le16(width), ...le16(height), 0x00, 0x00, 0x00,  // no global color table
+      // NETSCAPE2.0 extension: loop forever
+      0x21, 0xFF, 0x0B, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30,
+      0x03, 0x01, 0x00, 0x00, 0x00
+    ])];
+    let elapsedMs = 0;
+    let writtenCs = 0;
+
+    return {
+      /**
+       * Adds a frame
+       * @param {Object} frame - Frame to add
+       * @param {Uint8ClampedArray} frame.pixels - Full RGBA frame
+       * @param {Uint8Array|null} frame.changed - 1 for pixels that differ from the
+       *   previous frame, null for the first frame
+       * @param {{x: number, y: number, width: number, height: number}} frame.rect - Area to encode
+       * @param {number} frame.duration - Display time in milliseconds
+       */
+      addFrame(frame) {
+        const { pixels, changed, rect } = frame;
+
+        // Palette from the pixels that are actually drawn
+        const total = rect.width * rect.height;
+        const step = Math.max(1, Math.floor(total / MAX_PALETTE_SAMPLES));
+        const samples = [];
+        for (let n = 0; n < total; n += step) {
+          const i = (rect.y + Math.floor(n / rect.width)) * width + rect.x + (n % rect.width);
+          if (changed && !changed[i]) continue;
+          samples.push((pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2]);
+        }
+        if (samples.length === 0) samples.push(0);
+
+        const palette = medianCut(samples, Math.min(256, options.colors) - (changed ? 1 : 0));
+        const transparent = changed ? palette.length : -1;
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length + (changed ? 1 : 0))));
+        const mapColor = createColorMapper(palette);
+
+        const indices = new Uint8Array(total);
+        for (let y = 0; y < rect.height; y++) {
+          for (let x = 0; x < rect.width; x++) {
+            const i = (rect.y + y) * width + rect.x + x;
+            indices[y * rect.width + x] = changed && !changed[i]
+              ? transparent
+              : mapColor(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+          }
+        }
+
+        const colorTable = new Uint8Array(3 << tableBits);
+        palette.forEach((color, i) => colorTable.set(color, i * 3));
+
+        // Delays are in centiseconds; carry the rounding over to later frames
+        elapsedMs += frame.duration;
+        const delay = Math.max(2, Math.round(elapsedMs / 10) - writtenCs);
+        writtenCs += delay;
+
+        const minCodeSize = Math.max(2, tableBits);
+        parts.push(
+          Uint8Array.from([
+            // Graphic control: keep the previous frame, optional transparency
+            0x21, 0xF9, 0x04, (1 << 2) | (changed ? 1 : 0), ...le16(delay), Math.max(0, transparent), 0x00,
+            // Image descriptor with a local color table
+            0x2C, ...le16(rect.x), ...le16(rect.y), ...le16(rect.width), ...le16(rect.height),
+            0x80 | (tableBits - 1)
+          ]),
+          colorTable,
+          Uint8Array.of(minCodeSize),
+          subBlocks(lzwEncode(indices, minCodeSize))
+        );
+      },
+
+      /**
+       * Closes the animation
+       * @returns {Blob} GIF file
+       */
+      finish() {
+        parts.push(Uint8Array.of(0x3B));
+        return new Blob(parts, { type: 'image/gif' });
+      }
+    };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,428 @@
+// ============================================================
+// MP4 EXPORT - WebM to H.264/AAC MP4 Conversion
+// ============================================================
+// Converts a recording locally with the browser's WebCodecs:
+// VP8/VP9/AV1 video is decoded and re-encoded as H.264, Opus
+// audio as AAC. Where the browser has no AAC encoder the Opus
+// audio is copied into the MP4 unchanged. Requires
+// src/infrastructure/media/webm.js and mp4Muxer.js.
+// ============================================================
+
+const Mp4Export = (() => {
+  const VIDEO_TIMESCALE = 90000;
+  const KEYFRAME_INTERVAL_US = 2000000;
+  const AUDIO_BITRATE = 128000;
+  const QUEUE_LIMIT = 8;            // Frames waiting in a decoder or encoder
+
+  // Matroska codec ID -> WebCodecs decoder codec string
+  const DECODER_CODECS = {
+    'V_VP8': 'vp8',
+    'V_VP9': 'vp09.00.10.08',
+    'V_AV1': 'av01.0.08M.08',
+    'V_MPEG4/ISO/AVC': 'avc1.42E01F'
+  };
+
+  // Constrained Baseline H.264 has no B-frames, so samples can be muxed in
+  // presentation order. Levels by the largest frame they allow.
+  const AVC_LEVELS = [
+    { maxPixels: 921600, codec: 'avc1.42E01F' },    // 3.1
+    { maxPixels: 2097152, codec: 'avc1.42E028' },   // 4.0
+    { maxPixels: 9437184, codec: 'avc1.42E033' }    // 5.1
+  ];
+
+  /**
+   * @returns {boolean} True if this browser can run the conversion
+   */
+  function isSupported() {
+    return typeof VideoDecoder !== 'undefined' && typeof VideoEncoder !== 'undefined';
+  }
+
+  /**
+   * Waits until a codec's queue is short enough to add more work
+   * @param {VideoDecoder|VideoEncoder|AudioDecoder|AudioEncoder|null} codec - Codec to watch
+   * @param {string} property - 'decodeQueueSize' or 'encodeQueueSize'
+   */
+  async function waitForQueue(codec, property) {
+    while (codec && codec.state === 'configured' && codec[property] > QUEUE_LIMIT) {
+      // The timeout covers codecs that close with work still queued
+      await new Promise(resolve => {
+        codec.addEventListener('dequeue', resolve, { once: true });
+        setTimeout(resolve, 100);
+      });
+    }
+  }
+
+  /**
+   * Closes a codec unless it already is
+   * @param {Object|null} codec - WebCodecs codec
+   */
+  function closeCodec(codec) {
+    if (codec && codec.state !== 'closed') codec.close();
+  }
+
+  /**
+   * @param {number} value - Size in pixels
+   * @returns {number} Nearest even size, as H.264 encoders need
+   */
+  function even(value) {
+    return Math.max(2, Math.floor(value / 2) * 2);
+  }
+
+  /**
+   * Finds an H.264 encoder configuration this browser supports
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {Promise<Object>} VideoEncoder configuration
+   * @throws {Error} If no H.264 encoder is available
+   */
+  async function findVideoEncoderConfig(width, height) {
+    const pixels = width * height;
+    const levels = AVC_LEVELS.filter(level => level.maxPixels >= pixels);
+
+    for (const level of levels.length ? levels : AVC_LEVELS.slice(-1)) {
+      const config = {
+        codec: level.codec,
+        width,
+        height,
+        // About 0.1 bit per pixel at 30 fps, enough for screen content
+        bitrate: Math.max(1000000, Math.round(pixels * 30 * 0.1)),
+        latencyMode: 'quality',
+        avc: { format: 'avc' }
+      };
+      const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+      if (support && support.supported) return config;
+    }
+
+    throw new Error('This browser cannot encode H.264 video.');
+  }
+
+  /**
+   * Builds an MP4 Opus configuration (dOps) from a Matroska OpusHead
+   * @param {Uint8Array|null} opusHead - Track CodecPrivate
+   * @param {number} channels - Channel count
+   * @returns {Uint8Array} dOps box contents
+   */
+  function opusConfig(opusHead, channels) {
+    const head = opusHead && opusHead.length >= 19 ? opusHead : null;
+    const view = head ? new DataView(head.buffer, head.byteOffset, head.length) : null;
+    const family = head ? head[18] : 0;
+
+    const config = new Uint8Array(family && head.length > 21 ? 11 + 2 + channels : 11);
+    const out = new DataView(config.buffer);
+    out.setUint8(0, 0);                                           // version
+    out.setUint8(1, head ? head[9] : channels);
+    out.setUint16(2, view ? view.getUint16(10, true) : 312);     // pre-skip
+    out.setUint32(4, view ? view.getUint32(12, true) : 48000);   // input sample rate
+    out.setInt16(8, view ? view.getInt16(16, true) : 0);         // output gain
+    out.setUint8(10, family);
+    // Stream count, coupled count and mapping copy over unchanged
+    if (config.length > 11) config.set(head.subarray(19, 21 + channels), 11);
+
+    return config;
+  }
+
+  /**
+   * Builds an AAC-LC AudioSpecificConfig for encoders that do not report one
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} channels - Channel count
+   * @returns {Uint8Array} Two-byte configuration
+   */
+  function aacConfig(sampleRate, channels) {
+    const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000];
+    const index = Math.max(0, rates.indexOf(sampleRate));
+    const value = (2 << 11) | (index << 7) | (channels << 3);
+    return Uint8Array.of(value >> 8, value & 0xFF);
+  }
+
+  // ============================================================
+  // VIDEO
+  // ============================================================
+
+  /**
+   * Decodes the video track and encodes it again as H.264
+   * @param {Object} job - Shared export state
+   * @param {Object} track - WebM video track
+   */
+  async function transcodeVideo(job, track) {
+    const codec = DECODER_CODECS[track.codecId];
+    if (!codec) throw new Error(`Unsupported video codec ${track.codecId}.`);
+
+    const decoderConfig = { codec };
+    // Matroska H.264 with an avcC record; without one the frames are Annex B
+    if (track.codecPrivate) decoderConfig.description = track.codecPrivate;
+    const decoderSupport = await VideoDecoder.isConfigSupported(decoderConfig).catch(() => null);
+    if (!decoderSupport || !decoderSupport.supported) {
+      throw new Error(`This browser cannot decode ${track.codecId} video.`);
+    }
+
+    const width = even(track.width || 1280);
+    const height = even(track.height || 720);
+    const encoderConfig = await findVideoEncoderConfig(width, height);
+    const mp4Track = job.muxer.addTrack({ type: 'video', codec: 'avc', timescale: VIDEO_TIMESCALE, width, height });
+
+    let failure = null;
+    let canvas = null;
+    let lastKeyframe = -Infinity;
+    const fail = e => { failure = failure || e; };
+
+    const encoder = new VideoEncoder({
+      output: (chunk, metadata) => {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !mp4Track.description) {
+          mp4Track.description = new Uint8Array(metadata.decoderConfig.description);
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        job.muxer.addSample(mp4Track, data, chunk.timestamp, chunk.duration || 0, chunk.type === 'key');
+      },
+      error: fail
+    });
+    encoder.configure(encoderConfig);
+
+    // Frames of another size (resized window, odd width) are letterboxed
+    const toEncoderSize = frame => {
+      if (frame.displayWidth === width && frame.displayHeight === height) return frame;
+
+      canvas = canvas || new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      const scale = Math.min(width / frame.displayWidth, height / frame.displayHeight);
+      const w = frame.displayWidth * scale;
+      const h = frame.displayHeight * scale;
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(frame, (width - w) / 2, (height - h) / 2, w, h);
+      return new VideoFrame(canvas, { timestamp: frame.timestamp, duration: frame.duration || undefined });
+    };
+
+    const decoder = new VideoDecoder({
+      output: frame => {
+        let source = frame;
+        try {
+          source = toEncoderSize(frame);
+          const keyFrame = frame.timestamp - lastKeyframe >= KEYFRAME_INTERVAL_US;
+          if (keyFrame) lastKeyframe = frame.timestamp;
+          encoder.encode(source, { keyFrame });
+        } catch (e) {
+          fail(e);
+        } finally {
+          if (source !== frame) source.close();
+          frame.close();
+        }
+      },
+      error: fail
+    });
+    decoder.configure(decoderConfig);
+
+    try {
+      for (const frame of job.file.frames) {
+        if (frame.track !== track.number) continue;
+        job.checkCancelled();
+        if (failure) throw failure;
+
+        decoder.decode(new EncodedVideoChunk({
+          type: frame.keyframe ? 'key' : 'delta',
+          timestamp: job.toMicroseconds(frame.time),
+          data: frame.data
+        }));
+        job.advance();
+
+        await waitForQueue(decoder, 'decodeQueueSize');
+        await waitForQueue(encoder, 'encodeQueueSize');
+      }
+
+      await decoder.flush();
+      await encoder.flush();
+      if (failure) throw failure;
+    } finally {
+      closeCodec(decoder);
+      closeCodec(encoder);
+    }
+  }
+
+  // ============================================================
+  // AUDIO
+  // ============================================================
+
+  /**
+   * Copies Opus frames into the MP4 unchanged
+   * @param {Object} job - Shared export state
+   * @param {Object} track - WebM audio track
+   */
+  function copyOpus(job, track) {
+    const channels = track.channels || 2;
+    const mp4Track = job.muxer.addTrack({
+      type: 'audio',
+      codec: 'opus',
+      timescale: 48000,
+      sampleRate: 48000,
+      channels,
+      description: opusConfig(track.codecPrivate, channels)
+    });
+
+    job.file.frames.forEach(frame => {
+      if (frame.track !== track.number) return;
+      job.muxer.addSample(mp4Track, frame.data, job.toMicroseconds(frame.time), 0, true);
+      job.advance();
+    });
+  }
+
+  /**
+   * Decodes the Opus track and encodes it as AAC
+   * @param {Object} job - Shared export state
+   * @param {Object} track - WebM audio track
+   * @param {Object} encoderConfig - Supported AudioEncoder configuration
+   */
+  async function transcodeAudio(job, track, encoderConfig) {
+    const mp4Track = job.muxer.addTrack({
+      type: 'audio',
+      codec: 'aac',
+      timescale: encoderConfig.sampleRate,
+      sampleRate: encoderConfig.sampleRate,
+      channels: encoderConfig.numberOfChannels,
+      bitrate: AUDIO_BITRATE
+    });
+
+    let failure = null;
+    const fail = e => { failure = failure || e; };
+
+    const encoder = new AudioEncoder({
+      output: (chunk, metadata) => {
+        if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !mp4Track.description) {
+          mp4Track.description = new Uint8Array(metadata.decoderConfig.description);
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        job.muxer.addSample(mp4Track, data, chunk.timestamp, chunk.duration || 0, true);
+      },
+      error: fail
+    });
+    encoder.configure(encoderConfig);
+
+    const decoder = new AudioDecoder({
+      output: data => {
+        try {
+          encoder.encode(data);
+        } catch (e) {
+          fail(e);
+        } finally {
+          data.close();
+        }
+      },
+      error: fail
+    });
+    decoder.configure({
+      codec: 'opus',
+      sampleRate: encoderConfig.sampleRate,
+      numberOfChannels: encoderConfig.numberOfChannels,
+      description: track.codecPrivate || undefined
+    });
+
+    try {
+      for (const frame of job.file.frames) {
+        if (frame.track !== track.number) continue;
+        job.checkCancelled();
+        if (failure) throw failure;
+
+        decoder.decode(new EncodedAudioChunk({
+          type: 'key',
+          timestamp: job.toMicroseconds(frame.time),
+          data: frame.data
+        }));
+        job.advance();
+
+        await waitForQueue(decoder, 'decodeQueueSize');
+        await waitForQueue(encoder, 'encodeQueueSize');
+      }
+
+      await decoder.flush();
+      await encoder.flush();
+      if (failure) throw failure;
+    } finally {
+      closeCodec(decoder);
+      closeCodec(encoder);
+    }
+
+    if (!mp4Track.description) {
+      mp4Track.description = aacConfig(encoderConfig.sampleRate, encoderConfig.numberOfChannels);
+    }
+  }
+
+  /**
+   * Converts the audio track, as AAC where the browser can encode it
+   * @param {Object} job - Shared export state
+   * @param {Object} track - WebM audio track
+   * @returns {Promise<string>} 'aac' or 'opus'
+   */
+  async function convertAudio(job, track) {
+    if (track.codecId !== 'A_OPUS') throw new Error(`Unsupported audio codec ${track.codecId}.`);
+
+    const config = {
+      codec: 'mp4a.40.2',
+      sampleRate: Math.round(track.sampleRate || 48000),
+      numberOfChannels: track.channels || 2,
+      bitrate: AUDIO_BITRATE
+    };
+    const support = typeof AudioEncoder !== 'undefined' && typeof AudioDecoder !== 'undefined'
+      ? await AudioEncoder.isConfigSupported(config).catch(() => null)
+      : null;
+
+    if (support && support.supported) {
+      await transcodeAudio(job, track, config);
+      return 'aac';
+    }
+
+    copyOpus(job, track);
+    return 'opus';
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  /**
+   * Converts a WebM recording to MP4
+   * @param {Blob} blob - WebM recording
+   * @param {Object} [options] - Export options
+   * @param {Function} [options.onProgress] - Receives the finished fraction, 0 to 1
+   * @param {AbortSignal} [options.signal] - Cancels the export with an AbortError
+   * @returns {Promise<{blob: Blob, audioCodec: string|null}>} MP4 file and the
+   *   audio codec it contains
+   */
+  async function exportRecording(blob, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const signal = options.signal;
+
+    const file = WebM.parse(await blob.arrayBuffer());
+    const video = file.tracks.find(track => track.type === 'video');
+    const audio = file.tracks.find(track => track.type === 'audio');
+    if (!video) throw new Error('The recording has no video track.');
+
+    let done = 0;
+    let reported = 0;
+    const job = {
+      file,
+      muxer: Mp4Muxer.create(),
+      toMicroseconds: time => time * file.timecodeScale / 1000,
+      checkCancelled: () => {
+        if (signal) signal.throwIfAborted();
+      },
+      advance: () => {
+        done++;
+        const fraction = done / file.frames.length;
+        // Report whole percents only
+        if (fraction - reported >= 0.01 || fraction === 1) {
+          reported = fraction;
+          onProgress(fraction);
+        }
+      }
+    };
+
+    onProgress(0);
+    await transcodeVideo(job, video);
+    const audioCodec = audio ? await convertAudio(job, audio) : null;
+    job.checkCancelled();
+
+    return { blob: job.muxer.finalize(), audioCodec };
+  }
+
+  return { isSupported, exportRecording };
+})();
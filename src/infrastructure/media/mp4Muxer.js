@@ -0,0 +1,381 @@
+// ============================================================
+// MP4 MUXER - ISO BMFF Writer
+// ============================================================
+// Collects encoded samples for one video and one audio track
+// and writes a progressive MP4 with the index (moov) in front,
+// so the file plays while it downloads. Supports H.264 video
+// and AAC or Opus audio. Samples must be added in decode order;
+// without B-frames that is also presentation order.
+// ============================================================
+
+const Mp4Muxer = (() => {
+  const MOVIE_TIMESCALE = 1000;
+  const CHUNK_SECONDS = 1;        // Audio and video are interleaved in steps of this length
+  const MAX_UINT32 = 0xFFFFFFFF;
+
+  // Identity transformation matrix used by mvhd and tkhd
+  const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+  // ============================================================
+  // BYTE HELPERS
+  // ============================================================
+
+  /**
+   * Joins byte arrays, flattening nested lists
+   * @param {...(Uint8Array|Array)} parts - Bytes to join
+   * @returns {Uint8Array} Combined bytes
+   */
+  function bytes(...parts) {
+    // No spreading: sample tables can hold hundreds of thousands of entries
+    const flat = [];
+    const collect = part => (Array.isArray(part) ? part.forEach(collect) : flat.push(part));
+    parts.forEach(collect);
+
+    const result = new Uint8Array(flat.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    flat.forEach(part => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+
+  /**
+   * @param {number} value - Unsigned value
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Big-endian bytes
+   */
+  function uint(value, length) {
+    const result = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      result[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    return result;
+  }
+
+  const u8 = value => uint(value, 1);
+  const u16 = value => uint(value, 2);
+  const u24 = value => uint(value, 3);
+  const u32 = value => uint(value, 4);
+  const u64 = value => uint(value, 8);
+  const i16 = value => u16(value < 0 ? value + 0x10000 : value);
+  const i32 = value => u32(value < 0 ? value + 0x100000000 : value);
+  const zeros = length => new Uint8Array(length);
+  const ascii = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+  /**
+   * @param {string} type - Four-character box type
+   * @param {...(Uint8Array|Array)} children - Box contents
+   * @returns {Uint8Array} Box
+   */
+  function box(type, ...children) {
+    const content = bytes(...children);
+    return bytes(u32(content.length + 8), ascii(type), content);
+  }
+
+  /**
+   * @param {string} type - Four-character box type
+   * @param {number} version - Box version
+   * @param {number} flags - 24-bit flags
+   * @param {...(Uint8Array|Array)} children - Box contents
+   * @returns {Uint8Array} Full box
+   */
+  function fullBox(type, version, flags, ...children) {
+    return box(type, u8(version), u24(flags), ...children);
+  }
+
+  /**
+   * MPEG-4 descriptor with a four-byte size, as used inside esds
+   * @param {number} tag - Descriptor tag
+   * @param {...(Uint8Array|Array)} children - Descriptor contents
+   * @returns {Uint8Array} Descriptor
+   */
+  function descriptor(tag, ...children) {
+    const content = bytes(...children);
+    const n = content.length;
+    return bytes(
+      u8(tag),
+      Uint8Array.of(0x80 | ((n >> 21) & 0x7F), 0x80 | ((n >> 14) & 0x7F), 0x80 | ((n >> 7) & 0x7F), n & 0x7F),
+      content
+    );
+  }
+
+  // ============================================================
+  // SAMPLE DESCRIPTIONS
+  // ============================================================
+
+  /**
+   * @param {Object} track - Video track
+   * @returns {Uint8Array} avc1 sample entry with its avcC configuration
+   */
+  function videoSampleEntry(track) {
+    return box('avc1',
+      zeros(6), u16(1),                   // reserved, data reference index
+      zeros(16),                          // pre-defined and reserved
+      u16(track.width), u16(track.height),
+      u32(0x00480000), u32(0x00480000),   // 72 dpi
+      zeros(4), u16(1),                   // reserved, frame count
+      zeros(32),                          // compressor name
+      u16(0x0018), i16(-1),               // depth, pre-defined
+      box('avcC', track.description)
+    );
+  }
+
+  /**
+   * @param {Object} track - Audio track
+   * @returns {Uint8Array} mp4a or Opus sample entry
+   */
+  function audioSampleEntry(track) {
+    const common = [
+      zeros(6), u16(1),                   // reserved, data reference index
+      zeros(8),                           // reserved
+      u16(track.channels), u16(16),       // channel count, sample size
+      zeros(4),                           // pre-defined, reserved
+      u32(track.sampleRate * 0x10000)
+    ];
+
+    if (track.codec === 'opus') {
+      return box('Opus', common, box('dOps', track.description));
+    }
+
+    return box('mp4a', common, fullBox('esds', 0, 0,
+      descriptor(0x03, u16(track.id), u8(0),
+        descriptor(0x04,
+          u8(0x40),                       // MPEG-4 audio
+          u8(0x15),                       // audio stream
+          u24(0),                         // buffer size
+          u32(track.bitrate || 0), u32(track.bitrate || 0),
+          descriptor(0x05, track.description)
+        ),
+        descriptor(0x06, u8(0x02))
+      )
+    ));
+  }
+
+  // ============================================================
+  // SAMPLE TABLES
+  // ============================================================
+
+  /**
+   * Converts sample timestamps to durations in the track's timescale
+   * @param {Object} track - Track with samples
+   * @param {number} startUs - Timestamp that becomes zero in the file
+   */
+  function computeTiming(track, startUs) {
+    const toTicks = us => Math.round((us - startUs) * track.timescale / 1e6);
+    const times = track.samples.map(sample => toTicks(sample.timestamp));
+
+    track.offsetTicks = Math.max(0, times[0]);
+    track.durations = times.map((time, i) => {
+      if (i < times.length - 1) return Math.max(0, times[i + 1] - time);
+      const last = Math.round(track.samples[i].duration * track.timescale / 1e6);
+      return last > 0 ? last : (i > 0 ? Math.max(0, time - times[i - 1]) : 0);
+    });
+    track.mediaDuration = track.durations.reduce((total, duration) => total + duration, 0);
+  }
+
+  /**
+   * Run-length encodes a list of values
+   * @param {number[]} values - Values in order
+   * @returns {Array<{count: number, value: number}>} Runs
+   */
+  function runs(values) {
+    const result = [];
+    values.forEach(value => {
+      const last = result[result.length - 1];
+      if (last && last.value === value) {
+        last.count++;
+      } else {
+        result.push({ count: 1, value });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * @param {Object} track - Track with timing and chunks
+   * @param {number} base - File offset of the first sample byte
+   * @param {boolean} largeOffsets - Use 64-bit chunk offsets
+   * @returns {Uint8Array} stbl box
+   */
+  function sampleTable(track, base, largeOffsets) {
+    const timeRuns = runs(track.durations);
+    const chunkRuns = [];
+    track.chunks.forEach((chunk, i) => {
+      const last = chunkRuns[chunkRuns.length - 1];
+      if (!last || last.samples !== chunk.samples.length) {
+        chunkRuns.push({ firstChunk: i + 1, samples: chunk.samples.length });
+      }
+    });
+
+    const children = [
+      fullBox('stsd', 0, 0, u32(1),
+        track.type === 'video' ? videoSampleEntry(track) : audioSampleEntry(track)),
+      fullBox('stts', 0, 0, u32(timeRuns.length),
+        timeRuns.map(run => [u32(run.count), u32(run.value)])),
+      fullBox('stsc', 0, 0, u32(chunkRuns.length),
+        chunkRuns.map(run => [u32(run.firstChunk), u32(run.samples), u32(1)])),
+      fullBox('stsz', 0, 0, u32(0), u32(track.samples.length),
+        track.samples.map(sample => u32(sample.data.length))),
+      largeOffsets
+        ? fullBox('co64', 0, 0, u32(track.chunks.length), track.chunks.map(chunk => u64(base + chunk.offset)))
+        : fullBox('stco', 0, 0, u32(track.chunks.length), track.chunks.map(chunk => u32(base + chunk.offset)))
+    ];
+
+    if (track.type === 'video') {
+      const keyframes = [];
+      track.samples.forEach((sample, i) => {
+        if (sample.keyframe) keyframes.push(u32(i + 1));
+      });
+      children.splice(2, 0, fullBox('stss', 0, 0, u32(keyframes.length), keyframes));
+    }
+
+    return box('stbl', children);
+  }
+
+  /**
+   * @param {Object} track - Track with timing and chunks
+   * @param {number} base - File offset of the first sample byte
+   * @param {boolean} largeOffsets - Use 64-bit chunk offsets
+   * @returns {Uint8Array} trak box
+   */
+  function trackBox(track, base, largeOffsets) {
+    const isVideo = track.type === 'video';
+    const offsetMs = Math.round(track.offsetTicks * MOVIE_TIMESCALE / track.timescale);
+    const durationMs = Math.round(track.mediaDuration * MOVIE_TIMESCALE / track.timescale);
+
+    // A track that starts later than the other begins with an empty edit
+    const edits = offsetMs > 0
+      ? box('edts', fullBox('elst', 0, 0, u32(2),
+        u32(offsetMs), i32(-1), u16(1), u16(0),
+        u32(durationMs), i32(0), u16(1), u16(0)))
+      : [];
+
+    return box('trak',
+      fullBox('tkhd', 0, 3,
+        u32(0), u32(0), u32(track.id), zeros(4),
+        u32(offsetMs + durationMs), zeros(8),
+        i16(0), i16(0), u16(isVideo ? 0 : 0x0100), zeros(2),
+        MATRIX.map(u32),
+        u32(isVideo ? track.width * 0x10000 : 0), u32(isVideo ? track.height * 0x10000 : 0)),
+      edits,
+      box('mdia',
+        fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(track.mediaDuration),
+          u16(0x55C4), u16(0)),                   // language 'und'
+        fullBox('hdlr', 0, 0, u32(0), ascii(isVideo ? 'vide' : 'soun'), zeros(12),
+          ascii(isVideo ? 'VideoHandler' : 'SoundHandler'), zeros(1)),
+        box('minf',
+          isVideo ? fullBox('vmhd', 0, 1, zeros(8)) : fullBox('smhd', 0, 0, zeros(4)),
+          box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+          sampleTable(track, base, largeOffsets)
+        )
+      )
+    );
+  }
+
+  // ============================================================
+  // MUXER
+  // ============================================================
+
+  /**
+   * Creates a muxer
+   * @returns {{addTrack: Function, addSample: Function, finalize: Function}} Muxer handle
+   */
+  function create() {
+    const tracks = [];
+
+    return {
+      /**
+       * Adds a track; description may be filled in until finalize()
+       * @param {Object} options - type ('video'|'audio'), codec ('avc'|'aac'|'opus'),
+       *   timescale, width/height or sampleRate/channels, description, bitrate
+       * @returns {Object} Track to pass to addSample
+       */
+      addTrack(options) {
+        const track = Object.assign({ id: tracks.length + 1, samples: [] }, options);
+        tracks.push(track);
+        return track;
+      },
+
+      /**
+       * Adds one encoded sample
+       * @param {Object} track - Track from addTrack
+       * @param {Uint8Array} data - Encoded sample
+       * @param {number} timestamp - Presentation time in microseconds
+       * @param {number} duration - Duration in microseconds, 0 if unknown
+       * @param {boolean} keyframe - True for sync samples
+       */
+      addSample(track, data, timestamp, duration, keyframe) {
+        track.samples.push({ data, timestamp, duration, keyframe });
+      },
+
+      /**
+       * Writes the file
+       * @returns {Blob} MP4 file
+       * @throws {Error} If a track has no samples or no decoder configuration
+       */
+      finalize() {
+        const used = tracks.filter(track => track.samples.length > 0);
+        if (used.length === 0) throw new Error('Nothing was encoded');
+        used.forEach(track => {
+          if (!track.description) throw new Error(`The ${track.type} encoder gave no configuration`);
+        });
+
+        const startUs = Math.min(...used.map(track => track.samples[0].timestamp));
+        used.forEach(track => computeTiming(track, startUs));
+
+        // Split each track into chunks, then interleave them by time
+        const chunks = [];
+        used.forEach(track => {
+          track.chunks = [];
+          let chunk = null;
+          let ticks = track.offsetTicks;
+          track.samples.forEach((sample, i) => {
+            if (!chunk || ticks - chunk.startTicks >= CHUNK_SECONDS * track.timescale) {
+              chunk = { track, startTicks: ticks, start: ticks / track.timescale, samples: [] };
+              track.chunks.push(chunk);
+              chunks.push(chunk);
+            }
+            chunk.samples.push(sample);
+            ticks += track.durations[i];
+          });
+        });
+        chunks.sort((a, b) => a.start - b.start);
+
+        let dataSize = 0;
+        chunks.forEach(chunk => {
+          chunk.offset = dataSize;
+          dataSize += chunk.samples.reduce((total, sample) => total + sample.data.length, 0);
+        });
+
+        const largeOffsets = dataSize + 8 > MAX_UINT32;
+        const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isomiso2avc1mp41'));
+        const mdatHeader = largeOffsets
+          ? bytes(u32(1), ascii('mdat'), u64(dataSize + 16))
+          : bytes(u32(dataSize + 8), ascii('mdat'));
+
+        const buildMoov = base => {
+          const movieDuration = Math.max(...used.map(track =>
+            Math.round((track.offsetTicks + track.mediaDuration) * MOVIE_TIMESCALE / track.timescale)));
+
+          return box('moov',
+            fullBox('mvhd', 0, 0, u32(0), u32(0), u32(MOVIE_TIMESCALE), u32(movieDuration),
+              u32(0x00010000), u16(0x0100), zeros(10), MATRIX.map(u32), zeros(24), u32(Math.max(...used.map(track => track.id)) + 1)),
+            used.map(track => trackBox(track, base, largeOffsets))
+          );
+        };
+
+        // The index size does not depend on the offsets it holds
+        const moovSize = buildMoov(0).length;
+        const moov = buildMoov(ftyp.length + moovSize + mdatHeader.length);
+
+        const parts = [ftyp, moov, mdatHeader];
+        chunks.forEach(chunk => chunk.samples.forEach(sample => parts.push(sample.data)));
+        return new Blob(parts, { type: 'video/mp4' });
+      }
+    };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,174 @@
+// ============================================================
+// PICTURE-IN-PICTURE COMPOSITOR - Canvas Pipeline
+// ============================================================
+// Draws the screen capture with a camera overlay in one corner
+// onto a canvas and exposes the canvas as a video track.
+// ============================================================
+
+const PipCompositor = (() => {
+  // Used when no frame rate is passed in
+  const DEFAULT_FRAME_RATE = 30;
+
+  // Overlay width as a fraction of the output width
+  const SIZES = {
+    small: 0.15,
+    medium: 0.22,
+    large: 0.3
+  };
+
+  // Gap between the overlay and the frame edge, as a fraction of width
+  const MARGIN = 0.025;
+
+  const DEFAULT_OPTIONS = {
+    corner: 'bottom-right',
+    size: 'medium',
+    shape: 'circle'
+  };
+
+  /**
+   * Plays a MediaStream track in a detached video element
+   * @param {MediaStreamTrack} track - Video track
+   * @returns {HTMLVideoElement} Playing video element
+   */
+  function createSourceVideo(track) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+    video.play().catch(e => console.warn('Compositor source playback failed:', e));
+    return video;
+  }
+
+  /**
+   * Starts a frame clock that keeps ticking while the window is hidden
+   * Falls back to a page timer if the worker cannot be created
+   * @param {Function} onTick - Called once per frame
+   * @param {number} fps - Frames per second
+   * @returns {Function} Stops the clock
+   */
+  function startFrameClock(onTick, fps) {
+    try {
+      const worker = new Worker(chrome.runtime.getURL('src/infrastructure/media/frameClock.worker.js'));
+      worker.onmessage = onTick;
+      worker.postMessage({ command: 'start', fps: fps });
+      return () => worker.terminate();
+    } catch (e) {
+      console.warn('Frame clock worker unavailable, using page timer:', e);
+      const intervalId = setInterval(onTick, 1000 / fps);
+      return () => clearInterval(intervalId);
+    }
+  }
+
+  /**
+   * Computes where the overlay goes on the output canvas
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} aspect - Overlay width / height
+   * @param {Object} options - { corner, size }
+   * @returns {{x: number, y: number, w: number, h: number}} Overlay rectangle
+   */
+  function getOverlayRect(width, height, aspect, options) {
+    const w = Math.round(width * (SIZES[options.size] || SIZES.medium));
+    const h = Math.round(w / aspect);
+    const margin = Math.round(width * MARGIN);
+    const [vertical, horizontal] = options.corner.split('-');
+
+    return {
+      x: horizontal === 'left' ? margin : width - w - margin,
+      y: vertical === 'top' ? margin : height - h - margin,
+      w,
+      h
+    };
+  }
+
+  /**
+   * Creates a compositor for a screen track and a camera track
+   * @param {MediaStreamTrack} displayTrack - Screen capture video track
+   * @param {MediaStreamTrack} cameraTrack - Camera video track
+   * @param {Object} [options] - { corner, size, shape }
+   * @param {number} [frameRate] - Output frames per second, from the recording settings
+   * @returns {{track: MediaStreamTrack, update: Function, stop: Function}} Compositor handle
+   */
+  function create(displayTrack, cameraTrack, options, frameRate) {
+    let currentOptions = Object.assign({}, DEFAULT_OPTIONS, options);
+    const fps = frameRate > 0 ? frameRate : DEFAULT_FRAME_RATE;
+
+    const displayVideo = createSourceVideo(displayTrack);
+    const cameraVideo = createSourceVideo(cameraTrack);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    const settings = displayTrack.getSettings();
+    canvas.width = settings.width || 1280;
+    canvas.height = settings.height || 720;
+
+    function drawFrame() {
+      // Follow the shared surface if it is resized
+      if (displayVideo.videoWidth &&
+        (canvas.width !== displayVideo.videoWidth || canvas.height !== displayVideo.videoHeight)) {
+        canvas.width = displayVideo.videoWidth;
+        canvas.height = displayVideo.videoHeight;
+      }
+
+      ctx.drawImage(displayVideo, 0, 0, canvas.width, canvas.height);
+
+      if (!cameraVideo.videoWidth) return;
+
+      const isCircle = currentOptions.shape === 'circle';
+      const cameraAspect = cameraVideo.videoWidth / cameraVideo.videoHeight;
+      const rect = getOverlayRect(canvas.width, canvas.height, isCircle ? 1 : cameraAspect, currentOptions);
+
+      // Crop the camera to the overlay's aspect ratio, centered
+      let sw = cameraVideo.videoWidth;
+      let sh = cameraVideo.videoHeight;
+      if (isCircle) {
+        sw = sh = Math.min(sw, sh);
+      }
+      const sx = (cameraVideo.videoWidth - sw) / 2;
+      const sy = (cameraVideo.videoHeight - sh) / 2;
+
+      ctx.save();
+      ctx.beginPath();
+      if (isCircle) {
+        ctx.arc(rect.x + rect.w / 2, rect.y + rect.h / 2, rect.w / 2, 0, Math.PI * 2);
+      } else {
+        ctx.roundRect(rect.x, rect.y, rect.w, rect.h, Math.round(rect.w * 0.08));
+      }
+      ctx.clip();
+      ctx.drawImage(cameraVideo, sx, sy, sw, sh, rect.x, rect.y, rect.w, rect.h);
+      ctx.restore();
+
+      // Thin outline so the overlay stands out from the screen content
+      ctx.lineWidth = Math.max(2, Math.round(canvas.width / 400));
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.stroke();
+    }
+
+    const stream = canvas.captureStream(fps);
+    const stopClock = startFrameClock(drawFrame, fps);
+
+    return {
+      track: stream.getVideoTracks()[0],
+
+      /**
+       * Changes corner, size or shape while recording
+       * @param {Object} changes - Options to override
+       */
+      update(changes) {
+        currentOptions = Object.assign({}, currentOptions, changes);
+      },
+
+      /**
+       * Stops drawing and releases the canvas track and source players
+       */
+      stop() {
+        stopClock();
+        stream.getTracks().forEach(track => track.stop());
+        displayVideo.srcObject = null;
+        cameraVideo.srcObject = null;
+      }
+    };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,51 @@
+// ============================================================
+// WAVEFORM - Peak Levels for Audio-Only Recordings
+// ============================================================
+// Decodes a recording with Web Audio and reduces it to one peak
+// level per bar, for the preview page to draw in place of the
+// empty video picture.
+// ============================================================
+
+const Waveform = (() => {
+  // Decoded audio is held in memory; larger files get no waveform
+  const MAX_FILE_BYTES = 200 * 1024 * 1024;
+
+  // Peaks need no detail, and a low rate keeps the decoded audio small
+  const DECODE_SAMPLE_RATE = 8000;
+
+  /**
+   * Measures the loudest sample in each stretch of the recording
+   * @param {Blob} blob - WebM, OGG or WAV recording
+   * @param {number} count - Number of bars
+   * @returns {Promise<Float32Array|null>} Peaks from 0 to 1, scaled so the
+   *   loudest bar is 1; null if the file is too large to decode
+   */
+  async function computePeaks(blob, count) {
+    if (blob.size > MAX_FILE_BYTES) return null;
+
+    const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const peaks = new Float32Array(count);
+    const samplesPerBar = buffer.length / count;
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let bar = 0; bar < count; bar++) {
+        const end = Math.min(data.length, Math.floor((bar + 1) * samplesPerBar));
+        let peak = peaks[bar];
+        for (let i = Math.floor(bar * samplesPerBar); i < end; i++) {
+          const level = Math.abs(data[i]);
+          if (level > peak) peak = level;
+        }
+        peaks[bar] = peak;
+      }
+    }
+
+    const loudest = Math.max(...peaks);
+    if (loudest > 0) peaks.forEach((peak, bar) => { peaks[bar] = peak / loudest; });
+
+    return peaks;
+  }
+
+  return { computePeaks };
+})();
@@ -0,0 +1,705 @@
+// ============================================================
+// WEBM - Container Reading & Remuxing
+// ============================================================
+// Minimal EBML reader and writer for the WebM files recorded by
+// MediaRecorder. Reads the segment info, tracks and every frame,
+// and writes a new file from a subset of those frames without
+// re-encoding them. Handles the unknown-size Segment and Cluster
+// elements MediaRecorder writes while streaming. Written files
+// get a known size, a Duration and a Cues seek index, which
+// MediaRecorder leaves out.
+// ============================================================
+
+const WebM = (() => {
+  // Element IDs, including the length marker bits
+  const IDS = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    REFERENCE_BLOCK: 0xFB,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    TAGS: 0x1254C367,
+    CHAPTERS: 0x1043A770,
+    ATTACHMENTS: 0x1941A469
+  };
+
+  // Children of Segment; one of these ends an unknown-size Cluster
+  const SEGMENT_CHILDREN = [
+    IDS.SEEK_HEAD, IDS.INFO, IDS.TRACKS, IDS.CLUSTER,
+    IDS.CUES, IDS.TAGS, IDS.CHAPTERS, IDS.ATTACHMENTS
+  ];
+
+  const TRACK_TYPES = { 1: 'video', 2: 'audio' };
+
+  const DEFAULT_TIMECODE_SCALE = 1000000;   // 1 ms per timecode unit
+  const MAX_BLOCK_OFFSET = 32767;           // Block timecodes are signed 16-bit
+  const AUDIO_CLUSTER_SECONDS = 5;          // Seek step for files without video
+
+  const KEYFRAME_FLAG = 0x80;
+
+  // One 20 ms Opus packet of silence (CELT, fullband, mono)
+  const OPUS_SILENCE = new Uint8Array([0xF8, 0xFF, 0xFE]);
+  const OPUS_SILENCE_SECONDS = 0.02;
+
+  // ============================================================
+  // READING
+  // ============================================================
+
+  /**
+   * Reads a variable-length integer
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} pos - Offset of the first byte
+   * @param {boolean} keepMarker - True for element IDs, which keep the length bit
+   * @returns {{value: number, length: number, unknown: boolean}} Decoded integer
+   */
+  function readVint(bytes, pos, keepMarker) {
+    if (pos >= bytes.length) throw new Error('Unexpected end of file');
+
+    const first = bytes[pos];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8) throw new Error('Invalid element at byte ' + pos);
+    if (pos + length > bytes.length) throw new Error('Unexpected end of file');
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[pos + i];
+      if (bytes[pos + i] !== 0xFF) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+  }
+
+  /**
+   * Reads an element's ID and size
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} pos - Offset of the element
+   * @returns {{id: number, dataStart: number, end: number|null}} Header, end is
+   *   null for unknown-size elements
+   */
+  function readElement(bytes, pos) {
+    const id = readVint(bytes, pos, true);
+    const size = readVint(bytes, pos + id.length, false);
+    const dataStart = pos + id.length + size.length;
+
+    return {
+      id: id.value,
+      dataStart,
+      end: size.unknown ? null : dataStart + size.value
+    };
+  }
+
+  /**
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - First byte
+   * @param {number} end - Byte after the last
+   * @returns {number} Big-endian unsigned integer
+   */
+  function readUint(bytes, start, end) {
+    let value = 0;
+    for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+    return value;
+  }
+
+  /**
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - First byte
+   * @param {number} end - Byte after the last
+   * @returns {number} Big-endian 32- or 64-bit float
+   */
+  function readFloat(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+    return end - start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+  }
+
+  /**
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - First byte
+   * @param {number} end - Byte after the last
+   * @returns {string} ASCII string without padding
+   */
+  function readString(bytes, start, end) {
+    return String.fromCharCode.apply(null, bytes.subarray(start, end)).replace(/\0+$/, '');
+  }
+
+  /**
+   * Calls back for every child element inside a parent's data
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - Parent data start
+   * @param {number} end - Parent data end
+   * @param {Function} callback - Receives (element, start offset)
+   */
+  function eachChild(bytes, start, end, callback) {
+    let pos = start;
+    while (pos < end) {
+      const element = readElement(bytes, pos);
+      if (element.end === null || element.end > end) break;
+      callback(element, pos);
+      pos = element.end;
+    }
+  }
+
+  /**
+   * Reads the Info element, keeping every child except Duration
+   * @param {Uint8Array} bytes - File contents
+   * @param {Object} element - Info element header
+   * @param {Object} file - Parse result being filled in
+   */
+  function parseInfo(bytes, element, file) {
+    eachChild(bytes, element.dataStart, element.end, (child, start) => {
+      if (child.id === IDS.TIMECODE_SCALE) {
+        file.timecodeScale = readUint(bytes, child.dataStart, child.end) || DEFAULT_TIMECODE_SCALE;
+      }
+      if (child.id !== IDS.DURATION) file.infoChildren.push(bytes.subarray(start, child.end));
+    });
+  }
+
+  /**
+   * Reads the track list
+   * @param {Uint8Array} bytes - File contents
+   * @param {Object} element - Tracks element header
+   * @param {number} start - Tracks element offset
+   * @param {Object} file - Parse result being filled in
+   */
+  function parseTracks(bytes, element, start, file) {
+    file.tracksElement = bytes.subarray(start, element.end);
+
+    eachChild(bytes, element.dataStart, element.end, entry => {
+      if (entry.id !== IDS.TRACK_ENTRY) return;
+
+      const track = { number: 0, type: null, codecId: '', codecPrivate: null };
+      eachChild(bytes, entry.dataStart, entry.end, child => {
+        if (child.id === IDS.TRACK_NUMBER) track.number = readUint(bytes, child.dataStart, child.end);
+        if (child.id === IDS.TRACK_TYPE) track.type = TRACK_TYPES[readUint(bytes, child.dataStart, child.end)] || null;
+        if (child.id === IDS.CODEC_ID) track.codecId = readString(bytes, child.dataStart, child.end);
+        if (child.id === IDS.CODEC_PRIVATE) track.codecPrivate = bytes.subarray(child.dataStart, child.end);
+
+        // Video: width/height; Audio: sampleRate/channels
+        if (child.id === IDS.VIDEO || child.id === IDS.AUDIO) {
+          eachChild(bytes, child.dataStart, child.end, setting => {
+            if (setting.id === IDS.PIXEL_WIDTH) track.width = readUint(bytes, setting.dataStart, setting.end);
+            if (setting.id === IDS.PIXEL_HEIGHT) track.height = readUint(bytes, setting.dataStart, setting.end);
+            if (setting.id === IDS.SAMPLING_FREQUENCY) track.sampleRate = readFloat(bytes, setting.dataStart, setting.end);
+            if (setting.id === IDS.CHANNELS) track.channels = readUint(bytes, setting.dataStart, setting.end);
+          });
+        }
+      });
+      file.tracks.push(track);
+    });
+  }
+
+  /**
+   * Reads a SimpleBlock or Block
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} start - Block data start
+   * @param {number} end - Block data end
+   * @param {number} clusterTime - Cluster timecode
+   * @returns {Object} Frame with track, time, keyframe, flags and data
+   */
+  function parseBlock(bytes, start, end, clusterTime) {
+    const track = readVint(bytes, start, false);
+    const offsetPos = start + track.length;
+    const offset = (bytes[offsetPos] << 24 >> 16) | bytes[offsetPos + 1];
+    const flags = bytes[offsetPos + 2];
+
+    return {
+      track: track.value,
+      time: clusterTime + offset,
+      keyframe: Boolean(flags & KEYFRAME_FLAG),
+      flags: flags,
+      data: bytes.subarray(offsetPos + 3, end)
+    };
+  }
+
+  /**
+   * Reads a Cluster's frames
+   * Unknown-size clusters end at the next Segment child or the segment end
+   * @param {Uint8Array} bytes - File contents
+   * @param {Object} element - Cluster element header
+   * @param {number} segmentEnd - Segment data end
+   * @param {Object} file - Parse result being filled in
+   * @returns {number} Offset after the cluster
+   */
+  function parseCluster(bytes, element, segmentEnd, file) {
+    const end = element.end === null ? segmentEnd : Math.min(element.end, segmentEnd);
+    let clusterTime = 0;
+    let pos = element.dataStart;
+
+    while (pos < end) {
+      let child;
+      try {
+        child = readElement(bytes, pos);
+      } catch (e) {
+        return segmentEnd;   // Truncated at the end of an interrupted recording
+      }
+      if (element.end === null && SEGMENT_CHILDREN.includes(child.id)) return pos;
+      if (child.end === null || child.end > end) return segmentEnd;
+
+      if (child.id === IDS.TIMECODE) {
+        clusterTime = readUint(bytes, child.dataStart, child.end);
+      } else if (child.id === IDS.SIMPLE_BLOCK) {
+        file.frames.push(parseBlock(bytes, child.dataStart, child.end, clusterTime));
+      } else if (child.id === IDS.BLOCK_GROUP) {
+        let frame = null;
+        let referenced = false;
+        eachChild(bytes, child.dataStart, child.end, groupChild => {
+          if (groupChild.id === IDS.BLOCK) frame = parseBlock(bytes, groupChild.dataStart, groupChild.end, clusterTime);
+          if (groupChild.id === IDS.REFERENCE_BLOCK) referenced = true;
+        });
+        if (frame) {
+          // Written back as a SimpleBlock: keep lacing and invisible bits only
+          frame.keyframe = !referenced;
+          frame.flags = (frame.flags & 0x0F) | (referenced ? 0 : KEYFRAME_FLAG);
+          file.frames.push(frame);
+        }
+      }
+
+      pos = child.end;
+    }
+
+    return end;
+  }
+
+  /**
+   * Reads a WebM file
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {{header: Uint8Array, timecodeScale: number, infoChildren: Uint8Array[],
+   *   tracksElement: Uint8Array, tracks: Object[], frames: Object[]}} Parsed file;
+   *   frame times are in timecode units
+   * @throws {Error} If the data is not a WebM file
+   */
+  function parse(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const file = {
+      header: null,
+      timecodeScale: DEFAULT_TIMECODE_SCALE,
+      infoChildren: [],
+      tracksElement: null,
+      tracks: [],
+      frames: []
+    };
+
+    const ebml = readElement(bytes, 0);
+    if (ebml.id !== IDS.EBML || ebml.end === null) throw new Error('Not a WebM file');
+    file.header = bytes.subarray(0, ebml.end);
+
+    const segment = readElement(bytes, ebml.end);
+    if (segment.id !== IDS.SEGMENT) throw new Error('Not a WebM file');
+    const segmentEnd = segment.end === null ? bytes.length : Math.min(segment.end, bytes.length);
+
+    let pos = segment.dataStart;
+    while (pos < segmentEnd) {
+      let element;
+      try {
+        element = readElement(bytes, pos);
+      } catch (e) {
+        break;
+      }
+
+      if (element.id === IDS.CLUSTER) {
+        pos = parseCluster(bytes, element, segmentEnd, file);
+        continue;
+      }
+      if (element.end === null || element.end > segmentEnd) break;
+
+      if (element.id === IDS.INFO) parseInfo(bytes, element, file);
+      if (element.id === IDS.TRACKS) parseTracks(bytes, element, pos, file);
+      // SeekHead, Cues and Tags refer to byte offsets and are not copied
+
+      pos = element.end;
+    }
+
+    if (!file.tracksElement) throw new Error('The recording has no track information');
+    return file;
+  }
+
+  // ============================================================
+  // WRITING
+  // ============================================================
+
+  /**
+   * @param {number} id - Element ID including marker bits
+   * @returns {Uint8Array} Encoded ID
+   */
+  function encodeId(id) {
+    const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+    return encodeNumber(id, length);
+  }
+
+  /**
+   * Encodes a size or track number as a variable-length integer
+   * @param {number} value - Value to encode
+   * @returns {Uint8Array} Shortest encoding
+   */
+  function encodeVint(value) {
+    let length = 1;
+    while (value >= Math.pow(2, 7 * length) - 1) length++;
+    return encodeNumber(value + Math.pow(2, 7 * length), length);
+  }
+
+  /**
+   * @param {number} value - Unsigned value
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Big-endian bytes
+   */
+  function encodeNumber(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    return bytes;
+  }
+
+  /**
+   * @param {Uint8Array[]} parts - Byte arrays
+   * @returns {number} Total length
+   */
+  function byteLength(parts) {
+    return parts.reduce((total, part) => total + part.length, 0);
+  }
+
+  /**
+   * Joins byte arrays into one
+   * @param {Uint8Array[]} parts - Byte arrays
+   * @returns {Uint8Array} Combined bytes
+   */
+  function concatBytes(parts) {
+    const bytes = new Uint8Array(byteLength(parts));
+    let offset = 0;
+    parts.forEach(part => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+
+  /**
+   * Builds an element around already encoded children
+   * @param {number} id - Element ID
+   * @param {Uint8Array[]} children - Encoded contents
+   * @returns {Uint8Array[]} Element parts
+   */
+  function element(id, children) {
+    return [encodeId(id), encodeVint(byteLength(children))].concat(children);
+  }
+
+  /**
+   * @param {number} id - Element ID
+   * @param {number} value - Unsigned value
+   * @returns {Uint8Array[]} Element parts
+   */
+  function uintElement(id, value) {
+    let length = 1;
+    while (value >= Math.pow(2, 8 * length)) length++;
+    return element(id, [encodeNumber(value, length)]);
+  }
+
+  /**
+   * @param {number} id - Element ID
+   * @param {number} value - Value stored as a 64-bit float
+   * @returns {Uint8Array[]} Element parts
+   */
+  function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+  }
+
+  /**
+   * Encodes a frame as a SimpleBlock
+   * @param {Object} frame - Parsed frame
+   * @param {number} offset - Time relative to the cluster
+   * @returns {Uint8Array[]} Element parts
+   */
+  function simpleBlock(frame, offset) {
+    const header = new Uint8Array(3);
+    header[0] = (offset >> 8) & 0xFF;
+    header[1] = offset & 0xFF;
+    header[2] = frame.flags;
+    return element(IDS.SIMPLE_BLOCK, [encodeVint(frame.track), header, frame.data]);
+  }
+
+  /**
+   * Groups frames into clusters
+   * A new cluster starts at every video keyframe, so each cluster is a
+   * seek point, and whenever the offset grows past maxSpan
+   * @param {Object[]} frames - Frames in time order
+   * @param {number|null} videoTrack - Video track number
+   * @param {number} maxSpan - Longest cluster in timecode units
+   * @returns {Array<{time: number, bytes: Uint8Array, seekable: boolean}>} Clusters
+   */
+  function writeClusters(frames, videoTrack, maxSpan) {
+    const clusters = [];
+    let cluster = null;
+
+    frames.forEach(frame => {
+      const isKeyframe = frame.track === videoTrack && frame.keyframe;
+
+      if (!cluster || isKeyframe || frame.time - cluster.time > maxSpan) {
+        cluster = {
+          time: frame.time,
+          children: uintElement(IDS.TIMECODE, frame.time),
+          seekable: videoTrack === null || isKeyframe
+        };
+        clusters.push(cluster);
+      }
+      cluster.children.push.apply(cluster.children, simpleBlock(frame, frame.time - cluster.time));
+    });
+
+    // One buffer per cluster keeps long recordings to a few thousand Blob parts
+    return clusters.map(c => ({
+      time: c.time,
+      bytes: concatBytes(element(IDS.CLUSTER, c.children)),
+      seekable: c.seekable
+    }));
+  }
+
+  /**
+   * Builds the SeekHead pointing at the other top-level elements
+   * Positions always take 8 bytes so the size is known up front
+   * @param {Array<[number, number]>} entries - Element ID and position pairs
+   * @returns {Uint8Array[]} Element parts
+   */
+  function seekHead(entries) {
+    return element(IDS.SEEK_HEAD, [].concat(...entries.map(([id, position]) =>
+      element(IDS.SEEK, [].concat(
+        element(IDS.SEEK_ID, [encodeId(id)]),
+        element(IDS.SEEK_POSITION, [encodeNumber(position, 8)])
+      ))
+    )));
+  }
+
+  /**
+   * Estimates where the last frame ends
+   * The last video frame is assumed to last as long as the one before
+   * @param {Object} file - Result of parse()
+   * @param {Object[]} frames - Frames in time order
+   * @returns {number} Duration in timecode units
+   */
+  function measureDuration(file, frames) {
+    if (frames.length === 0) return 0;
+
+    const videoTrack = file.tracks.find(track => track.type === 'video');
+    const videoTimes = videoTrack
+      ? frames.filter(frame => frame.track === videoTrack.number).map(frame => frame.time)
+      : [];
+    const lastGap = videoTimes.length > 1
+      ? videoTimes[videoTimes.length - 1] - videoTimes[videoTimes.length - 2]
+      : 0;
+
+    return Math.max(frames[frames.length - 1].time, (videoTimes[videoTimes.length - 1] || 0) + lastGap);
+  }
+
+  /**
+   * Writes a WebM file from parsed parts
+   * Layout: SeekHead, Info with Duration, Tracks, Clusters, Cues
+   * @param {Object} file - Result of parse()
+   * @param {Object[]} frames - Frames to write, with output times
+   * @param {number} [duration] - Length in timecode units, measured if omitted
+   * @returns {Blob} WebM file
+   */
+  function write(file, frames, duration) {
+    // Audio and video are interleaved loosely; clusters need rising times
+    frames = frames.slice().sort((a, b) => a.time - b.time);
+
+    const videoTrack = file.tracks.find(track => track.type === 'video');
+    const cueTrack = videoTrack || file.tracks[0];
+    const maxSpan = videoTrack
+      ? MAX_BLOCK_OFFSET
+      : Math.min(MAX_BLOCK_OFFSET, Math.round(AUDIO_CLUSTER_SECONDS * 1e9 / file.timecodeScale));
+    const clusters = writeClusters(frames, videoTrack ? videoTrack.number : null, maxSpan);
+
+    const info = element(IDS.INFO, file.infoChildren.concat(
+      floatElement(IDS.DURATION, duration === undefined ? measureDuration(file, frames) : duration)
+    ));
+    const tracks = [file.tracksElement];
+    const hasCues = Boolean(cueTrack) && clusters.some(cluster => cluster.seekable);
+
+    // Positions are relative to the start of the Segment's data
+    const seekIds = hasCues ? [IDS.INFO, IDS.TRACKS, IDS.CUES] : [IDS.INFO, IDS.TRACKS];
+    let position = byteLength(seekHead(seekIds.map(id => [id, 0])));
+    const infoPosition = position;
+    position += byteLength(info);
+    const tracksPosition = position;
+    position += byteLength(tracks);
+
+    const cuePoints = [];
+    clusters.forEach(cluster => {
+      if (cluster.seekable && cueTrack) {
+        cuePoints.push(...element(IDS.CUE_POINT, [].concat(
+          uintElement(IDS.CUE_TIME, cluster.time),
+          element(IDS.CUE_TRACK_POSITIONS, [].concat(
+            uintElement(IDS.CUE_TRACK, cueTrack.number),
+            uintElement(IDS.CUE_CLUSTER_POSITION, position)
+          ))
+        )));
+      }
+      position += cluster.bytes.length;
+    });
+
+    const positions = { [IDS.INFO]: infoPosition, [IDS.TRACKS]: tracksPosition, [IDS.CUES]: position };
+    const segmentChildren = []
+      .concat(seekHead(seekIds.map(id => [id, positions[id]])))
+      .concat(info, tracks)
+      .concat(clusters.map(cluster => cluster.bytes))
+      .concat(hasCues ? element(IDS.CUES, cuePoints) : []);
+
+    return new Blob(
+      [file.header].concat(element(IDS.SEGMENT, segmentChildren)),
+      { type: 'video/webm' }
+    );
+  }
+
+  /**
+   * Rewrites a MediaRecorder file so players know its length and can seek
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {{blob: Blob, duration: number}} Indexed file and its length in seconds
+   * @throws {Error} If the data is not a WebM file
+   */
+  function finalize(buffer) {
+    const file = parse(buffer);
+    const frames = file.frames.slice().sort((a, b) => a.time - b.time);
+    const duration = measureDuration(file, frames);
+
+    return {
+      blob: write(file, frames, duration),
+      duration: duration * file.timecodeScale / 1e9
+    };
+  }
+
+  // ============================================================
+  // EDITING
+  // ============================================================
+
+  /**
+   * Keeps only the given time ranges, closing the gaps between them
+   * Each range starts at the video keyframe at or before its start,
+   * since frames cannot be decoded without their keyframe.
+   * @param {Object} file - Result of parse()
+   * @param {Array<{start: number, end: number}>} ranges - Seconds to keep, in order
+   * @returns {{blob: Blob, duration: number}} New file and its length in seconds
+   */
+  function cut(file, ranges) {
+    const unitsPerSecond = 1e9 / file.timecodeScale;
+    const videoTrack = file.tracks.find(track => track.type === 'video');
+    const keyframeTimes = videoTrack
+      ? file.frames.filter(frame => frame.track === videoTrack.number && frame.keyframe).map(frame => frame.time)
+      : [];
+
+    // Snap starts back to keyframes and merge ranges that now overlap
+    const spans = [];
+    ranges.forEach(range => {
+      let start = Math.round(range.start * unitsPerSecond);
+      const end = Math.round(range.end * unitsPerSecond);
+
+      if (keyframeTimes.length > 0) {
+        const before = keyframeTimes.filter(time => time <= start);
+        start = before.length > 0 ? before[before.length - 1] : keyframeTimes[0];
+      }
+
+      const previous = spans[spans.length - 1];
+      if (previous && start <= previous.end) {
+        previous.end = Math.max(previous.end, end);
+      } else if (end > start) {
+        spans.push({ start, end });
+      }
+    });
+
+    const frames = [];
+    let outputTime = 0;
+    spans.forEach(span => {
+      file.frames.forEach(frame => {
+        if (frame.time >= span.start && frame.time < span.end) {
+          frames.push(Object.assign({}, frame, { time: frame.time - span.start + outputTime }));
+        }
+      });
+      outputTime += span.end - span.start;
+    });
+
+    if (frames.length === 0) throw new Error('Nothing is left to export');
+
+    return {
+      blob: write(file, frames, outputTime),
+      duration: outputTime / unitsPerSecond
+    };
+  }
+
+  /**
+   * Moves an audio-only file so its first frame plays at the given time
+   * A later start is padded with silence (Opus) or left as a gap; an
+   * earlier one drops the frames before zero.
+   * @param {Object} file - Result of parse()
+   * @param {number} seconds - Where the first frame should start
+   * @returns {{blob: Blob, duration: number}} New file and its length in seconds
+   * @throws {Error} If the file has no frames left
+   */
+  function align(file, seconds) {
+    const unitsPerSecond = 1e9 / file.timecodeScale;
+    const first = file.frames.reduce((min, frame) => Math.min(min, frame.time), Infinity);
+    if (first === Infinity) throw new Error('The file has no frames');
+
+    const audioTrack = file.tracks.find(track => track.type === 'audio');
+    const silent = audioTrack && audioTrack.codecId === 'A_OPUS'
+      ? Math.floor(seconds / OPUS_SILENCE_SECONDS)
+      : 0;
+
+    // Whole silence packets; the first frame lands on the last one's end
+    const start = silent > 0
+      ? Math.round(silent * OPUS_SILENCE_SECONDS * unitsPerSecond)
+      : Math.round(seconds * unitsPerSecond);
+    const frames = [];
+    for (let i = 0; i < silent; i++) {
+      frames.push({
+        track: audioTrack.number,
+        time: Math.round(i * OPUS_SILENCE_SECONDS * unitsPerSecond),
+        keyframe: true,
+        flags: KEYFRAME_FLAG,
+        data: OPUS_SILENCE
+      });
+    }
+    file.frames.forEach(frame => {
+      const time = frame.time - first + start;
+      if (time >= 0) frames.push(Object.assign({}, frame, { time }));
+    });
+
+    if (frames.length === 0) throw new Error('The file has no frames');
+    const duration = measureDuration(file, frames.slice().sort((a, b) => a.time - b.time));
+
+    return {
+      blob: write(file, frames, duration),
+      duration: duration / unitsPerSecond
+    };
+  }
+
+  return { parse, write, finalize, cut, align };
+})();
@@ -0,0 +1,60 @@
+// ============================================================
+// WEBM FINALIZER - Duration & Seek Index for Stored Recordings
+// ============================================================
+// MediaRecorder writes WebM without a Duration or Cues, so
+// players show no length and cannot seek. Rewrites a stored
+// recording once with both and marks it `indexed`. Requires
+// src/infrastructure/media/webm.js and
+// src/infrastructure/storage/recordingStore.js.
+// ============================================================
+
+const WebMFinalizer = (() => {
+  // Rewriting holds the whole file in memory; larger files stay as recorded
+  const MAX_FILE_BYTES = 1024 * 1024 * 1024;
+
+  /**
+   * @param {Object} recording - Recording metadata
+   * @returns {boolean} True if the stored file still lacks its index
+   */
+  function needsFinalizing(recording) {
+    return !recording.indexed &&
+      recording.size > 0 &&
+      recording.size <= MAX_FILE_BYTES &&
+      /\/webm\b/.test(recording.mimeType || 'video/webm');
+  }
+
+  /**
+   * Writes the duration and seek index into a stored recording
+   * Files that cannot be parsed are left as they are, still playable
+   * @param {string} recordingId - Recording or track ID
+   * @returns {Promise<Blob|null>} Stored file, finalized where possible;
+   *   null if the recording is missing
+   */
+  async function finalizeRecording(recordingId) {
+    const [recording, blob] = await Promise.all([
+      RecordingStore.getRecording(recordingId),
+      RecordingStore.getRecordingBlob(recordingId)
+    ]);
+    if (!recording || !blob) return null;
+    if (!needsFinalizing(recording)) return blob;
+
+    try {
+      const result = WebM.finalize(await blob.arrayBuffer());
+
+      // Keep the codecs the recording was made with in the MIME type
+      const finalized = new Blob([result.blob], { type: blob.type });
+      await RecordingStore.replaceChunks(recordingId, finalized, {
+        indexed: true,
+        duration: result.duration
+      });
+
+      console.log('Recording indexed:', recordingId, result.duration.toFixed(2) + 's');
+      return finalized;
+    } catch (e) {
+      console.warn('Could not index recording', recordingId, e);
+      return blob;
+    }
+  }
+
+  return { finalizeRecording };
+})();
@@ -0,0 +1,144 @@
+// ============================================================
+// WEBP ANIMATOR - Animated WebP Writer
+// ============================================================
+// Encodes each frame with the browser's own WebP encoder
+// (OffscreenCanvas.convertToBlob) and packs the still images
+// into an animated WebP container. Like the GIF encoder, a
+// frame only covers the area that changed.
+// ============================================================
+
+const WebPAnimator = (() => {
+  // Chunks of a still WebP that carry the image itself
+  const IMAGE_CHUNKS = ['ALPH', 'VP8 ', 'VP8L'];
+
+  /**
+   * @param {number} value - Unsigned value
+   * @param {number} length - Number of bytes
+   * @returns {number[]} Little-endian bytes
+   */
+  function le(value, length) {
+    const out = [];
+    for (let i = 0; i < length; i++) out.push((value >> (8 * i)) & 0xFF);
+    return out;
+  }
+
+  /**
+   * @param {string} text - Four ASCII characters
+   * @returns {number[]} Character codes
+   */
+  function fourCC(text) {
+    return Array.from(text, c => c.charCodeAt(0));
+  }
+
+  /**
+   * Builds a RIFF chunk, padded to an even size
+   * @param {string} type - Chunk FourCC
+   * @param {Uint8Array[]} payload - Chunk contents
+   * @returns {Uint8Array[]} Chunk parts
+   */
+  function chunk(type, payload) {
+    const size = payload.reduce((total, part) => total + part.length, 0);
+    const parts = [Uint8Array.from([...fourCC(type), ...le(size, 4)])].concat(payload);
+    if (size % 2) parts.push(new Uint8Array(1));
+    return parts;
+  }
+
+  /**
+   * Extracts the image chunks from a still WebP file
+   * @param {Uint8Array} bytes - Still WebP
+   * @returns {Uint8Array[]} ALPH / VP8 / VP8L chunks, with headers
+   * @throws {Error} If the data is not WebP
+   */
+  function imageChunks(bytes) {
+    const type = String.fromCharCode(...bytes.subarray(8, 12));
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'RIFF' || type !== 'WEBP') {
+      throw new Error('This browser cannot encode WebP images.');
+    }
+
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+      const name = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+      const size = bytes[pos + 4] | (bytes[pos + 5] << 8) | (bytes[pos + 6] << 16) | (bytes[pos + 7] << 24);
+      const end = pos + 8 + size + (size % 2);
+      if (IMAGE_CHUNKS.includes(name)) chunks.push(bytes.subarray(pos, Math.min(end, bytes.length)));
+      pos = end;
+    }
+    return chunks;
+  }
+
+  /**
+   * Creates an encoder for one animation
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Object} options - { quality } lossy quality from 0 to 1
+   * @returns {{addFrame: Function, finish: Function}} Encoder handle
+   */
+  function create(width, height, options) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const frames = [];
+    let hasAlpha = false;
+    let elapsedMs = 0;
+    let writtenMs = 0;
+
+    return {
+      /**
+       * Encodes and adds a frame
+       * @param {Object} frame - Frame to add
+       * @param {Uint8ClampedArray} frame.pixels - Full RGBA frame
+       * @param {{x: number, y: number, width: number, height: number}} frame.rect - Area to encode
+       * @param {number} frame.duration - Display time in milliseconds
+       * @returns {Promise<void>}
+       */
+      async addFrame(frame) {
+        // Frame offsets are stored halved, so the area starts on even pixels
+        const x = frame.rect.x & ~1;
+        const y = frame.rect.y & ~1;
+        const w = frame.rect.width + (frame.rect.x - x);
+        const h = frame.rect.height + (frame.rect.y - y);
+
+        const image = new ImageData(w, h);
+        for (let row = 0; row < h; row++) {
+          const start = ((y + row) * width + x) * 4;
+          image.data.set(frame.pixels.subarray(start, start + w * 4), row * w * 4);
+        }
+        canvas.width = w;
+        canvas.height = h;
+        ctx.putImageData(image, 0, 0);
+
+        const still = await canvas.convertToBlob({ type: 'image/webp', quality: options.quality });
+        const chunks = imageChunks(new Uint8Array(await still.arrayBuffer()));
+        if (chunks.some(c => String.fromCharCode(...c.subarray(0, 4)) === 'ALPH')) hasAlpha = true;
+
+        elapsedMs += frame.duration;
+        const duration = Math.max(1, Math.round(elapsedMs) - writtenMs);
+        writtenMs += duration;
+
+        frames.push(chunk('ANMF', [Uint8Array.from([
+          ...le(x / 2, 3), ...le(y / 2, 3), ...le(w - 1, 3), ...le(h - 1, 3), ...le(duration, 3),
+          0x02                                  // do not blend, do not dispose
+        ])].concat(chunks)));
+      },
+
+      /**
+       * Closes the animation
+       * @returns {Blob} Animated WebP file
+       */
+      finish() {
+        const body = [Uint8Array.from(fourCC('WEBP'))]
+          .concat(chunk('VP8X', [Uint8Array.from([
+            0x02 | (hasAlpha ? 0x10 : 0), 0, 0, 0,  // animation (and alpha) flags
+            ...le(width - 1, 3), ...le(height - 1, 3)
+          ])]))
+          .concat(chunk('ANIM', [Uint8Array.from([0, 0, 0, 0, ...le(0, 2)])]))   // background, loop forever
+          .concat(...frames);
+
+        const size = body.reduce((total, part) => total + part.length, 0);
+        return new Blob([Uint8Array.from([...fourCC('RIFF'), ...le(size, 4)])].concat(body), { type: 'image/webp' });
+      }
+    };
+  }
+
+  return { create };
+})();
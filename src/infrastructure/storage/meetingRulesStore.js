@@ -0,0 +1,41 @@
+// ============================================================
+// MEETING RULES STORE - chrome.storage Persistence
+// ============================================================
+// Loads and saves the auto-record rules used by MeetingRules.
+// Requires src/domain/meetingRules.js to be loaded first.
+// ============================================================
+
+const MeetingRulesStore = (() => {
+  const STORAGE_KEY = 'meetingRules';
+
+  /**
+   * Reads the saved rules, filled in with defaults
+   * @returns {Promise<Object>} Normalized rules
+   */
+  async function load() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return MeetingRules.normalize(result[STORAGE_KEY]);
+  }
+
+  /**
+   * Saves rules, replacing the stored ones
+   * @param {Object} rules - Rules to save
+   * @returns {Promise<Object>} Normalized rules as saved
+   */
+  async function save(rules) {
+    const normalized = MeetingRules.normalize(rules);
+    await chrome.storage.local.set({ [STORAGE_KEY]: normalized });
+    return normalized;
+  }
+
+  /**
+   * Loads the rules, applies a change and saves the result
+   * @param {Function} change - Receives the current rules, returns updated rules
+   * @returns {Promise<Object>} Normalized rules as saved
+   */
+  async function update(change) {
+    return save(change(await load()));
+  }
+
+  return { STORAGE_KEY, load, save, update };
+})();
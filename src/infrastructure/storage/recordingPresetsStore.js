@@ -0,0 +1,53 @@
+// ============================================================
+// RECORDING PRESETS STORE - chrome.storage Persistence
+// ============================================================
+// Loads and saves the presets and which one was used where,
+// and reads the recorder preferences a preset is built from.
+// Requires src/domain/recordingSettings.js,
+// src/domain/filenameTemplate.js and src/domain/recordingPresets.js
+// to be loaded first.
+// ============================================================
+
+const RecordingPresetsStore = (() => {
+  const STORAGE_KEY = 'recordingPresets';
+
+  /**
+   * Reads the saved presets, starting with the built-in ones
+   * @returns {Promise<Object>} Normalized state
+   */
+  async function load() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return RecordingPresets.normalize(result[STORAGE_KEY]);
+  }
+
+  /**
+   * Saves the preset state, replacing the stored one
+   * @param {Object} state - State to save
+   * @returns {Promise<Object>} Normalized state as saved
+   */
+  async function save(state) {
+    const normalized = RecordingPresets.normalize(state);
+    await chrome.storage.local.set({ [STORAGE_KEY]: normalized });
+    return normalized;
+  }
+
+  /**
+   * Loads the state, applies a change and saves the result
+   * @param {Function} change - Receives the current state, returns the updated state
+   * @returns {Promise<Object>} Normalized state as saved
+   */
+  async function update(change) {
+    return save(change(await load()));
+  }
+
+  /**
+   * Reads the recorder's current preferences, filled in with defaults
+   * @returns {Promise<Object>} Flat preferences as used by RecordingPresets.fromPreferences
+   */
+  async function loadPreferences() {
+    const defaults = RecordingPresets.toPreferences(RecordingPresets.normalizePreset());
+    return chrome.storage.local.get(defaults);
+  }
+
+  return { STORAGE_KEY, load, save, update, loadPreferences };
+})();
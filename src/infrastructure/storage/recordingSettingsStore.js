@@ -0,0 +1,32 @@
+// ============================================================
+// RECORDING SETTINGS STORE - chrome.storage Persistence
+// ============================================================
+// Loads and saves the quality profile used by RecordingSettings.
+// Requires src/domain/recordingSettings.js to be loaded first.
+// ============================================================
+
+const RecordingSettingsStore = (() => {
+  const STORAGE_KEY = 'recordingSettings';
+
+  /**
+   * Reads the saved settings, filled in with defaults
+   * @returns {Promise<Object>} Normalized settings
+   */
+  async function load() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return RecordingSettings.normalize(result[STORAGE_KEY]);
+  }
+
+  /**
+   * Saves settings, replacing the stored ones
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} Normalized settings as saved
+   */
+  async function save(settings) {
+    const normalized = RecordingSettings.normalize(settings);
+    await chrome.storage.local.set({ [STORAGE_KEY]: normalized });
+    return normalized;
+  }
+
+  return { STORAGE_KEY, load, save };
+})();
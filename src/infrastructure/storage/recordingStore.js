@@ -0,0 +1,346 @@
+// ============================================================
+// RECORDING STORE - IndexedDB Persistence
+// ============================================================
+// Persists recordings while they are being captured: one
+// metadata record per recording plus its MediaRecorder chunks
+// in arrival order. Separate audio tracks are stored as their
+// own recordings pointing at the main one through `parentId`.
+// Shared by every extension page that needs to read or write
+// recordings.
+// ============================================================
+
+const RecordingStore = (() => {
+  const DB_NAME = 'screen-recorder';
+  const DB_VERSION = 2;
+  const RECORDINGS = 'recordings';
+  const CHUNKS = 'chunks';
+  const SESSION_LOCK_PREFIX = 'recording-session:';
+
+  let dbPromise = null;
+
+  // ============================================================
+  // DATABASE HELPERS
+  // ============================================================
+
+  /**
+   * Opens (and upgrades if needed) the recordings database
+   * The connection is cached for the lifetime of the page
+   * @returns {Promise<IDBDatabase>} Open database connection
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(RECORDINGS)) {
+          const recordings = db.createObjectStore(RECORDINGS, { keyPath: 'id' });
+          recordings.createIndex('createdAt', 'createdAt');
+        }
+
+        // v2: separate audio tracks reference their main recording
+        const recordingStore = request.transaction.objectStore(RECORDINGS);
+        if (!recordingStore.indexNames.contains('parentId')) {
+          recordingStore.createIndex('parentId', 'parentId');
+        }
+
+        if (!db.objectStoreNames.contains(CHUNKS)) {
+          db.createObjectStore(CHUNKS, { keyPath: ['recordingId', 'index'] });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Wraps an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to wait for
+   * @returns {Promise<*>} Request result
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolves once a transaction has committed
+   * @param {IDBTransaction} tx - Transaction to wait for
+   * @returns {Promise<void>}
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Key range covering every chunk of one recording
+   * @param {string} recordingId - Recording ID
+   * @returns {IDBKeyRange} Range over [recordingId, index]
+   */
+  function chunkRange(recordingId) {
+    return IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+  }
+
+  function generateRecordingId() {
+    return Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+
+  /**
+   * Creates a new recording entry
+   * @param {Object} fields - Initial metadata (mimeType, etc.)
+   * @returns {Promise<Object>} The stored recording metadata
+   */
+  async function createRecording(fields) {
+    const now = Date.now();
+    const recording = Object.assign({
+      id: generateRecordingId(),
+      status: 'recording',
+      mimeType: 'video/webm',
+      size: 0,
+      chunkCount: 0,
+      createdAt: now,
+      updatedAt: now
+    }, fields);
+
+    const db = await openDatabase();
+    const tx = db.transaction(RECORDINGS, 'readwrite');
+    tx.objectStore(RECORDINGS).add(recording);
+    await transactionDone(tx);
+
+    return recording;
+  }
+
+  /**
+   * Appends one MediaRecorder chunk to a recording
+   * Chunk and size counters are written in a single transaction
+   * @param {string} recordingId - Recording ID
+   * @param {number} index - Position of the chunk in the recording
+   * @param {Blob} data - Chunk data
+   * @returns {Promise<void>}
+   */
+  async function appendChunk(recordingId, index, data) {
+    const db = await openDatabase();
+    const tx = db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+    const recordings = tx.objectStore(RECORDINGS);
+
+    tx.objectStore(CHUNKS).put({ recordingId, index, data });
+
+    recordings.get(recordingId).onsuccess = (event) => {
+      const recording = event.target.result;
+      if (!recording) return;
+
+      recording.size += data.size;
+      recording.chunkCount = Math.max(recording.chunkCount, index + 1);
+      recording.updatedAt = Date.now();
+      recordings.put(recording);
+    };
+
+    await transactionDone(tx);
+  }
+
+  /**
+   * Replaces all of a recording's chunks with a single file
+   * Used after post-processing; metadata changes are saved in the
+   * same transaction so file and metadata never disagree
+   * @param {string} recordingId - Recording ID
+   * @param {Blob} data - New file contents
+   * @param {Object} [changes] - Metadata fields to overwrite
+   * @returns {Promise<void>}
+   */
+  async function replaceChunks(recordingId, data, changes) {
+    const db = await openDatabase();
+    const tx = db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+    const recordings = tx.objectStore(RECORDINGS);
+    const chunks = tx.objectStore(CHUNKS);
+
+    recordings.get(recordingId).onsuccess = (event) => {
+      const recording = event.target.result;
+      if (!recording) return;
+
+      chunks.delete(chunkRange(recordingId));
+      chunks.put({ recordingId, index: 0, data });
+      // A rewritten file may give a thumbnail where the old one failed
+      recordings.put(Object.assign(recording, changes, {
+        size: data.size,
+        chunkCount: 1,
+        thumbnailFailed: false,
+        updatedAt: Date.now()
+      }));
+    };
+
+    await transactionDone(tx);
+  }
+
+  /**
+   * Merges changes into a recording's metadata
+   * @param {string} recordingId - Recording ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated metadata, or null if missing
+   */
+  async function updateRecording(recordingId, changes) {
+    const db = await openDatabase();
+    const tx = db.transaction(RECORDINGS, 'readwrite');
+    const recordings = tx.objectStore(RECORDINGS);
+    let updated = null;
+
+    recordings.get(recordingId).onsuccess = (event) => {
+      const recording = event.target.result;
+      if (!recording) return;
+
+      updated = Object.assign(recording, changes, { updatedAt: Date.now() });
+      recordings.put(updated);
+    };
+
+    await transactionDone(tx);
+    return updated;
+  }
+
+  /**
+   * Reads a recording's metadata
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<Object|undefined>} Metadata, if found
+   */
+  async function getRecording(recordingId) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(RECORDINGS).objectStore(RECORDINGS).get(recordingId));
+  }
+
+  /**
+   * Lists all main recordings (not their separate tracks), newest first
+   * @returns {Promise<Object[]>} Recording metadata
+   */
+  async function listRecordings() {
+    const db = await openDatabase();
+    const recordings = await promisifyRequest(
+      db.transaction(RECORDINGS).objectStore(RECORDINGS).getAll()
+    );
+    return recordings
+      .filter(recording => !recording.parentId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Lists the separate audio tracks saved alongside a recording
+   * @param {string} parentId - Main recording ID
+   * @returns {Promise<Object[]>} Track metadata
+   */
+  async function listTracks(parentId) {
+    const db = await openDatabase();
+    return promisifyRequest(
+      db.transaction(RECORDINGS).objectStore(RECORDINGS).index('parentId').getAll(parentId)
+    );
+  }
+
+  /**
+   * Rebuilds a recording's file from its stored chunks
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<Blob|null>} Recording blob, or null if missing
+   */
+  async function getRecordingBlob(recordingId) {
+    const db = await openDatabase();
+    const tx = db.transaction([RECORDINGS, CHUNKS]);
+    const [recording, chunks] = await Promise.all([
+      promisifyRequest(tx.objectStore(RECORDINGS).get(recordingId)),
+      promisifyRequest(tx.objectStore(CHUNKS).getAll(chunkRange(recordingId)))
+    ]);
+
+    if (!recording) return null;
+
+    return new Blob(chunks.map(chunk => chunk.data), { type: recording.mimeType });
+  }
+
+  /**
+   * Deletes a recording, its separate tracks and all of their chunks
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<void>}
+   */
+  async function deleteRecording(recordingId) {
+    const db = await openDatabase();
+    const tx = db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+    const recordings = tx.objectStore(RECORDINGS);
+    const chunks = tx.objectStore(CHUNKS);
+
+    recordings.index('parentId').getAllKeys(recordingId).onsuccess = (event) => {
+      event.target.result.forEach(trackId => {
+        recordings.delete(trackId);
+        chunks.delete(chunkRange(trackId));
+      });
+    };
+
+    recordings.delete(recordingId);
+    chunks.delete(chunkRange(recordingId));
+    await transactionDone(tx);
+  }
+
+  // ============================================================
+  // SESSION LOCKS - Interrupted Recording Detection
+  // ============================================================
+
+  /**
+   * Marks a recording as being captured by the current page
+   * The Web Lock is released by the browser if the page closes or
+   * crashes, which is how interrupted sessions are told apart from
+   * recordings that are still running in another window.
+   * @param {string} recordingId - Recording ID
+   * @returns {Function} Call to release the lock once recording ends
+   */
+  function holdSessionLock(recordingId) {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+
+    navigator.locks.request(SESSION_LOCK_PREFIX + recordingId, () => released)
+      .catch(e => console.warn('Session lock failed:', e));
+
+    return release;
+  }
+
+  /**
+   * Lists recordings left unfinished by a closed or crashed recorder
+   * @returns {Promise<Object[]>} Interrupted recording metadata, newest first
+   */
+  async function listInterruptedRecordings() {
+    const [recordings, locks] = await Promise.all([
+      listRecordings(),
+      navigator.locks.query()
+    ]);
+    const heldLocks = new Set(locks.held.map(lock => lock.name));
+
+    return recordings.filter(recording =>
+      recording.status === 'recording' &&
+      !heldLocks.has(SESSION_LOCK_PREFIX + recording.id)
+    );
+  }
+
+  return {
+    createRecording,
+    appendChunk,
+    replaceChunks,
+    updateRecording,
+    getRecording,
+    listRecordings,
+    listTracks,
+    getRecordingBlob,
+    deleteRecording,
+    holdSessionLock,
+    listInterruptedRecordings
+  };
+})();
@@ -0,0 +1,396 @@
+// ============================================================
+// RECORDINGS LIBRARY PAGE
+// ============================================================
+// Lists every saved recording with rename, play, re-download
+// and delete actions, plus search and sort
+// ============================================================
+
+let recordings = [];
+
+// DOM Elements
+const listEl = document.getElementById('recordingList');
+const emptyMessage = document.getElementById('emptyMessage');
+const searchInput = document.getElementById('searchInput');
+const sortSelect = document.getElementById('sortSelect');
+const statusMessage = document.getElementById('statusMessage');
+
+// Display names for the `meeting` source recorded with each recording
+const SOURCE_NAMES = {
+    'manual': 'Manual',
+    'google-meet': 'Google Meet',
+    'zoom': 'Zoom',
+    'teams': 'Microsoft Teams',
+    'webex': 'Webex',
+    'jitsi': 'Jitsi Meet',
+    'whereby': 'Whereby'
+};
+
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * Initialize library page
+ * Loads recordings and attaches search/sort listeners
+ */
+(function initialize() {
+    console.log('Library page loaded');
+
+    searchInput.addEventListener('input', render);
+    sortSelect.addEventListener('change', render);
+
+    loadRecordings();
+})();
+
+/**
+ * Loads finished recordings from the store and renders them
+ */
+async function loadRecordings() {
+    try {
+        const all = await RecordingStore.listRecordings();
+
+        // Unfinished recordings are offered for recovery in the recorder instead
+        recordings = all.filter(recording => recording.status !== 'recording');
+        console.log('Recordings loaded:', recordings.length);
+
+        render();
+        generateMissingThumbnails();
+    } catch (e) {
+        console.error('Error loading recordings:', e);
+        showError('Failed to load recordings.');
+    }
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+/**
+ * Returns recordings matching the search box, in the selected order
+ * @returns {Object[]} Recordings to display
+ */
+function getVisibleRecordings() {
+    const query = searchInput.value.trim().toLowerCase();
+
+    const visible = recordings.filter(recording => {
+        if (!query) return true;
+        const title = (recording.title || '').toLowerCase();
+        const source = getSourceName(recording.source).toLowerCase();
+        return title.includes(query) || source.includes(query);
+    });
+
+    const comparators = {
+        newest: (a, b) => b.createdAt - a.createdAt,
+        oldest: (a, b) => a.createdAt - b.createdAt,
+        name: (a, b) => (a.title || '').localeCompare(b.title || ''),
+        longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+        largest: (a, b) => b.size - a.size
+    };
+
+    return visible.sort(comparators[sortSelect.value] || comparators.newest);
+}
+
+/**
+ * Re-renders the recording list
+ */
+function render() {
+    const visible = getVisibleRecordings();
+
+    listEl.replaceChildren(...visible.map(createRecordingItem));
+
+    emptyMessage.textContent = recordings.length === 0
+        ? 'No recordings yet.'
+        : 'No recordings match your search.';
+    emptyMessage.classList.toggle('hidden', visible.length > 0);
+}
+
+/**
+ * Builds the list entry for one recording
+ * @param {Object} recording - Recording metadata
+ * @returns {HTMLLIElement} List item element
+ */
+function createRecordingItem(recording) {
+    const item = document.createElement('li');
+    item.className = 'recording-item';
+
+    // Thumbnail
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'thumbnail';
+    if (recording.thumbnail) {
+        const img = document.createElement('img');
+        img.src = recording.thumbnail;
+        img.alt = '';
+        thumbnail.appendChild(img);
+    } else {
+        thumbnail.textContent = isAudioOnly(recording) ? '🎙️' : '🎬';
+    }
+    thumbnail.addEventListener('click', () => playRecording(recording));
+
+    // Details
+    const details = document.createElement('div');
+    details.className = 'details';
+
+    const title = document.createElement('h2');
+    title.className = 'title';
+    title.textContent = recording.title || 'Untitled recording';
+
+    const meta = document.createElement('p');
+    meta.className = 'meta';
+    meta.textContent = [
+        new Date(recording.createdAt).toLocaleString(),
+        formatDuration(recording.duration),
+        formatSize(recording.size)
+    ].join(' · ');
+
+    const source = document.createElement('span');
+    source.className = 'source-badge source-' + (recording.source || 'manual');
+    source.textContent = getSourceName(recording.source);
+
+    details.append(title, meta, source);
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'item-actions';
+    actions.append(
+        createActionButton('▶️ Play', () => playRecording(recording)),
+        createActionButton('✏️ Rename', () => renameRecording(recording)),
+        createActionButton('💾 Download', () => downloadRecording(recording)),
+        createActionButton('🗑️ Delete', () => deleteRecording(recording), 'danger')
+    );
+
+    item.append(thumbnail, details, actions);
+    return item;
+}
+
+/**
+ * Creates a small action button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {string} [variant] - Optional style variant
+ * @returns {HTMLButtonElement} Button element
+ */
+function createActionButton(label, onClick, variant) {
+    const button = document.createElement('button');
+    button.className = 'action-btn' + (variant ? ' action-btn-' + variant : '');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// ============================================================
+// RECORDING ACTIONS
+// ============================================================
+
+/**
+ * Opens a recording in the preview page
+ * @param {Object} recording - Recording metadata
+ */
+function playRecording(recording) {
+    location.href = chrome.runtime.getURL(
+        'src/presentation/preview/preview.html?id=' + encodeURIComponent(recording.id)
+    );
+}
+
+/**
+ * Prompts for a new title and saves it
+ * @param {Object} recording - Recording metadata
+ */
+async function renameRecording(recording) {
+    const title = prompt('Rename recording:', recording.title || '');
+    if (title === null || !title.trim()) return;
+
+    try {
+        await RecordingStore.updateRecording(recording.id, { title: title.trim() });
+        recording.title = title.trim();
+        render();
+        showSuccess('Recording renamed.');
+    } catch (e) {
+        console.error('Rename error:', e);
+        showError('Failed to rename recording.');
+    }
+}
+
+/**
+ * Downloads a recording again
+ * @param {Object} recording - Recording metadata
+ */
+async function downloadRecording(recording) {
+    try {
+        // Older and recovered recordings get their seek index on first download
+        const blob = await WebMFinalizer.finalizeRecording(recording.id);
+        if (!blob) throw new Error('Recording data not found');
+
+        const filename = await RecordingDownloads.downloadRecording(recording, blob);
+        showSuccess(`Download started: ${filename}`);
+    } catch (e) {
+        console.error('Download error:', e);
+        showError('Failed to download recording.');
+    }
+}
+
+/**
+ * Deletes a recording after confirmation
+ * @param {Object} recording - Recording metadata
+ */
+async function deleteRecording(recording) {
+    const confirmed = confirm(`Delete "${recording.title || 'this recording'}"? This cannot be undone.`);
+    if (!confirmed) return;
+
+    try {
+        await RecordingStore.deleteRecording(recording.id);
+        recordings = recordings.filter(r => r.id !== recording.id);
+        render();
+        showSuccess('Recording deleted.');
+    } catch (e) {
+        console.error('Delete error:', e);
+        showError('Failed to delete recording.');
+    }
+}
+
+// ============================================================
+// THUMBNAILS
+// ============================================================
+
+/**
+ * Generates and stores thumbnails for recordings that lack one
+ * Runs one recording at a time to keep memory use low. Recordings whose
+ * frame could not be decoded are marked and not loaded again.
+ */
+async function generateMissingThumbnails() {
+    for (const recording of recordings) {
+        if (recording.thumbnail || recording.thumbnailFailed || isAudioOnly(recording)) continue;
+
+        try {
+            const blob = await RecordingStore.getRecordingBlob(recording.id);
+            if (!blob || blob.size === 0) continue;
+
+            const thumbnail = await captureThumbnail(blob);
+            if (!thumbnail) {
+                await RecordingStore.updateRecording(recording.id, { thumbnail: null, thumbnailFailed: true });
+                recording.thumbnailFailed = true;
+                continue;
+            }
+
+            await RecordingStore.updateRecording(recording.id, { thumbnail });
+            recording.thumbnail = thumbnail;
+            render();
+        } catch (e) {
+            console.warn('Thumbnail generation failed for', recording.id, e);
+        }
+    }
+}
+
+/**
+ * Grabs a frame near the start of a video as a JPEG data URL
+ * @param {Blob} blob - Video blob
+ * @returns {Promise<string|null>} Thumbnail data URL, or null on failure
+ */
+function captureThumbnail(blob) {
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(blob);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+
+        const finish = (result) => {
+            clearTimeout(timeoutId);
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            resolve(result);
+        };
+
+        const timeoutId = setTimeout(() => finish(null), 10000);
+
+        video.addEventListener('loadeddata', () => {
+            video.currentTime = 0.5;
+        }, { once: true });
+
+        video.addEventListener('seeked', () => {
+            if (!video.videoWidth) {
+                finish(null);
+                return;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = THUMBNAIL_HEIGHT;
+            canvas.getContext('2d').drawImage(video, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+            finish(canvas.toDataURL('image/jpeg', 0.7));
+        }, { once: true });
+
+        video.addEventListener('error', () => finish(null), { once: true });
+
+        video.src = url;
+    });
+}
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * @param {Object} recording - Recording metadata
+ * @returns {boolean} True if the recording has no video
+ */
+function isAudioOnly(recording) {
+    return /^audio\//.test(recording.mimeType || '');
+}
+
+/**
+ * Returns the display name for a recording source
+ * @param {string} source - Source key from recording metadata
+ * @returns {string} Display name
+ */
+function getSourceName(source) {
+    return SOURCE_NAMES[source || 'manual'] || source;
+}
+
+/**
+ * Formats duration in seconds to MM:SS format
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration string
+ */
+function formatDuration(seconds) {
+    if (!isFinite(seconds) || seconds < 0) return '--:--';
+
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formats a byte count as megabytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+function formatSize(bytes) {
+    return `${((bytes || 0) / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Shows success message to user
+ * @param {string} message - Success message text
+ */
+function showSuccess(message) {
+    statusMessage.textContent = message;
+    statusMessage.className = 'status-message success';
+}
+
+/**
+ * Shows error message to user
+ * @param {string} message - Error message text
+ */
+function showError(message) {
+    statusMessage.textContent = message;
+    statusMessage.className = 'status-message error';
+}
+
+// ============================================================
+// END OF LIBRARY.JS
+// ============================================================
+console.log('Library page script loaded');
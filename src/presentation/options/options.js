@@ -0,0 +1,644 @@
+// ============================================================
+// SETTINGS PAGE - Recording Quality, Presets & Meeting Rules
+// ============================================================
+// Edits the recording quality profile, download names and presets,
+// the per-platform choice, allow and deny lists and snoozed
+// meetings used when a meeting is detected, plus the custom
+// domains meetings are detected on
+// ============================================================
+
+let rules = MeetingRules.normalize();
+let recordingSettings = RecordingSettings.normalize();
+let customDomains = [];  // [{ domain, platform }]
+let presetState = RecordingPresets.normalize();
+let editingPresetId = null;  // Preset open in the editor
+
+// DOM Elements
+const qualitySettingsEl = document.getElementById('qualitySettings');
+const filenameTemplateInput = document.getElementById('filenameTemplate');
+const filenameExampleEl = document.getElementById('filenameExample');
+const presetListEl = document.getElementById('presetList');
+const presetEditor = document.getElementById('presetEditor');
+const presetQualityEl = document.getElementById('presetQuality');
+const importPresetsInput = document.getElementById('importPresetsInput');
+const platformRulesEl = document.getElementById('platformRules');
+const allowListInput = document.getElementById('allowList');
+const denyListInput = document.getElementById('denyList');
+const snoozedListEl = document.getElementById('snoozedList');
+const noSnoozedMessage = document.getElementById('noSnoozed');
+const domainInput = document.getElementById('domainInput');
+const domainPlatformSelect = document.getElementById('domainPlatform');
+const domainListEl = document.getElementById('domainList');
+const noDomainsMessage = document.getElementById('noDomains');
+const statusMessage = document.getElementById('statusMessage');
+
+// Display names for platforms and rule actions
+const PLATFORM_NAMES = {
+    'google-meet': 'Google Meet',
+    'zoom': 'Zoom',
+    'teams': 'Microsoft Teams',
+    'webex': 'Webex',
+    'jitsi': 'Jitsi Meet',
+    'whereby': 'Whereby'
+};
+
+const ACTION_NAMES = {
+    'record': 'Record automatically (arms the recorder)',
+    'ask': 'Ask me',
+    'ignore': 'Do nothing'
+};
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * Initialize settings page
+ * Loads settings, rules and domains and attaches listeners
+ */
+(function initialize() {
+    console.log('Settings page loaded');
+
+    document.getElementById('saveBtn').addEventListener('click', saveSettings);
+    document.getElementById('addDomainBtn').addEventListener('click', addCustomDomain);
+    domainInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addCustomDomain();
+    });
+
+    document.getElementById('newPresetBtn').addEventListener('click', createPresetFromCurrent);
+    document.getElementById('exportPresetsBtn').addEventListener('click', exportPresets);
+    document.getElementById('importPresetsBtn').addEventListener('click', () => importPresetsInput.click());
+    importPresetsInput.addEventListener('change', importPresets);
+    document.getElementById('cancelPresetBtn').addEventListener('click', closePresetEditor);
+    presetEditor.addEventListener('submit', (e) => {
+        e.preventDefault();
+        savePresetFromEditor();
+    });
+
+    // The recorder marks presets as used while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[RecordingPresetsStore.STORAGE_KEY]) {
+            presetState = RecordingPresets.normalize(changes[RecordingPresetsStore.STORAGE_KEY].newValue);
+            renderPresets();
+        }
+    });
+
+    filenameTemplateInput.addEventListener('input', renderFilenameExample);
+
+    renderQualityOptions();
+    renderFilenameTokens();
+    renderPlatformOptions();
+    loadSettings();
+    loadPresets();
+    loadCustomDomains();
+})();
+
+/**
+ * Loads the saved quality settings and rules and renders them
+ */
+async function loadSettings() {
+    try {
+        recordingSettings = await RecordingSettingsStore.load();
+        filenameTemplateInput.value = await RecordingDownloads.loadTemplate();
+        rules = MeetingRules.pruneSnoozed(await MeetingRulesStore.load());
+        render();
+    } catch (e) {
+        console.error('Error loading settings:', e);
+        showError('Failed to load settings.');
+    }
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+/**
+ * Renders every section from the current settings and rules
+ */
+function render() {
+    writeQualityFields(qualitySettingsEl, recordingSettings);
+    renderFilenameExample();
+    renderPlatformRules();
+    allowListInput.value = rules.allowList.join('\n');
+    denyListInput.value = rules.denyList.join('\n');
+    renderSnoozed();
+}
+
+/**
+ * Fills the codec and frame rate selects
+ * Codecs this browser cannot record are listed but disabled.
+ * The preset editor gets a copy of the finished quality fields.
+ */
+function renderQualityOptions() {
+    const supported = RecordingSettings.getSupportedCodecs(
+        (mimeType) => MediaRecorder.isTypeSupported(mimeType)
+    );
+
+    const auto = document.createElement('option');
+    auto.value = 'auto';
+    auto.textContent = 'Automatic (VP9, then VP8)';
+
+    getField(qualitySettingsEl, 'codec').replaceChildren(auto, ...Object.keys(RecordingSettings.CODECS).map(codec => {
+        const option = document.createElement('option');
+        option.value = codec;
+        option.textContent = RecordingSettings.CODECS[codec].label;
+        if (!supported.includes(codec)) {
+            option.disabled = true;
+            option.textContent += ' (not supported)';
+        }
+        return option;
+    }));
+
+    getField(qualitySettingsEl, 'frameRate').replaceChildren(...RecordingSettings.FRAME_RATES.map(frameRate => {
+        const option = document.createElement('option');
+        option.value = frameRate;
+        option.textContent = `${frameRate} fps`;
+        return option;
+    }));
+
+    const editorFields = qualitySettingsEl.cloneNode(true);
+    editorFields.removeAttribute('id');
+    presetQualityEl.replaceChildren(editorFields);
+}
+
+/**
+ * Shows quality settings in a set of quality fields
+ * @param {HTMLElement} container - Element holding the fields
+ * @param {Object} settings - Normalized recording settings
+ */
+function writeQualityFields(container, settings) {
+    Object.keys(RecordingSettings.DEFAULT_SETTINGS).forEach(key => {
+        getField(container, key).value = settings[key];
+    });
+}
+
+/**
+ * Reads quality settings from a set of quality fields
+ * @param {HTMLElement} container - Element holding the fields
+ * @returns {Object} Settings as entered, not yet normalized
+ */
+function readQualityFields(container) {
+    const settings = {};
+    Object.keys(RecordingSettings.DEFAULT_SETTINGS).forEach(key => {
+        settings[key] = getField(container, key).value;
+    });
+    return settings;
+}
+
+/**
+ * Lists the tokens a filename template can use
+ */
+function renderFilenameTokens() {
+    document.getElementById('filenameTokens').replaceChildren(
+        ...Object.keys(FilenameTemplate.TOKENS).map(token => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = `{${token}}`;
+            item.append(code, ` ${FilenameTemplate.TOKENS[token]}`);
+            return item;
+        })
+    );
+}
+
+/**
+ * Shows where a sample meeting recording would be saved with the template
+ */
+function renderFilenameExample() {
+    filenameExampleEl.textContent = FilenameTemplate.render(filenameTemplateInput.value, {
+        date: Date.now(),
+        platform: 'zoom',
+        meetingId: 'zoom_1234567890',
+        title: 'Weekly standup',
+        duration: 1834,
+        preset: 'Meeting'
+    });
+}
+
+/**
+ * Builds one select per platform
+ */
+function renderPlatformRules() {
+    platformRulesEl.replaceChildren(...MeetingRules.PLATFORMS.map(platform => {
+        const label = document.createElement('label');
+        label.className = 'setting-row';
+        label.textContent = PLATFORM_NAMES[platform] || platform;
+
+        const select = document.createElement('select');
+        select.dataset.platform = platform;
+        MeetingRules.ACTIONS.forEach(action => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = ACTION_NAMES[action];
+            select.appendChild(option);
+        });
+        select.value = rules.platforms[platform];
+
+        label.appendChild(select);
+        return label;
+    }));
+}
+
+/**
+ * Lists snoozed meetings with a button to end each snooze
+ */
+function renderSnoozed() {
+    const meetingIds = Object.keys(rules.snoozed);
+
+    snoozedListEl.replaceChildren(...meetingIds.map(meetingId => {
+        const item = document.createElement('li');
+        item.className = 'entry-item';
+
+        const name = document.createElement('span');
+        name.textContent = `${meetingId} — until ${new Date(rules.snoozed[meetingId]).toLocaleString()}`;
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        button.textContent = 'Unsnooze';
+        button.addEventListener('click', () => {
+            delete rules.snoozed[meetingId];
+            renderSnoozed();
+        });
+
+        item.append(name, button);
+        return item;
+    }));
+
+    noSnoozedMessage.classList.toggle('hidden', meetingIds.length > 0);
+}
+
+/**
+ * Fills the platform select of the domain form
+ */
+function renderPlatformOptions() {
+    domainPlatformSelect.replaceChildren(...MeetingRules.PLATFORMS.map(platform => {
+        const option = document.createElement('option');
+        option.value = platform;
+        option.textContent = PLATFORM_NAMES[platform] || platform;
+        return option;
+    }));
+}
+
+/**
+ * Lists custom domains with a button to remove each one
+ */
+function renderCustomDomains() {
+    domainListEl.replaceChildren(...customDomains.map(entry => {
+        const item = document.createElement('li');
+        item.className = 'entry-item';
+
+        const name = document.createElement('span');
+        name.textContent = `${entry.domain} — ${PLATFORM_NAMES[entry.platform] || entry.platform}`;
+
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        button.textContent = 'Remove';
+        button.addEventListener('click', () => removeCustomDomain(entry.domain));
+
+        item.append(name, button);
+        return item;
+    }));
+
+    noDomainsMessage.classList.toggle('hidden', customDomains.length > 0);
+}
+
+// ============================================================
+// CUSTOM DOMAINS
+// ============================================================
+// Domains are saved as soon as access is granted; the background
+// script registers the content scripts for them.
+
+/**
+ * Loads the saved custom domains and renders them
+ */
+async function loadCustomDomains() {
+    try {
+        const result = await chrome.storage.local.get({ customMeetingDomains: [] });
+        customDomains = result.customMeetingDomains;
+        renderCustomDomains();
+    } catch (e) {
+        console.error('Error loading custom domains:', e);
+        showError('Failed to load custom domains.');
+    }
+}
+
+/**
+ * Asks for access to the typed domain and saves it
+ * The permission request must run directly from the click
+ */
+async function addCustomDomain() {
+    const domain = MeetingDomains.normalize(domainInput.value);
+    if (!domain) {
+        showError('Enter a domain such as meet.example.com or *.example.com.');
+        return;
+    }
+
+    if (customDomains.some(entry => entry.domain === domain)) {
+        showError(`${domain} is already on the list.`);
+        return;
+    }
+
+    try {
+        const granted = await chrome.permissions.request({
+            origins: [MeetingDomains.toMatchPattern(domain)]
+        });
+        if (!granted) {
+            showError(`Access to ${domain} was not granted.`);
+            return;
+        }
+
+        customDomains = customDomains.concat({ domain, platform: domainPlatformSelect.value });
+        await chrome.storage.local.set({ customMeetingDomains: customDomains });
+
+        domainInput.value = '';
+        renderCustomDomains();
+        showSuccess(`${domain} added. Reload meeting tabs that are already open on it.`);
+    } catch (e) {
+        console.error('Error adding custom domain:', e);
+        showError('Failed to add domain.');
+    }
+}
+
+/**
+ * Removes a custom domain and gives up access to it
+ * @param {string} domain - Domain to remove
+ */
+async function removeCustomDomain(domain) {
+    customDomains = customDomains.filter(entry => entry.domain !== domain);
+
+    try {
+        await chrome.storage.local.set({ customMeetingDomains: customDomains });
+        // Fails for hosts the manifest already requires; the domain is gone either way
+        await chrome.permissions.remove({
+            origins: [MeetingDomains.toMatchPattern(domain)]
+        }).catch(err => console.warn('Could not release access to', domain, err));
+        renderCustomDomains();
+        showSuccess(`${domain} removed.`);
+    } catch (e) {
+        console.error('Error removing custom domain:', e);
+        showError('Failed to remove domain.');
+    }
+}
+
+// ============================================================
+// PRESETS
+// ============================================================
+// Presets are saved as soon as they are changed, like custom
+// domains, so the recorder picks them up straight away.
+
+/**
+ * Loads the saved presets and renders them
+ */
+async function loadPresets() {
+    try {
+        presetState = await RecordingPresetsStore.load();
+        renderPresets();
+    } catch (e) {
+        console.error('Error loading presets:', e);
+        showError('Failed to load presets.');
+    }
+}
+
+/**
+ * Saves the preset state and renders it
+ * @param {Object} state - Updated preset state
+ * @param {string} message - Success message
+ */
+async function savePresets(state, message) {
+    try {
+        presetState = await RecordingPresetsStore.save(state);
+        renderPresets();
+        showSuccess(message);
+    } catch (e) {
+        console.error('Error saving presets:', e);
+        showError('Failed to save presets.');
+    }
+}
+
+/**
+ * Lists presets with buttons to edit, duplicate and delete each one
+ */
+function renderPresets() {
+    presetListEl.replaceChildren(...presetState.presets.map(preset => {
+        const item = document.createElement('li');
+        item.className = 'entry-item';
+
+        const name = document.createElement('span');
+        const inUse = preset.id === presetState.activeId ? ' (in use)' : '';
+        name.textContent = `${preset.name}${inUse} — ${RecordingSettings.describe(preset.quality)}`;
+
+        const buttons = document.createElement('span');
+        buttons.className = 'entry-buttons';
+        buttons.append(
+            createSmallButton('Edit', () => openPresetEditor(preset)),
+            createSmallButton('Duplicate', () => {
+                savePresets(RecordingPresets.duplicate(presetState, preset.id), `${preset.name} duplicated.`);
+            }),
+            createSmallButton('Delete', () => {
+                if (!confirm(`Delete the ${preset.name} preset?`)) return;
+                if (editingPresetId === preset.id) closePresetEditor();
+                savePresets(RecordingPresets.remove(presetState, preset.id), `${preset.name} deleted.`);
+            })
+        );
+
+        item.append(name, buttons);
+        return item;
+    }));
+}
+
+/**
+ * Creates a preset from the recorder's current settings and opens it for editing
+ */
+async function createPresetFromCurrent() {
+    try {
+        const preferences = await RecordingPresetsStore.loadPreferences();
+        const quality = await RecordingSettingsStore.load();
+        openPresetEditor(RecordingPresets.fromPreferences('New preset', preferences, quality));
+    } catch (e) {
+        console.error('Error reading current settings:', e);
+        showError('Failed to read the current settings.');
+    }
+}
+
+/**
+ * Shows a preset in the editor
+ * @param {Object} preset - Preset to edit; saved under the same ID
+ */
+function openPresetEditor(preset) {
+    editingPresetId = preset.id;
+
+    const preferences = RecordingPresets.toPreferences(preset);
+    getField(presetEditor, 'name').value = preset.name;
+    Object.keys(preferences).forEach(key => {
+        const field = getField(presetEditor, key);
+        if (field.type === 'checkbox') {
+            field.checked = preferences[key];
+        } else {
+            field.value = preferences[key];
+        }
+    });
+    writeQualityFields(presetQualityEl, preset.quality);
+
+    presetEditor.classList.remove('hidden');
+    getField(presetEditor, 'name').focus();
+}
+
+/**
+ * Hides the editor without saving
+ */
+function closePresetEditor() {
+    editingPresetId = null;
+    presetEditor.classList.add('hidden');
+}
+
+/**
+ * Saves the preset shown in the editor
+ */
+function savePresetFromEditor() {
+    const defaults = RecordingPresets.toPreferences(RecordingPresets.normalizePreset());
+    const preferences = {};
+    Object.keys(defaults).forEach(key => {
+        const field = getField(presetEditor, key);
+        preferences[key] = field.type === 'checkbox' ? field.checked : field.value;
+    });
+
+    const preset = RecordingPresets.fromPreferences(
+        getField(presetEditor, 'name').value,
+        preferences,
+        readQualityFields(presetQualityEl)
+    );
+    preset.id = editingPresetId;
+
+    closePresetEditor();
+    savePresets(RecordingPresets.save(presetState, preset), `${preset.name} saved.`);
+}
+
+/**
+ * Downloads every preset as a JSON file
+ */
+function exportPresets() {
+    const blob = new Blob([RecordingPresets.exportJson(presetState.presets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'recording-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Adds the presets from the chosen JSON file
+ */
+async function importPresets() {
+    const file = importPresetsInput.files[0];
+    importPresetsInput.value = '';
+    if (!file) return;
+
+    try {
+        const { state, count } = RecordingPresets.importJson(presetState, await file.text());
+        savePresets(state, `Imported ${count} preset${count === 1 ? '' : 's'}.`);
+    } catch (e) {
+        console.error('Error importing presets:', e);
+        showError(`Could not import presets: ${e.message}`);
+    }
+}
+
+// ============================================================
+// SAVING
+// ============================================================
+
+/**
+ * Splits a textarea into unique, non-empty meeting identifiers
+ * @param {HTMLTextAreaElement} input - List textarea
+ * @returns {string[]} Meeting identifiers
+ */
+function readList(input) {
+    const ids = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+    return Array.from(new Set(ids));
+}
+
+/**
+ * Saves the quality settings and rules shown on the page
+ */
+async function saveSettings() {
+    const allowList = readList(allowListInput);
+    const denyList = readList(denyListInput);
+
+    const conflicts = allowList.filter(id => denyList.includes(id));
+    if (conflicts.length > 0) {
+        showError(`These meetings are on both lists: ${conflicts.join(', ')}`);
+        return;
+    }
+
+    platformRulesEl.querySelectorAll('select').forEach(select => {
+        rules.platforms[select.dataset.platform] = select.value;
+    });
+    rules.allowList = allowList;
+    rules.denyList = denyList;
+
+    try {
+        recordingSettings = await RecordingSettingsStore.save(readQualityFields(qualitySettingsEl));
+        await chrome.storage.local.set({
+            [RecordingDownloads.TEMPLATE_KEY]: filenameTemplateInput.value.trim() || FilenameTemplate.DEFAULT_TEMPLATE
+        });
+        rules = await MeetingRulesStore.save(rules);
+        render();
+        showSuccess('Settings saved.');
+    } catch (e) {
+        console.error('Error saving settings:', e);
+        showError('Failed to save settings.');
+    }
+}
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Finds a form field by name
+ * @param {HTMLElement} container - Element holding the field
+ * @param {string} name - Field name
+ * @returns {HTMLElement} Field element
+ */
+function getField(container, name) {
+    return container.querySelector(`[name="${name}"]`);
+}
+
+/**
+ * Creates a small button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createSmallButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Shows success message to user
+ * @param {string} message - Success message text
+ */
+function showSuccess(message) {
+    statusMessage.textContent = message;
+    statusMessage.className = 'status-message success';
+}
+
+/**
+ * Shows error message to user
+ * @param {string} message - Error message text
+ */
+function showError(message) {
+    statusMessage.textContent = message;
+    statusMessage.className = 'status-message error';
+}
+
+// ============================================================
+// END OF OPTIONS.JS
+// ============================================================
+console.log('Settings page script loaded');
@@ -1,8 +1,9 @@
 // ============================================================
 // SCREEN RECORDER - Main Controller
 // ============================================================
-// This script manages screen recording with audio mixing
-// capabilities for Chrome extension popup/window interface.
+// Remote control for the offscreen recording engine. Handles
+// permission prompts and source selection, then sends commands
+// through background.js and renders the engine's live status.
 // ============================================================
 
 // ============================================================
@@ -12,17 +13,52 @@
 // UI Elements
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
-const preview = document.getElementById('preview');
+const tabRecordBtn = document.getElementById('tabRecordBtn');
+const tabGrantHint = document.getElementById('tabGrantHint');
+const pauseBtn = document.getElementById('pauseBtn');
 const statusEl = document.getElementById('status');
 const includeSystemAudioCheckbox = document.getElementById('includeSystemAudio');
 const includeMicCheckbox = document.getElementById('includeMic');
-
-// Recording State
-let recorder = null;
-let recordedChunks = [];
-let combinedStream = null;
-let displayStream = null;
-let micStream = null;
+const separateTracksCheckbox = document.getElementById('separateTracks');
+const audioOnlyCheckbox = document.getElementById('audioOnly');
+const audioFormatSelect = document.getElementById('audioFormat');
+const includeCameraCheckbox = document.getElementById('includeCamera');
+const cameraCornerSelect = document.getElementById('cameraCorner');
+const cameraSizeSelect = document.getElementById('cameraSize');
+const cameraShapeSelect = document.getElementById('cameraShape');
+const maxDurationInput = document.getElementById('maxDurationMinutes');
+const maxSizeInput = document.getElementById('maxSizeMb');
+const autoStopOnMeetingEndCheckbox = document.getElementById('autoStopOnMeetingEnd');
+const meetingEndGraceInput = document.getElementById('meetingEndGraceSeconds');
+const recordingMeter = document.getElementById('recordingMeter');
+const markerBar = document.getElementById('markerBar');
+const markerTextInput = document.getElementById('markerText');
+const presetBar = document.getElementById('presetBar');
+const qualityProfileBtn = document.getElementById('qualityProfile');
+
+// Recording State (mirrors the offscreen recording engine)
+let recorderState = 'idle';             // Last state reported by the engine
+let isStarting = false;                 // Permission prompts or picker in progress
+let meetingTabId = null;                // Tab of the detected meeting, if any
+let meetingTabGranted = false;          // Chrome lets the meeting tab be captured without a picker
+let meetingId = null;                   // Identifier of the detected meeting, if known
+let meetingSource = 'manual';           // Platform of the detected meeting
+let qualitySettings = RecordingSettings.normalize();  // Profile used for the next recording
+let qualitySummary = '';                // qualitySettings as shown when idle
+let filenameTemplate = RecordingPresets.DEFAULT_FILENAME_TEMPLATE;  // Set by the active preset
+let presetState = RecordingPresets.normalize();  // Presets, active preset and last used per platform
+let presetsLoaded = null;               // Pending or finished load of presetState
+let pendingPresetChange = Promise.resolve();  // Preset being applied for a detected meeting
+
+// Display names for meeting platforms
+const PLATFORM_NAMES = {
+  'google-meet': 'Google Meet',
+  'zoom': 'Zoom',
+  'teams': 'Microsoft Teams',
+  'webex': 'Webex',
+  'jitsi': 'Jitsi Meet',
+  'whereby': 'Whereby'
+};
 
 // ============================================================
 // PREFERENCE MANAGEMENT
@@ -30,17 +66,22 @@ let micStream = null;
 
 /**
  * Loads saved preferences from Chrome storage
- * Restores checkbox states to user's last selection
+ * Restores controls to user's last selection
  */
 async function loadPreferences() {
   try {
-    const result = await chrome.storage.local.get({
-      includeSystemAudio: false,  // Default: off
-      includeMic: true             // Default: on
-    });
-
-    includeSystemAudioCheckbox.checked = result.includeSystemAudio;
-    includeMicCheckbox.checked = result.includeMic;
+    const defaults = RecordingPresets.toPreferences(RecordingPresets.normalizePreset());
+    const result = await chrome.storage.local.get(Object.assign(defaults, {
+      systemGain: 100,             // Default: unchanged level (%)
+      micGain: 100
+    }));
+
+    setPreferenceControls(result);
+    document.getElementById('systemGain').value = result.systemGain;
+    document.getElementById('micGain').value = result.micGain;
+    applyChannelGain('system');
+    applyChannelGain('mic');
+    renderPresetBar();
 
     console.log('Preferences loaded:', result);
   } catch (e) {
@@ -49,17 +90,63 @@ async function loadPreferences() {
 }
 
 /**
- * Saves current checkbox states to Chrome storage
- * Called whenever a checkbox is changed
+ * Shows preferences in the controls
+ * @param {Object} preferences - Flat preferences, as stored or from a preset
+ */
+function setPreferenceControls(preferences) {
+  includeSystemAudioCheckbox.checked = preferences.includeSystemAudio;
+  includeMicCheckbox.checked = preferences.includeMic;
+  separateTracksCheckbox.checked = preferences.separateTracks;
+  audioOnlyCheckbox.checked = preferences.audioOnly;
+  audioFormatSelect.value = preferences.audioFormat;
+  includeCameraCheckbox.checked = preferences.includeCamera;
+  cameraCornerSelect.value = preferences.cameraCorner;
+  cameraSizeSelect.value = preferences.cameraSize;
+  cameraShapeSelect.value = preferences.cameraShape;
+  updateAudioOnlyVisibility();
+  maxDurationInput.value = preferences.maxDurationMinutes;
+  maxSizeInput.value = preferences.maxSizeMb;
+  autoStopOnMeetingEndCheckbox.checked = preferences.autoStopOnMeetingEnd;
+  meetingEndGraceInput.value = preferences.meetingEndGraceSeconds;
+  filenameTemplate = preferences.filenameTemplate;
+}
+
+/**
+ * Reads the preferences a preset is made of from the controls
+ * @returns {Object} Flat preferences
+ */
+function getCurrentPreferences() {
+  return {
+    includeSystemAudio: includeSystemAudioCheckbox.checked,
+    includeMic: includeMicCheckbox.checked,
+    separateTracks: separateTracksCheckbox.checked,
+    audioOnly: audioOnlyCheckbox.checked,
+    audioFormat: audioFormatSelect.value,
+    includeCamera: includeCameraCheckbox.checked,
+    cameraCorner: cameraCornerSelect.value,
+    cameraSize: cameraSizeSelect.value,
+    cameraShape: cameraShapeSelect.value,
+    maxDurationMinutes: readLimitInput(maxDurationInput),
+    maxSizeMb: readLimitInput(maxSizeInput),
+    autoStopOnMeetingEnd: autoStopOnMeetingEndCheckbox.checked,
+    meetingEndGraceSeconds: readLimitInput(meetingEndGraceInput),
+    filenameTemplate: filenameTemplate
+  };
+}
+
+/**
+ * Saves current control states to Chrome storage
+ * Called whenever a control is changed
  */
 async function savePreferences() {
   try {
-    const preferences = {
-      includeSystemAudio: includeSystemAudioCheckbox.checked,
-      includeMic: includeMicCheckbox.checked
-    };
+    const preferences = Object.assign(getCurrentPreferences(), {
+      systemGain: parseInt(document.getElementById('systemGain').value, 10),
+      micGain: parseInt(document.getElementById('micGain').value, 10)
+    });
 
     await chrome.storage.local.set(preferences);
+    renderPresetBar();
     console.log('Preferences saved:', preferences);
   } catch (e) {
     console.warn('Error saving preferences:', e);
@@ -77,6 +164,47 @@ async function savePreferences() {
   // Save preferences when checkboxes change
   includeSystemAudioCheckbox.addEventListener('change', savePreferences);
   includeMicCheckbox.addEventListener('change', savePreferences);
+  includeMicCheckbox.addEventListener('change', () => {
+    if (includeMicCheckbox.checked) {
+      startMicMonitor();
+    } else {
+      stopMicMonitor();
+    }
+  });
+  separateTracksCheckbox.addEventListener('change', savePreferences);
+  [audioOnlyCheckbox, audioFormatSelect].forEach(control => {
+    control.addEventListener('change', () => {
+      updateAudioOnlyVisibility();
+      if (!isRecorderActive()) renderQualityProfile(null);
+      savePreferences();
+    });
+  });
+  includeCameraCheckbox.addEventListener('change', () => {
+    updateCameraOptionsVisibility();
+    savePreferences();
+  });
+  [cameraCornerSelect, cameraSizeSelect, cameraShapeSelect].forEach(select => {
+    select.addEventListener('change', () => {
+      applyCameraOverlayOptions();
+      savePreferences();
+    });
+  });
+  [maxDurationInput, maxSizeInput].forEach(input => {
+    input.addEventListener('change', () => {
+      applyRecordingLimits();
+      savePreferences();
+    });
+  });
+  autoStopOnMeetingEndCheckbox.addEventListener('change', savePreferences);
+  meetingEndGraceInput.addEventListener('change', savePreferences);
+
+  // The filename template is edited on the settings page
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.filenameTemplate) {
+      filenameTemplate = changes.filenameTemplate.newValue || RecordingPresets.DEFAULT_FILENAME_TEMPLATE;
+      renderPresetBar();
+    }
+  });
 
   console.log('Preference management initialized');
 })();
@@ -87,32 +215,154 @@ async function savePreferences() {
 // ============================================================
 
 /**
- * Shows meeting platform information if opened from meeting detection
- * Displays which platform (Google Meet, Zoom, Teams) triggered the popup
+ * Remembers the detected meeting's tab and offers to record it directly
+ * @param {number|null} tabId - Meeting tab ID
+ */
+function setMeetingTab(tabId) {
+  meetingTabId = tabId || null;
+  meetingTabGranted = false;
+  renderCaptureMode();
+  refreshMeetingTabGrant();
+}
+
+/**
+ * Leads with direct tab recording once Chrome allows it, and with the
+ * screen picker until then
  */
-(function initializeMeetingInfo() {
+function renderCaptureMode() {
+  const offersTab = Boolean(meetingTabId) && isPersistentWindow();
+
+  tabRecordBtn.classList.toggle('hidden', !offersTab);
+  tabRecordBtn.classList.toggle('btn-primary', meetingTabGranted);
+  tabRecordBtn.classList.toggle('btn-outline', !meetingTabGranted);
+  tabGrantHint.classList.toggle('hidden', !offersTab || meetingTabGranted);
+}
+
+/**
+ * Re-checks whether the meeting tab can be captured and updates the controls
+ * @returns {Promise<boolean>} True if it can be captured without a picker
+ */
+async function refreshMeetingTabGrant() {
+  const tabId = meetingTabId;
+  const granted = await checkMeetingTabGrant();
+
+  // Another meeting may have taken over while asking
+  if (tabId === meetingTabId) {
+    meetingTabGranted = granted;
+    renderCaptureMode();
+  }
+  return granted;
+}
+
+/**
+ * Shows which meeting opened the recorder and offers per-meeting rules
+ * @param {string|null} meetingType - Meeting platform, or 'manual'
+ * @param {string|null} id - Meeting identifier reported by content.js
+ */
+function showMeetingInfo(meetingType, id) {
+  meetingSource = meetingType || 'manual';
+  meetingId = id || null;
+
+  const meetingInfo = document.getElementById('meetingInfo');
+  if (meetingSource === 'manual') {
+    meetingInfo.style.display = 'none';
+    return;
+  }
+
+  applyPlatformPreset(meetingSource);
+
+  document.getElementById('meetingType').textContent = PLATFORM_NAMES[meetingSource] || meetingSource;
+  document.getElementById('meetingRuleActions').classList.toggle('hidden', !meetingId);
+  meetingInfo.style.display = 'block';
+}
+
+/**
+ * Tracks the meeting passed in the URL or sent later by background.js
+ * when a new meeting is detected while this window is already open
+ */
+(function initializeMeetingTab() {
   try {
     const params = new URL(location.href).searchParams;
-    const meetingType = params.get('meeting');
-
-    if (meetingType && meetingType !== 'manual') {
-      const meetingInfo = document.getElementById('meetingInfo');
-      const meetingTypeSpan = document.getElementById('meetingType');
+    setMeetingTab(parseInt(params.get('tabId'), 10));
+    showMeetingInfo(params.get('meeting'), params.get('meetingId'));
+  } catch (e) {
+    console.warn('Error displaying meeting info:', e);
+  }
 
-      if (meetingInfo && meetingTypeSpan) {
-        const platformNames = {
-          'google-meet': 'Google Meet',
-          'zoom': 'Zoom',
-          'teams': 'Microsoft Teams'
-        };
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'meetingTabChanged') {
+      console.log('Meeting tab changed:', message.tabId);
+      setMeetingTab(message.tabId);
+      showMeetingInfo(message.meetingType, message.meetingId);
 
-        meetingTypeSpan.textContent = platformNames[meetingType] || meetingType;
-        meetingInfo.style.display = 'block';
-      }
+      // The meeting's rule says to record it without asking
+      if (message.autostart) autoStartMeetingRecording();
     }
+  });
+
+  // Clicking the icon on the meeting tab focuses this window and grants the tab
+  window.addEventListener('focus', () => {
+    if (meetingTabId) refreshMeetingTabGrant();
+  });
+})();
+
+// ============================================================
+// MEETING RULES - Per-Meeting Shortcuts
+// ============================================================
+
+/**
+ * Saves a rule for the detected meeting
+ * @param {Function} change - (rules, meetingId) => updated rules
+ * @param {string} message - Status shown once saved
+ * @returns {Promise<boolean>} True if the rule was saved
+ */
+async function applyMeetingRule(change, message) {
+  if (!meetingId) return false;
+
+  try {
+    await MeetingRulesStore.update(rules => change(rules, meetingId));
+    document.getElementById('meetingRuleActions').classList.add('hidden');
+    logStatus(message);
+    console.log('Meeting rule saved for', meetingId);
+    return true;
   } catch (e) {
-    console.warn('Error displaying meeting info:', e);
+    console.error('Error saving meeting rule:', e);
+    logStatus('Could not save the rule for this meeting.');
+    return false;
   }
+}
+
+/**
+ * Initialize meeting rule shortcuts
+ * Wires the banner buttons and the link to the full rules page
+ */
+(function initializeMeetingRules() {
+  document.getElementById('alwaysRecordBtn').addEventListener('click', async () => {
+    const saved = await applyMeetingRule(
+      (rules, id) => MeetingRules.addToList(rules, id, 'allowList'),
+      'This meeting will be recorded automatically from now on. Chrome still needs a click on the ' +
+        'extension icon or the start shortcut on the meeting tab before a recording can start.'
+    );
+    if (saved) autoStartMeetingRecording();
+  });
+
+  document.getElementById('neverRecordBtn').addEventListener('click', () => {
+    applyMeetingRule(
+      (rules, id) => MeetingRules.addToList(rules, id, 'denyList'),
+      'You will not be asked to record this meeting again.'
+    );
+  });
+
+  document.getElementById('snoozeMeetingBtn').addEventListener('click', () => {
+    applyMeetingRule(
+      (rules, id) => MeetingRules.snooze(rules, id),
+      'Prompts for this meeting are snoozed until tomorrow.'
+    );
+  });
+
+  document.getElementById('rulesBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
 })();
 
 // ============================================================
@@ -127,6 +377,31 @@ function logStatus(msg) {
   statusEl.textContent = msg;
 }
 
+/**
+ * Formats milliseconds as MM:SS (or H:MM:SS for long recordings)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration string
+ */
+function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+/**
+ * Reads a limit input as a non-negative number
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number} Limit value, 0 meaning no limit
+ */
+function readLimitInput(input) {
+  const value = parseFloat(input.value);
+  return isFinite(value) && value > 0 ? value : 0;
+}
+
 /**
  * Safely stops all tracks in a MediaStream
  * @param {MediaStream} stream - Stream whose tracks should be stopped
@@ -147,6 +422,14 @@ function stopAllTracks(stream) {
   }
 }
 
+/**
+ * Returns the meeting platform that opened this recorder
+ * @returns {string} Meeting platform key or 'manual'
+ */
+function getMeetingSource() {
+  return meetingSource;
+}
+
 /**
  * Checks if current page is in persistent window mode
  * @returns {boolean} True if in persistent window mode
@@ -155,36 +438,22 @@ function isPersistentWindow() {
   return new URL(location.href).searchParams.get('mode') === 'window';
 }
 
-// ============================================================
-// MEDIA RECORDER CONFIGURATION
-// ============================================================
-
 /**
- * Detects the best supported MIME type for MediaRecorder
- * Tries VP9/VP8 with Opus audio in order of preference
- * @returns {string} Supported MIME type or empty string
+ * @returns {boolean} True if the engine is recording or paused
  */
-function getSupportedMimeType() {
-  const candidates = [
-    'video/webm;codecs=vp9,opus',  // Best quality
-    'video/webm;codecs=vp8,opus',  // Good compatibility
-    'video/webm;codecs=vp9',       // Video only VP9
-    'video/webm'                    // Fallback
-  ];
-
-  for (const mimeType of candidates) {
-    try {
-      if (MediaRecorder.isTypeSupported && MediaRecorder.isTypeSupported(mimeType)) {
-        console.log('Using MIME type:', mimeType);
-        return mimeType;
-      }
-    } catch (e) {
-      console.warn('Error checking MIME type:', mimeType, e);
-    }
-  }
+function isRecorderActive() {
+  return recorderState === 'recording' || recorderState === 'paused';
+}
 
-  console.warn('No preferred MIME types supported, using default');
-  return '';
+/**
+ * Reads the limit inputs in the shape the recording engine expects
+ * @returns {{maxDurationMinutes: number, maxSizeMb: number}} Limits, 0 meaning none
+ */
+function getRecordingLimits() {
+  return {
+    maxDurationMinutes: readLimitInput(maxDurationInput),
+    maxSizeMb: readLimitInput(maxSizeInput)
+  };
 }
 
 // ============================================================
@@ -232,138 +501,344 @@ Microphone access is blocked.
 }
 
 // ============================================================
-// AUDIO MIXING - Web Audio API
+// RECORDING ENGINE MESSAGING
 // ============================================================
 
 /**
- * Creates a combined MediaStream with mixed audio tracks
- * Uses Web Audio API to mix display audio and microphone audio
- * 
- * @param {MediaStream} displayStream - Screen capture stream (video + optional system audio)
- * @param {MediaStream} micStream - Microphone audio stream
- * @returns {Promise<MediaStream>} Combined stream with video and mixed audio
+ * Sends a command to the offscreen recording engine via background.js
+ * and renders the status it answers with
+ * @param {string} action - Engine command
+ * @param {Object} [payload] - Extra message fields
+ * @returns {Promise<Object|null>} Engine status, or null on failure
  */
-async function createCombinedStreamUsingAudioContext(displayStream, micStream) {
-  const outputStream = new MediaStream();
-
-  // Add video track from display capture
-  const videoTrack = displayStream.getVideoTracks()[0];
-  if (videoTrack) {
-    outputStream.addTrack(videoTrack);
-    console.log('Added video track to output stream');
+async function sendRecorderCommand(action, payload) {
+  try {
+    const status = await chrome.runtime.sendMessage(
+      Object.assign({ target: 'background', action: action }, payload)
+    );
+    if (status) renderRecorderStatus(status);
+    return status || null;
+  } catch (e) {
+    console.warn('Recorder command failed:', action, e);
+    return null;
   }
+}
 
-  // Check if we have any audio to mix
-  const hasDisplayAudio = displayStream.getAudioTracks().length > 0;
-  const hasMicAudio = micStream && micStream.getAudioTracks && micStream.getAudioTracks().length > 0;
+/**
+ * Asks the engine for its current state, e.g. when this window is
+ * reopened while a recording is still running
+ * @returns {Promise<Object|null>} Engine status
+ */
+function syncRecorderStatus() {
+  return sendRecorderCommand('getRecorderStatus');
+}
 
-  // If no audio from any source, return video-only stream
-  if (!hasDisplayAudio && !hasMicAudio) {
-    console.log('No audio tracks available, returning video-only stream');
-    return outputStream;
+/**
+ * Updates buttons, meters and status text from an engine status
+ * @param {Object} status - Status reported by the engine
+ */
+function renderRecorderStatus(status) {
+  recorderState = status.state || 'idle';
+  const isActive = isRecorderActive();
+
+  startBtn.disabled = isStarting || recorderState !== 'idle';
+  tabRecordBtn.disabled = startBtn.disabled;
+  stopBtn.disabled = !isActive;
+  pauseBtn.disabled = !isActive;
+  pauseBtn.textContent = recorderState === 'paused' ? 'Resume' : 'Pause';
+
+  updateRecordingMeter(status);
+  updateMarkerBar(status);
+  renderQualityProfile(isActive ? status.profile : null);
+  if (isActive) {
+    stopMicMonitor();
+    renderLevelMeters(status.levels);
+    renderMuteState(status.muted);
+  } else {
+    if (!micMonitor) renderLevelMeters(null);
+    if (recorderState === 'idle') startMicMonitor();
   }
 
-  // Create audio mixing context
-  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  const destination = audioContext.createMediaStreamDestination();
-
-  /**
-   * Connects a MediaStream's audio to the audio mixing destination
-   * @param {MediaStream} stream - Stream to connect
-   */
-  function connectAudioSource(stream) {
-    if (!stream) return;
+  if (status.message) logStatus(status.message);
+}
 
-    // Verify stream has audio tracks
-    const audioTracks = stream.getAudioTracks();
-    if (!audioTracks || audioTracks.length === 0) {
-      console.log('Stream has no audio tracks, skipping connection');
-      return;
+/**
+ * Initialize engine status updates
+ * Renders periodic broadcasts and syncs once on open
+ */
+(function initializeRecorderStatus() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'recorderStatus') {
+      renderRecorderStatus(message.status);
     }
+  });
 
-    try {
-      const source = audioContext.createMediaStreamSource(stream);
-      source.connect(destination);
-      console.log('Connected audio source to mixer');
-    } catch (err) {
-      console.warn('Could not create MediaStreamSource:', err);
-    }
+  syncRecorderStatus();
+})();
+
+// ============================================================
+// AUDIO MIXER CONTROLS - Gain, Mute & Level Meters
+// ============================================================
+
+// Mixer channels and their popup controls
+const MIXER_CHANNELS = ['system', 'mic'];
+const mutedChannels = new Set();
+
+/**
+ * Reads a channel's gain slider
+ * @param {string} key - Mixer channel name
+ * @returns {number} Linear gain (1 = unchanged)
+ */
+function getChannelGain(key) {
+  return parseInt(document.getElementById(key + 'Gain').value, 10) / 100;
+}
+
+/**
+ * @param {string} key - Mixer channel name
+ * @returns {boolean} True if the channel is muted
+ */
+function isChannelMuted(key) {
+  return mutedChannels.has(key);
+}
+
+/**
+ * Returns the gain of every mixer channel
+ * @returns {Object} Channel name -> linear gain
+ */
+function getChannelGains() {
+  const gains = {};
+  MIXER_CHANNELS.forEach(key => { gains[key] = getChannelGain(key); });
+  return gains;
+}
+
+/**
+ * Applies a gain slider change, live if recording
+ * @param {string} key - Mixer channel name
+ */
+function applyChannelGain(key) {
+  const value = getChannelGain(key);
+  document.getElementById(key + 'GainValue').textContent = Math.round(value * 100) + '%';
+
+  if (key === 'mic' && micMonitor) micMonitor.gain.gain.value = value;
+
+  if (isRecorderActive()) {
+    sendRecorderCommand('setChannelGain', { channel: key, value: value });
   }
+}
 
-  // Connect both audio sources (if available)
-  connectAudioSource(displayStream);  // System audio
-  if (hasMicAudio) {
-    connectAudioSource(micStream);     // Microphone audio
+/**
+ * Toggles a channel's mute state, live if recording
+ * @param {string} key - Mixer channel name
+ */
+function toggleChannelMute(key) {
+  if (mutedChannels.has(key)) {
+    mutedChannels.delete(key);
+  } else {
+    mutedChannels.add(key);
   }
 
-  // Add the mixed audio track to output
-  const mixedAudioTrack = destination.stream.getAudioTracks()[0];
-  if (mixedAudioTrack) {
-    outputStream.addTrack(mixedAudioTrack);
-    console.log('Added mixed audio track to output stream');
+  const muted = isChannelMuted(key);
+  renderMuteButton(key);
+
+  if (isRecorderActive()) {
+    sendRecorderCommand('setChannelMute', { channel: key, muted: muted });
   }
 
-  // Store references for cleanup later
-  outputStream._audioContext = audioContext;
-  outputStream._audioDestination = destination;
+  console.log(`Mixer channel ${key} ${muted ? 'muted' : 'unmuted'}`);
+}
 
-  return outputStream;
+/**
+ * Shows a channel's mute state on its button
+ * @param {string} key - Mixer channel name
+ */
+function renderMuteButton(key) {
+  const muted = isChannelMuted(key);
+  const button = document.getElementById(key + 'MuteBtn');
+  button.textContent = muted ? '🔇' : '🔊';
+  button.setAttribute('aria-pressed', String(muted));
+  button.title = muted ? 'Unmute' : 'Mute';
+}
+
+/**
+ * Adopts the engine's mute state, which keyboard shortcuts can change
+ * @param {string[]} [muted] - Channels the engine has muted
+ */
+function renderMuteState(muted) {
+  if (!Array.isArray(muted)) return;
+
+  MIXER_CHANNELS.forEach(key => {
+    if (muted.includes(key)) {
+      mutedChannels.add(key);
+    } else {
+      mutedChannels.delete(key);
+    }
+    renderMuteButton(key);
+  });
+}
+
+/**
+ * Draws the level meters from levels measured by the engine
+ * @param {Object|null} levels - Channel name -> level from 0 to 1, or null to empty them
+ */
+function renderLevelMeters(levels) {
+  MIXER_CHANNELS.forEach(key => {
+    const level = (levels && levels[key]) || 0;
+    document.getElementById(key + 'Level').style.width = (level * 100).toFixed(1) + '%';
+  });
 }
 
 // ============================================================
-// SCREEN SHARE END DETECTION
+// MICROPHONE MONITOR - Level Meter Before Recording
 // ============================================================
 
+// The engine's analysers only exist while recording, so the mic meter
+// is fed from a preview of the same microphone until Start is clicked
+const MIC_MONITOR_INTERVAL_MS = 100;
+
+let micMonitor = null;                  // { stream, context, gain, analyser, intervalId } while idle
+let micMonitorOpening = false;          // getUserMedia for the monitor in progress
+
+/**
+ * Turns an analyser's current signal into a meter level
+ * Same scale as the engine: RMS from -60 dBFS..0 dBFS onto 0..1
+ * @param {AnalyserNode} analyser - Analyser to read
+ * @param {Float32Array} samples - Buffer of analyser.fftSize samples
+ * @returns {number} Level from 0 to 1
+ */
+function measureLevel(analyser, samples) {
+  analyser.getFloatTimeDomainData(samples);
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i];
+  }
+  const db = 20 * Math.log10(Math.sqrt(sumSquares / samples.length) || 1e-8);
+  return Math.min(1, Math.max(0, (db + 60) / 60));
+}
+
 /**
- * Attaches event handlers to detect when user stops screen sharing
- * Uses both event listeners and polling for reliable detection
- * 
- * @param {MediaStream} displayStream - The display capture stream to monitor
+ * Opens the microphone and drives the mic meter while no recording runs
+ * Only when mic access is already granted; the meter never prompts
  */
-function attachDisplayEndHandlers(displayStream) {
-  if (!displayStream) return;
+async function startMicMonitor() {
+  if (micMonitor || micMonitorOpening || isStarting || isRecorderActive()) return;
+  if (!includeMicCheckbox.checked) return;
+  if (await checkMicPermissionState() !== 'granted') return;
 
-  const videoTrack = displayStream.getVideoTracks()[0];
-  if (!videoTrack) {
-    console.warn('No video track found to monitor');
+  micMonitorOpening = true;
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (e) {
+    console.warn('Could not open microphone for the level meter:', e);
     return;
+  } finally {
+    micMonitorOpening = false;
   }
 
-  // Method 1: Event-based detection
-  // Fires when user clicks "Stop sharing" in browser UI
-  videoTrack.addEventListener('ended', () => {
-    console.log('Video track ended - user stopped sharing');
+  // Start was clicked or the mic unticked while the device opened
+  if (isStarting || isRecorderActive() || !includeMicCheckbox.checked) {
+    stopAllTracks(stream);
+    return;
+  }
 
-    // Auto-stop recording
-    if (recorder && recorder.state !== 'inactive') {
-      stopRecordingFlow();
-    }
+  const context = new AudioContext();
+  const gain = context.createGain();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  gain.gain.value = getChannelGain('mic');
+
+  // Nothing is connected to the output, so the mic is not played back
+  context.createMediaStreamSource(stream).connect(gain);
+  gain.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const intervalId = setInterval(() => {
+    renderLevelMeters({ mic: measureLevel(analyser, samples) });
+  }, MIC_MONITOR_INTERVAL_MS);
+
+  micMonitor = { stream, context, gain, analyser, intervalId };
+  console.log('Microphone level monitor started');
+}
+
+/**
+ * Releases the monitor's microphone, e.g. before recording takes it over
+ */
+function stopMicMonitor() {
+  if (!micMonitor) return;
+
+  clearInterval(micMonitor.intervalId);
+  stopAllTracks(micMonitor.stream);
+  micMonitor.context.close().catch(() => {});
+  micMonitor = null;
+  renderLevelMeters(null);
+  console.log('Microphone level monitor stopped');
+}
+
+/**
+ * Initialize mixer controls
+ * Wires gain sliders and mute buttons for every channel
+ */
+(function initializeMixerControls() {
+  MIXER_CHANNELS.forEach(key => {
+    const slider = document.getElementById(key + 'Gain');
+    slider.addEventListener('input', () => applyChannelGain(key));
+    slider.addEventListener('change', savePreferences);
 
-    // REMOVED: restoreExtensionWindow() - preview will open instead
+    document.getElementById(key + 'MuteBtn').addEventListener('click', () => toggleChannelMute(key));
   });
 
-  // Method 2: Polling-based detection (backup)
-  // Some scenarios may not fire 'ended' event reliably
-  const pollInterval = setInterval(() => {
-    // Check if track has ended
-    if (videoTrack.readyState === 'ended') {
-      console.log('Video track detected as ended via polling');
-      clearInterval(pollInterval);
-
-      // Auto-stop recording
-      if (recorder && recorder.state !== 'inactive') {
-        stopRecordingFlow();
-      }
+  console.log('Mixer controls initialized');
+})();
 
-      // REMOVED: restoreExtensionWindow() - preview will open instead
-    }
-  }, 1000); // Check every second
+// ============================================================
+// CAMERA OVERLAY CONTROLS
+// ============================================================
+
+/**
+ * Reads the overlay placement chosen in the popup
+ * @returns {{corner: string, size: string, shape: string}} Compositor options
+ */
+function getCameraOverlayOptions() {
+  return {
+    corner: cameraCornerSelect.value,
+    size: cameraSizeSelect.value,
+    shape: cameraShapeSelect.value
+  };
+}
+
+/**
+ * Applies overlay option changes to the live compositor, if recording
+ */
+function applyCameraOverlayOptions() {
+  if (isRecorderActive()) {
+    sendRecorderCommand('setCameraOverlay', { options: getCameraOverlayOptions() });
+  }
+}
+
+/**
+ * Shows the overlay options only when the camera is enabled
+ */
+function updateCameraOptionsVisibility() {
+  document.getElementById('cameraOptions').classList.toggle(
+    'hidden',
+    !includeCameraCheckbox.checked || audioOnlyCheckbox.checked
+  );
+}
 
-  // Store interval ID for cleanup
-  displayStream.__shareEndPollId = pollInterval;
-  console.log('Screen share end detection attached');
+/**
+ * Offers the audio format instead of the camera for audio-only recordings
+ */
+function updateAudioOnlyVisibility() {
+  const audioOnly = audioOnlyCheckbox.checked;
+  document.getElementById('audioFormatOptions').classList.toggle('hidden', !audioOnly);
+  document.getElementById('cameraOption').classList.toggle('hidden', audioOnly);
+  updateCameraOptionsVisibility();
 }
 
+// ============================================================
+// WINDOW MANAGEMENT
+// ============================================================
+
 /**
  * Restores and focuses the extension window
  * Brings minimized window back to normal state after recording
@@ -394,139 +869,82 @@ function restoreExtensionWindow() {
 }
 
 // ============================================================
-// RECORDING LIFECYCLE - Stop & Save
+// SOURCE SELECTION
 // ============================================================
 
 /**
- * Handles cleanup when recording stops
- * Opens preview page instead of auto-downloading
+ * Shows Chrome's screen picker and returns the chosen source
+ * The stream ID is opened by the offscreen engine, which belongs to
+ * the same extension origin as this window.
+ * @param {boolean} includeAudio - Offer sharing system/tab audio
+ * @param {boolean} [audioOnly] - Only the shared audio is recorded
+ * @returns {Promise<Object|null>} { source, streamId, audio }, or null if cancelled
  */
-function handleRecorderStop() {
-  console.log('Recorder stopped, opening preview...');
-
-  try {
-    // Create blob from all recorded chunks
-    const blob = new Blob(recordedChunks, { type: 'video/webm' });
-    console.log('Recording blob created, size:', blob.size, 'bytes');
-
-    // Convert blob to data URL for transfer
-    const reader = new FileReader();
-    reader.onloadend = function () {
-      const dataUrl = reader.result;
-      console.log('Data URL created, length:', dataUrl.length);
-
-      // Store in chrome.storage.local (works across extension pages)
-      chrome.storage.local.set({
-        recordingData: dataUrl,
-        recordingTimestamp: Date.now()
-      }, function () {
-        if (chrome.runtime.lastError) {
-          console.error('Error storing recording:', chrome.runtime.lastError);
-          fallbackDownload(blob);
-          return;
-        }
-
-        console.log('Recording data stored successfully');
+function chooseDesktopCapture(includeAudio, audioOnly) {
+  let sources = includeAudio
+    ? ['screen', 'window', 'tab', 'audio']
+    : ['screen', 'window', 'tab'];
+
+  // Windows cannot share their audio, so they have nothing to record
+  if (audioOnly) sources = sources.filter(source => source !== 'window');
+
+  return new Promise(resolve => {
+    chrome.desktopCapture.chooseDesktopMedia(sources, (streamId, options) => {
+      if (!streamId) {
+        resolve(null);
+        return;
+      }
 
-        // Open preview page in new tab
-        chrome.tabs.create({
-          url: chrome.runtime.getURL('src/presentation/preview/preview.html')
-        }, function (tab) {
-          console.log('Preview tab opened:', tab.id);
-        });
+      resolve({
+        source: 'desktop',
+        streamId: streamId,
+        audio: Boolean(includeAudio && options && options.canRequestAudioTrack)
       });
-    };
-
-    reader.onerror = function (error) {
-      console.error('Error reading blob:', error);
-      fallbackDownload(blob);
-    };
-
-    reader.readAsDataURL(blob);
-
-  } catch (e) {
-    console.error('Error processing recording:', e);
-    alert('Recording finished but failed to create preview: ' + e);
-  } finally {
-    // Cleanup all resources
-    cleanupRecordingResources();
-
-    // Reset UI state
-    logStatus('Recording complete! Preview opened in new tab.');
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    recordedChunks = [];
-  }
+    });
+  });
 }
 
 /**
- * Fallback download function if preview fails
- * @param {Blob} blob - Recording blob to download
+ * Gets a tab capture source for a tab's video and audio, no picker
+ * @param {number} tabId - Tab to capture
+ * @returns {Promise<Object>} { source, streamId, audio }
  */
-function fallbackDownload(blob) {
-  console.log('Using fallback download method');
-
-  try {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    a.href = url;
-    a.download = `screen-recording-${timestamp}.webm`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    setTimeout(() => URL.revokeObjectURL(url), 5000);
-
-    alert('Recording saved! (Preview unavailable)');
-  } catch (e) {
-    console.error('Fallback download failed:', e);
-    alert('Failed to save recording: ' + e);
-  }
+async function getTabCapture(tabId) {
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  return { source: 'tab', streamId: streamId, audio: true };
 }
 
+// Tab capture needs the extension to have been invoked on the tab itself
+const TAB_GRANT_HINT = 'Chrome only lets the recorder capture the meeting tab directly after you ' +
+  'click the extension icon or press the start shortcut (Alt+Shift+R by default) while on that tab.';
+
 /**
- * Cleans up all recording-related resources
- * Stops tracks, closes audio context, clears intervals
+ * Asks background.js whether the meeting tab can be captured without a picker
+ * @returns {Promise<boolean>} True if the user invoked the extension on the tab
  */
-function cleanupRecordingResources() {
-  console.log('Cleaning up recording resources...');
+async function checkMeetingTabGrant() {
+  if (!meetingTabId) return false;
 
-  // Close audio context
-  if (combinedStream && combinedStream._audioContext) {
-    try {
-      combinedStream._audioContext.close();
-      console.log('Audio context closed');
-    } catch (e) {
-      console.warn('Error closing audio context:', e);
-    }
-  }
-
-  // Stop combined stream tracks
-  stopAllTracks(combinedStream);
-
-  // Clear screen share end detection interval
   try {
-    if (displayStream && displayStream.__shareEndPollId) {
-      clearInterval(displayStream.__shareEndPollId);
-      console.log('Cleared share-end poll interval');
-    }
+    const response = await chrome.runtime.sendMessage({
+      target: 'background',
+      action: 'getTabGrant',
+      tabId: meetingTabId
+    });
+    return Boolean(response && response.granted);
   } catch (e) {
-    console.warn('Error clearing poll interval:', e);
+    console.warn('Could not check the meeting tab grant:', e);
+    return false;
   }
+}
 
-  // Stop display and mic streams
-  stopAllTracks(displayStream);
-  stopAllTracks(micStream);
-
-  // Clear stream references
-  combinedStream = null;
-  displayStream = null;
-  micStream = null;
-
-  // Clear preview
-  preview.srcObject = null;
-
-  console.log('Resource cleanup complete');
+/**
+ * Checks for Chrome's refusal to capture a tab the extension was not invoked on
+ * @param {*} err - Error from chrome.tabCapture.getMediaStreamId
+ * @returns {boolean} True if the tab lacks the activeTab grant
+ */
+function isTabGrantMissing(err) {
+  return /not been invoked/i.test(err && err.message ? err.message : String(err));
 }
 
 // ============================================================
@@ -534,31 +952,59 @@ function cleanupRecordingResources() {
 // ============================================================
 
 /**
- * Main recording flow - handles permissions, stream capture, and recording start
- * Coordinates microphone access, screen capture, and MediaRecorder initialization
+ * Re-enables the start controls after a start attempt ended early
  */
-async function startRecordingFlow() {
+function resetStartControls() {
+  isStarting = false;
+  startBtn.disabled = false;
+  tabRecordBtn.disabled = false;
+  stopBtn.disabled = true;
+  startMicMonitor();
+}
+
+/**
+ * Main recording flow - handles permissions and source selection, then
+ * hands the recording to the offscreen engine
+ * Permission prompts need a visible page, so they happen here; the
+ * streams opened for them are released once access is granted.
+ *
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.tabId] - Record this tab directly via tab capture instead of the picker
+ */
+async function startRecordingFlow(options = {}) {
   console.log('Starting recording flow...');
 
   // Disable UI during setup
+  isStarting = true;
   startBtn.disabled = true;
+  tabRecordBtn.disabled = true;
   stopBtn.disabled = true;
   document.getElementById('settingsInstructions').style.display = 'none';
   logStatus('Preparing...');
 
+  // The recording opens the microphone itself
+  stopMicMonitor();
+
   // Get user preferences from checkboxes
   const includeSystemAudio = document.getElementById('includeSystemAudio').checked;
-  const includeMic = document.getElementById('includeMic').checked;
+  const audioOnly = audioOnlyCheckbox.checked;
+  let includeMic = document.getElementById('includeMic').checked;
+  let includeCamera = includeCameraCheckbox.checked && !audioOnly;
+
+  if (audioOnly && !includeMic && !includeSystemAudio && !options.tabId) {
+    logStatus('Audio-only recording needs the microphone or system audio.');
+    resetStartControls();
+    return;
+  }
 
   // ========================================
   // STEP 1: Request Microphone Permission
   // ========================================
-  micStream = null;
   if (includeMic) {
     console.log('Requesting microphone access...');
 
     try {
-      micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      stopAllTracks(await navigator.mediaDevices.getUserMedia({ audio: true }));
       console.log('Microphone access granted');
     } catch (err) {
       console.error('Microphone request failed:', err);
@@ -567,8 +1013,7 @@ async function startRecordingFlow() {
       const permissionState = await checkMicPermissionState();
       if (permissionState === 'denied') {
         showMicDeniedUI();
-        startBtn.disabled = false;
-        stopBtn.disabled = true;
+        resetStartControls();
         logStatus('Microphone permission is denied.');
         return;
       } else {
@@ -576,215 +1021,590 @@ async function startRecordingFlow() {
         const proceed = confirm('Microphone access failed or was blocked. Continue without microphone?');
         if (!proceed) {
           logStatus('Recording cancelled because microphone is required.');
-          startBtn.disabled = false;
-          stopBtn.disabled = true;
+          resetStartControls();
           return;
         }
-        micStream = null;
+        includeMic = false;
         console.log('Continuing without microphone');
       }
     }
   }
 
   // ========================================
-  // STEP 2: Request Screen Capture
+  // STEP 1b: Request Camera Permission (picture-in-picture)
   // ========================================
-  console.log('Requesting display capture...');
-
-  try {
-    displayStream = await navigator.mediaDevices.getDisplayMedia({
-      video: true,
-      audio: includeSystemAudio
-    });
-    console.log('Display capture started');
+  if (includeCamera) {
+    console.log('Requesting camera access...');
 
-    // Minimize extension window during recording
     try {
-      chrome.windows.getCurrent(win => {
-        chrome.windows.update(win.id, { state: "minimized" });
-        console.log('Extension window minimized');
-      });
-    } catch (e) {
-      console.warn('Could not minimize window:', e);
+      stopAllTracks(await navigator.mediaDevices.getUserMedia({ video: true }));
+      console.log('Camera access granted');
+    } catch (err) {
+      console.error('Camera request failed:', err);
+
+      const proceed = confirm('Camera access failed or was blocked. Continue without the camera overlay?');
+      if (!proceed) {
+        logStatus('Recording cancelled because the camera is unavailable.');
+        resetStartControls();
+        return;
+      }
+      includeCamera = false;
+      console.log('Continuing without camera');
     }
+  }
 
-    // Attach handlers to detect when user stops sharing
-    attachDisplayEndHandlers(displayStream);
+  // ========================================
+  // STEP 2: Choose Screen or Tab
+  // ========================================
+  // Audio-only recordings of just the microphone need no picker
+  let capture = null;
+  if (!audioOnly || includeSystemAudio || options.tabId) {
+    console.log('Requesting capture source...');
 
-  } catch (err) {
-    // Handle screen capture errors
-    const errorName = err && (err.name || (err.constructor && err.constructor.name)) || '';
-    const silentErrorNames = ['AbortError', 'NotAllowedError', 'SecurityError', 'NotFoundError', 'NotReadableError'];
-    const isUserCancellation = silentErrorNames.includes(errorName);
-
-    if (!isUserCancellation) {
-      // Unexpected error - log for debugging
-      console.warn('Display capture failed:', err);
+    try {
+      capture = options.tabId
+        ? await getTabCapture(options.tabId)   // Meeting tab mode: no picker
+        : await chooseDesktopCapture(includeSystemAudio, audioOnly);
+    } catch (err) {
+      if (options.tabId && isTabGrantMissing(err)) {
+        // The grant ended, e.g. the tab navigated: lead with the picker again
+        console.warn('Meeting tab was not granted for capture:', err);
+        meetingTabGranted = false;
+        renderCaptureMode();
+        logStatus(TAB_GRANT_HINT + ' Or use Start Recording and choose the meeting tab in the picker.');
+        resetStartControls();
+        return;
+      }
+
+      console.warn('Capture source selection failed:', err);
       logStatus('Failed to start display capture: ' + (err && err.message ? err.message : err));
-    } else {
+      resetStartControls();
+      return;
+    }
+
+    if (!capture) {
       // User cancelled screen sharing - handle silently
       console.log('User cancelled screen sharing');
       logStatus('Ready. Screen sharing was cancelled.');
+      resetStartControls();
+      return;
     }
 
-    // Clean up microphone stream if opened
-    if (micStream) {
-      stopAllTracks(micStream);
-      micStream = null;
+    if (audioOnly && !capture.audio) {
+      const proceed = includeMic && confirm('No audio was shared. Record the microphone only?');
+      if (!proceed) {
+        logStatus('Recording cancelled because no audio was shared.');
+        resetStartControls();
+        return;
+      }
+      capture = null;
     }
-
-    // Reset UI
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    return;
   }
 
   // ========================================
-  // STEP 3: Mix Audio Streams
+  // STEP 3: Start Recording in the Offscreen Engine
   // ========================================
-  console.log('Creating combined stream with audio mixing...');
+  logStatus('Starting recorder...');
 
+  let result;
   try {
-    combinedStream = await createCombinedStreamUsingAudioContext(displayStream, micStream);
-    console.log('Combined stream created successfully');
+    result = await chrome.runtime.sendMessage({
+      target: 'background',
+      action: 'startRecording',
+      options: {
+        capture: capture,
+        audioOnly: audioOnly,
+        audioFormat: audioFormatSelect.value,
+        includeMic: includeMic,
+        includeCamera: includeCamera,
+        separateTracks: separateTracksCheckbox.checked,
+        source: getMeetingSource(),
+        meetingTabId: meetingTabId,
+        gains: getChannelGains(),
+        muted: Array.from(mutedChannels),
+        cameraOverlay: getCameraOverlayOptions(),
+        limits: getRecordingLimits(),
+        quality: qualitySettings,
+        presetName: getActivePresetName(),
+        filenameTemplate: filenameTemplate,
+        meetingId: meetingId
+      }
+    });
   } catch (err) {
-    console.error('Failed to create combined stream:', err);
-    logStatus('Failed to prepare audio mixing: ' + (err && err.message ? err.message : err));
+    result = { ok: false, error: err && err.message ? err.message : String(err) };
+  }
 
-    // Cleanup
-    stopAllTracks(displayStream);
-    if (micStream) stopAllTracks(micStream);
+  isStarting = false;
 
-    // Reset UI
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
+  if (!result || !result.ok) {
+    console.error('Recording engine failed to start:', result);
+    logStatus((result && result.error) || 'Could not start recorder.');
+    resetStartControls();
     return;
   }
 
-  // ========================================
-  // STEP 4: Setup Preview
-  // ========================================
-  preview.srcObject = combinedStream;
-  preview.muted = true;  // Mute to avoid audio feedback
-  console.log('Preview stream attached');
+  // Minimize extension window during recording
+  try {
+    chrome.windows.getCurrent(win => {
+      chrome.windows.update(win.id, { state: "minimized" });
+      console.log('Extension window minimized');
+    });
+  } catch (e) {
+    console.warn('Could not minimize window:', e);
+  }
 
-  // ========================================
-  // STEP 5: Create MediaRecorder
-  // ========================================
-  console.log('Creating MediaRecorder...');
+  await syncRecorderStatus();
+  console.log('Recording flow complete - now recording');
+}
 
-  const mimeType = getSupportedMimeType();
-  try {
-    recorder = mimeType
-      ? new MediaRecorder(combinedStream, { mimeType: mimeType })
-      : new MediaRecorder(combinedStream);
+// ============================================================
+// LIVE METER & AUTOMATIC LIMITS
+// ============================================================
 
-    console.log('MediaRecorder created');
-  } catch (err) {
-    console.error('MediaRecorder creation failed:', err);
-    logStatus('Recording failed: ' + (err && err.message ? err.message : err));
+/**
+ * Updates elapsed time, recorded size and paused state in the meter
+ * The meter is only shown while the engine is recording or paused
+ * @param {Object} status - Status reported by the engine
+ */
+function updateRecordingMeter(status) {
+  const isActive = isRecorderActive();
+  const isPaused = status.state === 'paused';
 
-    // Cleanup
-    stopAllTracks(combinedStream);
-    stopAllTracks(displayStream);
-    if (micStream) stopAllTracks(micStream);
+  recordingMeter.classList.toggle('hidden', !isActive);
+  recordingMeter.classList.toggle('paused', isActive && isPaused);
+  if (!isActive) return;
 
-    // Reset UI
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    return;
-  }
+  document.getElementById('meterState').textContent = isPaused ? '⏸' : '⏺';
+  document.getElementById('meterElapsed').textContent = formatElapsed(status.elapsedMs);
+  document.getElementById('meterSize').textContent = `${(status.bytesRecorded / (1024 * 1024)).toFixed(2)} MB`;
+}
 
-  // ========================================
-  // STEP 6: Setup Recorder Event Handlers
-  // ========================================
-  recordedChunks = [];
+/**
+ * Shows the marker buttons and how many markers were dropped so far
+ * @param {Object} status - Status reported by the engine
+ */
+function updateMarkerBar(status) {
+  const isActive = isRecorderActive();
+
+  markerBar.classList.toggle('hidden', !isActive);
+  if (!isActive) return;
+
+  const count = status.markerCount || 0;
+  document.getElementById('markerCount').textContent = count ? `${count} marker${count === 1 ? '' : 's'}` : '';
+}
+
+/**
+ * Drops a marker at the current recording time, with the typed text
+ * @param {string} kind - RecordingMarkers kind: 'decision', 'action' or 'note'
+ */
+function addMarker(kind) {
+  if (!isRecorderActive()) return;
+
+  sendRecorderCommand('addMarker', { kind: kind, text: markerTextInput.value });
+  markerTextInput.value = '';
+}
+
+/**
+ * Initialize marker controls
+ * Buttons, Enter in the text field and the D / A / N keys
+ */
+(function initializeMarkers() {
+  const SHORTCUT_KINDS = { d: 'decision', a: 'action', n: 'note' };
+
+  markerBar.querySelectorAll('.marker-btn').forEach(button => {
+    button.addEventListener('click', () => addMarker(button.dataset.kind));
+  });
 
-  // Collect data chunks as they become available
-  recorder.ondataavailable = (event) => {
-    if (event.data && event.data.size > 0) {
-      recordedChunks.push(event.data);
-      console.log(`Recorded chunk: ${event.data.size} bytes`);
+  markerTextInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addMarker('note');
     }
-  };
+  });
 
-  // Handle recording stop
-  recorder.onstop = handleRecorderStop;
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target.closest('input, select, textarea')) return;
 
-  // Handle recorder errors
-  recorder.onerror = (event) => {
-    console.error('Recorder error:', event);
-    logStatus('Recorder error: ' + (event && event.error && event.error.name ? event.error.name : event));
-  };
+    const kind = SHORTCUT_KINDS[e.key.toLowerCase()];
+    if (kind && isRecorderActive()) {
+      e.preventDefault();
+      addMarker(kind);
+    }
+  });
+})();
 
-  // ========================================
-  // STEP 7: Start Recording
-  // ========================================
-  console.log('Starting MediaRecorder...');
+/**
+ * Sends changed limits to the engine so they apply to the running recording
+ */
+function applyRecordingLimits() {
+  if (isRecorderActive()) {
+    sendRecorderCommand('setLimits', { limits: getRecordingLimits() });
+  }
+}
+
+// ============================================================
+// QUALITY PROFILE
+// ============================================================
 
+/**
+ * Loads the quality settings chosen on the settings page
+ * The summary names the codec this browser will actually use
+ */
+async function loadQualitySettings() {
   try {
-    recorder.start();  // Start recording (collects all data until stop)
-    console.log('Recording started successfully');
-  } catch (err) {
-    console.error('recorder.start() failed:', err);
-    logStatus('Could not start recorder: ' + (err && err.message ? err.message : err));
+    qualitySettings = await RecordingSettingsStore.load();
+  } catch (e) {
+    console.warn('Error loading quality settings:', e);
+  }
 
-    // Cleanup
-    stopAllTracks(combinedStream);
-    stopAllTracks(displayStream);
-    if (micStream) stopAllTracks(micStream);
+  const { codec } = RecordingSettings.pickMimeType(
+    qualitySettings,
+    (mimeType) => MediaRecorder.isTypeSupported(mimeType)
+  );
+  qualitySummary = RecordingSettings.describe(qualitySettings, codec);
+  if (!isRecorderActive()) renderQualityProfile(null);
+  renderPresetBar();
+}
 
-    // Reset UI
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
-    return;
+/**
+ * Shows the profile of the running recording, or the one the next recording will use
+ * @param {string|null} activeProfile - Profile reported by the engine while recording
+ */
+function renderQualityProfile(activeProfile) {
+  const idleSummary = audioOnlyCheckbox.checked
+    ? RecordingSettings.describeAudio(qualitySettings, audioFormatSelect.value)
+    : qualitySummary;
+
+  qualityProfileBtn.textContent = activeProfile
+    ? `Recording at ${activeProfile}`
+    : `Quality: ${idleSummary}`;
+}
+
+/**
+ * Initialize quality profile display
+ * Follows changes saved on the settings page while the recorder is open
+ */
+(function initializeQualityProfile() {
+  qualityProfileBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[RecordingSettingsStore.STORAGE_KEY]) {
+      loadQualitySettings();
+    }
+  });
+
+  loadQualitySettings();
+})();
+
+// ============================================================
+// RECORDING PRESETS
+// ============================================================
+
+/**
+ * Loads the presets once; later changes arrive through storage events
+ * @returns {Promise<void>}
+ */
+function ensurePresetsLoaded() {
+  if (!presetsLoaded) {
+    presetsLoaded = RecordingPresetsStore.load().then(state => {
+      presetState = state;
+      renderPresetBar();
+    }).catch(e => {
+      console.warn('Error loading presets:', e);
+    });
   }
+  return presetsLoaded;
+}
 
-  // Update UI for active recording
-  startBtn.disabled = true;
-  stopBtn.disabled = false;
-  logStatus('Recording... Click Stop to finish.');
-  console.log('Recording flow complete - now recording');
+/**
+ * @returns {string|null} Name of the applied preset, if any
+ */
+function getActivePresetName() {
+  const active = RecordingPresets.find(presetState, presetState.activeId);
+  return active ? active.name : null;
 }
 
+/**
+ * Shows one button per preset, marking the applied one
+ * The applied preset is flagged once its settings are changed by hand
+ */
+function renderPresetBar() {
+  const active = RecordingPresets.find(presetState, presetState.activeId);
+  const modified = Boolean(active) &&
+    !RecordingPresets.matches(active, getCurrentPreferences(), qualitySettings);
+
+  presetBar.replaceChildren(...presetState.presets.map(preset => {
+    const button = document.createElement('button');
+    const isActive = preset === active;
+
+    button.className = 'preset-chip';
+    button.textContent = preset.name;
+    button.classList.toggle('active', isActive);
+    button.classList.toggle('modified', isActive && modified);
+    button.title = isActive && modified
+      ? 'Settings changed since this preset was applied. Click to reapply.'
+      : `Use the ${preset.name} preset`;
+    button.addEventListener('click', () => applyPreset(preset.id));
+    return button;
+  }));
+
+  presetBar.classList.toggle('hidden', presetState.presets.length === 0);
+}
+
+/**
+ * Copies a preset into the recorder's preferences and quality settings
+ * It is remembered as the last preset used for the current meeting platform
+ * @param {string} id - Preset ID
+ */
+async function applyPreset(id) {
+  await ensurePresetsLoaded();
+  const preset = RecordingPresets.find(presetState, id);
+  if (!preset) return;
+
+  try {
+    const preferences = RecordingPresets.toPreferences(preset);
+    setPreferenceControls(preferences);
+    await chrome.storage.local.set(preferences);
+    await RecordingSettingsStore.save(preset.quality);
+    await loadQualitySettings();
+    presetState = await RecordingPresetsStore.update(state =>
+      RecordingPresets.markUsed(state, id, meetingSource)
+    );
+
+    // Overlay and limits also apply to a running recording
+    applyCameraOverlayOptions();
+    applyRecordingLimits();
+    renderPresetBar();
+    if (!isRecorderActive()) logStatus(`Using the ${preset.name} preset.`);
+    console.log('Preset applied:', preset.name);
+  } catch (e) {
+    console.error('Error applying preset:', e);
+    logStatus('Could not apply the preset.');
+  }
+}
+
+/**
+ * Switches to the preset used last for a meeting platform
+ * Auto-start waits for this so the meeting is recorded with it
+ * @param {string} platform - Meeting platform
+ */
+function applyPlatformPreset(platform) {
+  pendingPresetChange = ensurePresetsLoaded().then(() => {
+    const id = presetState.lastUsed[platform];
+    if (id && id !== presetState.activeId) return applyPreset(id);
+  });
+}
+
+/**
+ * Initialize presets
+ * Follows presets edited on the settings page while the recorder is open
+ */
+(function initializePresets() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[RecordingPresetsStore.STORAGE_KEY]) {
+      presetState = RecordingPresets.normalize(changes[RecordingPresetsStore.STORAGE_KEY].newValue);
+      renderPresetBar();
+    }
+  });
+
+  ensurePresetsLoaded();
+})();
+
 // ============================================================
-// RECORDING LIFECYCLE - Stop Recording
+// CRASH RECOVERY
 // ============================================================
 
 /**
- * Stops the active recording and cleans up resources
- * Can be called manually (Stop button) or automatically (share ended)
+ * Offers to recover recordings left behind by a closed or crashed recorder
+ * Shows one interrupted recording at a time in the recovery banner
  */
-function stopRecordingFlow() {
-  console.log('Stopping recording flow...');
+async function showInterruptedRecordings() {
+  const banner = document.getElementById('recoveryBanner');
+  const details = document.getElementById('recoveryDetails');
+  if (!banner || !details) return;
 
-  if (recorder && recorder.state !== 'inactive') {
-    logStatus('Stopping...');
-    try {
-      recorder.stop();  // Triggers handleRecorderStop callback
-      console.log('Recorder stopped');
-    } catch (e) {
-      console.warn('Error stopping recorder:', e);
+  let interrupted = [];
+  try {
+    interrupted = await RecordingStore.listInterruptedRecordings();
+  } catch (e) {
+    console.warn('Error checking for interrupted recordings:', e);
+  }
+
+  const recording = interrupted[0];
+  if (!recording) {
+    banner.style.display = 'none';
+    banner.dataset.recordingId = '';
+    return;
+  }
+
+  const sizeMb = (recording.size / (1024 * 1024)).toFixed(2);
+  const startedAt = new Date(recording.createdAt).toLocaleString();
+  details.textContent = `Started ${startedAt}, ${sizeMb} MB saved.`;
+  banner.dataset.recordingId = recording.id;
+  banner.style.display = 'block';
+
+  console.log('Interrupted recordings found:', interrupted.length);
+}
+
+/**
+ * Rebuilds an interrupted recording from its saved chunks and opens it in preview
+ * @param {string} id - Interrupted recording ID
+ */
+async function recoverRecording(id) {
+  logStatus('Recovering recording...');
+
+  try {
+    const recording = await RecordingStore.getRecording(id);
+    if (!recording || recording.size === 0) {
+      throw new Error('No recorded data was saved');
     }
-  } else {
-    // Recorder already stopped or never started - manual cleanup
-    console.log('Recorder not active, performing manual cleanup');
-    cleanupRecordingResources();
 
-    // Reset UI
-    logStatus('Stopped.');
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
+    // Wall-clock span minus any breaks that were saved before the crash
+    const pausedSeconds = (recording.pauses || []).reduce((sum, pause) => sum + pause.duration, 0);
+
+    await RecordingStore.updateRecording(id, {
+      status: 'complete',
+      recovered: true,
+      stoppedAt: recording.updatedAt,
+      duration: Math.max(0, (recording.updatedAt - recording.createdAt) / 1000 - pausedSeconds)
+    });
+
+    // Separate tracks share the main recording's fate
+    const tracks = await RecordingStore.listTracks(id);
+    await Promise.all(tracks.map(track =>
+      RecordingStore.updateRecording(track.id, { status: 'complete', recovered: true })
+    ));
+
+    chrome.tabs.create({
+      url: chrome.runtime.getURL('src/presentation/preview/preview.html?id=' + encodeURIComponent(id))
+    });
+
+    logStatus('Recording recovered! Preview opened in new tab.');
+    console.log('Recording recovered:', id);
+  } catch (e) {
+    console.error('Recovery failed:', e);
+    logStatus('Could not recover recording: ' + (e && e.message ? e.message : e));
   }
+
+  showInterruptedRecordings();
 }
 
+/**
+ * Permanently deletes an interrupted recording
+ * @param {string} id - Interrupted recording ID
+ */
+async function discardInterruptedRecording(id) {
+  if (!confirm('Discard this interrupted recording? This cannot be undone.')) return;
+
+  try {
+    await RecordingStore.deleteRecording(id);
+    logStatus('Interrupted recording discarded.');
+    console.log('Interrupted recording discarded:', id);
+  } catch (e) {
+    console.error('Error discarding recording:', e);
+    logStatus('Could not discard recording.');
+  }
+
+  showInterruptedRecordings();
+}
+
+/**
+ * Initialize crash recovery
+ * Checks for interrupted recordings and wires the banner buttons
+ */
+(function initializeRecovery() {
+  const banner = document.getElementById('recoveryBanner');
+  if (!banner) return;
+
+  document.getElementById('recoverBtn').addEventListener('click', () => {
+    recoverRecording(banner.dataset.recordingId);
+  });
+
+  document.getElementById('discardRecoveryBtn').addEventListener('click', () => {
+    discardInterruptedRecording(banner.dataset.recordingId);
+  });
+
+  showInterruptedRecordings();
+})();
+
 // ============================================================
 // AUTO-START LOGIC
 // ============================================================
 
+/**
+ * Records the detected meeting tab unless a recording is already running
+ * Used when the meeting's rule says to record it automatically
+ */
+async function autoStartMeetingRecording() {
+  await pendingPresetChange;
+  await syncRecorderStatus();
+  if (recorderState !== 'idle' || isStarting || !meetingTabId) return;
+
+  // Chrome refuses the tab until the user clicks the icon or presses the shortcut on it
+  if (!(await refreshMeetingTabGrant())) {
+    armMeetingRecording();
+    return;
+  }
+
+  console.log('Auto-recording meeting tab', meetingTabId);
+  try {
+    await startRecordingFlow({ tabId: meetingTabId });
+  } catch (err) {
+    console.error('Meeting auto-start failed:', err);
+    logStatus('Could not start recording: ' + (err && err.message ? err.message : err));
+  }
+  if (isRecorderActive()) return;
+
+  // The grant ended since it was given, e.g. the tab navigated
+  if (!meetingTabGranted) {
+    armMeetingRecording();
+    return;
+  }
+
+  // The user expects this meeting to be recording; say loudly that it is not
+  chrome.runtime.sendMessage({
+    target: 'background',
+    action: 'autoStartFailed',
+    meetingType: meetingSource,
+    reason: statusEl.textContent
+  }).catch(() => {});
+}
+
+/**
+ * Leaves the meeting armed: background.js starts it once the user clicks
+ * the extension icon or presses the start shortcut on the meeting tab
+ */
+function armMeetingRecording() {
+  console.log('Meeting tab not granted yet, arming the recorder');
+  logStatus('Recording is armed but not running. ' + TAB_GRANT_HINT);
+  chrome.runtime.sendMessage({
+    target: 'background',
+    action: 'armMeeting',
+    tabId: meetingTabId,
+    meetingType: meetingSource,
+    meetingId: meetingId
+  }).catch(() => {});
+}
+
+/**
+ * Opens the screen picker unless a recording is already running
+ * Used by the start button of the action popup and the start shortcut
+ */
+async function autoStartScreenRecording() {
+  await syncRecorderStatus();
+  if (recorderState === 'idle' && !startBtn.disabled) {
+    startRecordingFlow().catch(err =>
+      console.error('Auto-start failed:', err)
+    );
+  }
+}
+
 /**
  * Automatically starts recording if opened with autostart parameter
- * Used when extension is triggered from meeting detection
+ * 'tab' records the detected meeting tab, '1' opens the screen picker
  */
 (function initializeAutoStart() {
   try {
@@ -792,21 +1612,33 @@ function stopRecordingFlow() {
     const isWindow = params.get('mode') === 'window';
     const shouldAutoStart = params.get('autostart') === '1';
 
-    if (isWindow && shouldAutoStart) {
+    if (isWindow && params.get('autostart') === 'tab') {
+      setTimeout(autoStartMeetingRecording, 200);
+    } else if (isWindow && shouldAutoStart) {
       console.log('Auto-start requested, starting recording...');
 
-      // Small delay to ensure UI is fully loaded
-      setTimeout(() => {
-        if (!recorder && !startBtn.disabled) {
-          startRecordingFlow().catch(err =>
-            console.error('Auto-start failed:', err)
-          );
-        }
-      }, 200);
+      // Small delay to ensure UI is fully loaded and synced with the engine
+      setTimeout(autoStartScreenRecording, 200);
     }
   } catch (e) {
     console.warn('Auto-start initialization error:', e);
   }
+
+  // Start shortcut pressed while this window was already open
+  if (isPersistentWindow()) {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'startScreenRecording') autoStartScreenRecording();
+    });
+    return;
+  }
+
+  // Opening the action popup lets Chrome capture the active tab; an armed
+  // meeting recording there starts in the recorder window instead
+  chrome.runtime.sendMessage({ target: 'background', action: 'actionPopupOpened' })
+    .then(response => {
+      if (response && response.recorderOpened) window.close();
+    })
+    .catch(() => {});
 })();
 
 // ============================================================
@@ -825,14 +1657,8 @@ startBtn.addEventListener('click', async () => {
     console.log('Opening persistent window for recording...');
 
     try {
-      // Create persistent popup window with max size
-      chrome.windows.create({
-        url: chrome.runtime.getURL('src/presentation/popup/popup.html?mode=window&autostart=1'),
-        type: 'popup',
-        width: 640,
-        height: 600,
-        focused: true
-      });
+      // background.js tracks the window, so the toolbar icon can focus it later
+      await chrome.runtime.sendMessage({ target: 'background', action: 'openRecorder', autostart: 'picker' });
 
       // Close the small action popup
       window.close();
@@ -848,73 +1674,41 @@ startBtn.addEventListener('click', async () => {
 });
 
 /**
- * Stop button click handler
- * Manually stops active recording
+ * Library button click handler
+ * Opens the recordings library in a new tab
  */
-stopBtn.addEventListener('click', () => {
-  console.log('Stop button clicked');
-  stopRecordingFlow();
+document.getElementById('libraryBtn').addEventListener('click', () => {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL('src/presentation/library/library.html')
+  });
 });
 
-// ============================================================
-// EVENT HANDLERS - Window Lifecycle
-// ============================================================
-
 /**
- * Cleanup on window/tab close
- * Ensures all streams are stopped and asks confirmation if recording
+ * Pause button click handler
+ * Toggles between pausing and resuming the active recording
  */
-window.addEventListener('beforeunload', (event) => {
-  console.log('Window closing...');
-
-  // If recording is active, ask for confirmation
-  if (recorder && recorder.state !== 'inactive') {
-    // Show confirmation dialog
-    const confirmationMessage = 'Recording is in progress. If you close this window, your recording will be lost. Are you sure?';
-
-    // Standard way to show confirmation dialog
-    event.preventDefault();
-    event.returnValue = confirmationMessage;
-
-    // For older browsers
-    return confirmationMessage;
-  }
-
-  // If not recording or user confirmed, clean up resources
-  cleanupOnClose();
+pauseBtn.addEventListener('click', () => {
+  sendRecorderCommand(recorderState === 'paused' ? 'resumeRecording' : 'pauseRecording');
 });
 
 /**
- * Clean up all resources on window close
+ * Meeting tab button click handler
+ * Records the detected meeting tab directly, skipping the screen picker
  */
-function cleanupOnClose() {
-  console.log('Cleaning up resources on window close...');
-
-  // Stop active recording
-  if (recorder && recorder.state !== 'inactive') {
-    try {
-      recorder.stop();
-    } catch (e) {
-      console.warn('Error stopping recorder on close:', e);
-    }
-  }
-
-  // Close audio context
-  if (combinedStream && combinedStream._audioContext) {
-    try {
-      combinedStream._audioContext.close();
-    } catch (e) {
-      console.warn('Error closing audio context on close:', e);
-    }
-  }
-
-  // Stop all streams
-  stopAllTracks(combinedStream);
-  stopAllTracks(displayStream);
-  stopAllTracks(micStream);
+tabRecordBtn.addEventListener('click', async () => {
+  console.log('Record meeting tab clicked');
+  await startRecordingFlow({ tabId: meetingTabId });
+});
 
-  console.log('Cleanup on close complete');
-}
+/**
+ * Stop button click handler
+ * Manually stops active recording
+ */
+stopBtn.addEventListener('click', () => {
+  console.log('Stop button clicked');
+  stopBtn.disabled = true;
+  sendRecorderCommand('stopRecording');
+});
 
 // ============================================================
 // END OF POPUP.JS
@@ -4,17 +4,97 @@
 // Displays recorded video with download/discard options
 // ============================================================
 
+let recordingId = null;
+let recording = null;        // Metadata used for download names
 let recordingBlob = null;
 let recordingUrl = null;
 
+// Trim & cut editor state
+let mediaDuration = 0;       // Recording length in seconds
+let trimEdits = null;        // In/out points and cuts, see TrimEdits
+let cutStart = null;         // Start of a cut still waiting for its end
+let exporting = false;
+
+// AbortController of a running MP4 or clip export; one runs at a time
+let runningExport = null;
+
+// Peak levels drawn for audio-only recordings, see Waveform
+let waveformPeaks = null;
+
+// Markers dropped while recording, sorted by time, see RecordingMarkers
+let markers = [];
+
 // DOM Elements
 const video = document.getElementById('recordedVideo');
+const videoContainer = document.getElementById('videoContainer');
+const waveformCanvas = document.getElementById('waveform');
 const downloadBtn = document.getElementById('downloadBtn');
+const exportMp4Btn = document.getElementById('exportMp4Btn');
+const exportProgress = document.getElementById('exportProgress');
+const exportProgressLabel = document.getElementById('exportProgressLabel');
+const exportProgressBar = document.getElementById('exportProgressBar');
+const cancelExportBtn = document.getElementById('cancelExportBtn');
+const formatEl = document.getElementById('format');
 const discardBtn = document.getElementById('discardBtn');
 const newRecordingBtn = document.getElementById('newRecordingBtn');
+const libraryBtn = document.getElementById('libraryBtn');
+const titleEl = document.getElementById('recordingTitle');
 const durationEl = document.getElementById('duration');
 const fileSizeEl = document.getElementById('fileSize');
 const statusMessage = document.getElementById('statusMessage');
+const breaksSection = document.getElementById('breaksSection');
+const breaksList = document.getElementById('breaksList');
+const chaptersSection = document.getElementById('chaptersSection');
+const chaptersList = document.getElementById('chaptersList');
+const exportVttBtn = document.getElementById('exportVttBtn');
+const exportSummaryBtn = document.getElementById('exportSummaryBtn');
+const tracksSection = document.getElementById('tracksSection');
+const trackDownloads = document.getElementById('trackDownloads');
+const trimEditor = document.getElementById('trimEditor');
+const timeline = document.getElementById('timeline');
+const timelineCuts = document.getElementById('timelineCuts');
+const timelineStart = document.getElementById('timelineStart');
+const timelineEnd = document.getElementById('timelineEnd');
+const pendingCutEl = document.getElementById('pendingCut');
+const playhead = document.getElementById('playhead');
+const inHandle = document.getElementById('inHandle');
+const outHandle = document.getElementById('outHandle');
+const setInBtn = document.getElementById('setInBtn');
+const setOutBtn = document.getElementById('setOutBtn');
+const cutBtn = document.getElementById('cutBtn');
+const resetTrimBtn = document.getElementById('resetTrimBtn');
+const trimSummary = document.getElementById('trimSummary');
+const cutList = document.getElementById('cutList');
+const exportTrimmedBtn = document.getElementById('exportTrimmedBtn');
+const trimHint = document.getElementById('trimHint');
+const clipFormatSelect = document.getElementById('clipFormat');
+const clipFrameRateSelect = document.getElementById('clipFrameRate');
+const clipWidthSelect = document.getElementById('clipWidth');
+const clipColorsSelect = document.getElementById('clipColors');
+const clipQualitySelect = document.getElementById('clipQuality');
+const clipColorsOption = document.getElementById('clipColorsOption');
+const clipQualityOption = document.getElementById('clipQualityOption');
+const clipEstimate = document.getElementById('clipEstimate');
+const clipExportEl = document.getElementById('clipExport');
+const exportClipBtn = document.getElementById('exportClipBtn');
+
+// Button labels for separate audio tracks
+const TRACK_LABELS = {
+    mic: '🎙️ Download mic track',
+    system: '🔊 Download system audio track'
+};
+
+// MIME subtype -> name shown in the info bar
+const FORMAT_NAMES = {
+    webm: 'WebM',
+    mp4: 'MP4',
+    ogg: 'OGG',
+    wav: 'WAV'
+};
+
+// Waveform drawing for audio-only recordings
+const WAVEFORM_BARS = 240;
+const WAVEFORM_COLORS = { played: '#8ab4f8', upcoming: '#5f6368' };
 
 // ============================================================
 // INITIALIZATION
@@ -22,59 +102,77 @@ const statusMessage = document.getElementById('statusMessage');
 
 /**
  * Initialize preview page
- * Retrieves recording data from chrome.storage
+ * Loads the recording named by the `id` query parameter from the recording store
  */
-(function initialize() {
+(async function initialize() {
     console.log('Preview page loaded');
 
     try {
-        // Get recording data from chrome.storage.local
-        chrome.storage.local.get(['recordingData', 'recordingTimestamp'], function (result) {
-            if (chrome.runtime.lastError) {
-                console.error('Storage error:', chrome.runtime.lastError);
-                showError('Failed to load recording data.');
-                disableActions();
-                return;
-            }
-
-            const recordingDataUrl = result.recordingData;
-
-            if (!recordingDataUrl) {
-                console.error('No recording data found in storage');
-                showError('No recording data found. Please record again.');
-                disableActions();
-                return;
-            }
-
-            console.log('Recording data retrieved, size:', recordingDataUrl.length);
-
-            // Convert data URL back to blob
-            fetch(recordingDataUrl)
-                .then(res => res.blob())
-                .then(blob => {
-                    recordingBlob = blob;
-                    recordingUrl = URL.createObjectURL(blob);
-
-                    console.log('Blob created, size:', blob.size, 'bytes');
-
-                    // Set video source
-                    video.src = recordingUrl;
-
-                    // Update file size
-                    updateFileSize(blob.size);
-
-                    console.log('Recording loaded successfully');
-                })
-                .catch(err => {
-                    console.error('Error converting to blob:', err);
-                    showError('Failed to load recording.');
-                    disableActions();
-                });
-        });
+        recordingId = new URL(location.href).searchParams.get('id');
+
+        if (!recordingId) {
+            console.error('No recording ID in preview URL');
+            showError('No recording selected. Please record again.');
+            disableActions();
+            return;
+        }
+
+        // Older and recovered recordings get their duration and seek index here
+        const blob = await WebMFinalizer.finalizeRecording(recordingId);
+        const entry = await RecordingStore.getRecording(recordingId);
+
+        recording = entry || { id: recordingId, createdAt: Date.now() };
+
+        if (recording.title) {
+            titleEl.textContent = recording.title;
+        }
+
+        if (recording.pauses) {
+            renderBreaks(recording.pauses);
+        }
+
+        renderChapters(recording.markers);
+
+        renderTrackDownloads(await RecordingStore.listTracks(recordingId));
+
+        if (!blob || blob.size === 0) {
+            console.error('No recording data found for', recordingId);
+            showError('No recording data found. Please record again.');
+            disableActions();
+            return;
+        }
+
+        recordingBlob = blob;
+        recordingUrl = URL.createObjectURL(blob);
+
+        console.log('Blob created, size:', blob.size, 'bytes');
+
+        // Set video source
+        video.src = recordingUrl;
+
+        // Update file size
+        updateFileSize(blob.size);
+        formatEl.textContent = describeFormat();
+
+        // Cutting and conversion read WebM; clips work from any video
+        if (isAudioOnly()) {
+            showWaveform(blob);
+            clipExportEl.classList.add('hidden');
+            trimHint.classList.add('hidden');
+        } else if (isWebM()) {
+            exportMp4Btn.classList.toggle('hidden', !Mp4Export.isSupported());
+        }
+        if (!isWebM()) {
+            exportTrimmedBtn.classList.add('hidden');
+            trimHint.classList.add('hidden');
+        }
+        initializeTrimEditor(recording.duration);
+
+        console.log('Recording loaded successfully');
 
     } catch (e) {
         console.error('Initialization error:', e);
-        showError('An error occurred while loading the preview.');
+        showError('Failed to load recording.');
         disableActions();
     }
 })();
@@ -88,8 +186,29 @@ const statusMessage = document.getElementById('statusMessage');
  */
 video.addEventListener('loadedmetadata', () => {
     const duration = video.duration;
-    durationEl.textContent = formatDuration(duration);
     console.log('Video duration:', duration);
+
+    // Files too large to index report no duration; keep the stored one then
+    if (Number.isFinite(duration)) {
+        durationEl.textContent = formatDuration(duration);
+        initializeTrimEditor(duration);
+    }
+});
+
+/**
+ * Move the timeline playhead with playback
+ */
+video.addEventListener('timeupdate', () => {
+    if (trimEdits) updatePlayhead();
+    if (waveformPeaks) drawWaveform();
+    if (markers.length) highlightChapter();
+});
+
+/**
+ * Redraw the waveform right after seeking, without waiting for playback
+ */
+video.addEventListener('seeked', () => {
+    if (waveformPeaks) drawWaveform();
 });
 
 /**
@@ -106,31 +225,19 @@ video.addEventListener('error', (e) => {
 
 /**
  * Download button handler
- * Downloads the recording with timestamp filename
+ * Downloads the recording under its filename template
  */
-downloadBtn.addEventListener('click', () => {
+downloadBtn.addEventListener('click', async () => {
     if (!recordingBlob) {
         showError('No recording available to download.');
         return;
     }
 
     try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `screen-recording-${timestamp}.webm`;
-
-        // Create download link
-        const a = document.createElement('a');
-        a.href = recordingUrl;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-
-        showSuccess('Download started! Check your downloads folder.');
-        console.log('Download initiated:', filename);
+        const filename = await RecordingDownloads.downloadRecording(recording, recordingBlob);
 
-        // Clean up after short delay
-        setTimeout(cleanup, 2000);
+        showSuccess(`Download started: ${filename}`);
+        console.log('Download initiated:', filename);
 
     } catch (e) {
         console.error('Download error:', e);
@@ -138,14 +245,90 @@ downloadBtn.addEventListener('click', () => {
     }
 });
 
+/**
+ * Export as MP4 button handler
+ * Converts the recording locally and downloads the MP4
+ */
+exportMp4Btn.addEventListener('click', async () => {
+    if (!recordingBlob || runningExport) return;
+
+    const controller = new AbortController();
+    setRunningExport(controller);
+    statusMessage.classList.add('hidden');
+    showExportProgress('Converting to MP4...', 0);
+
+    try {
+        const result = await Mp4Export.exportRecording(recordingBlob, {
+            signal: controller.signal,
+            onProgress: fraction => showExportProgress('Converting to MP4...', fraction)
+        });
+        const filename = await RecordingDownloads.downloadRecording(recording, result.blob, {
+            mimeType: 'video/mp4'
+        });
+
+        showSuccess(result.audioCodec === 'opus'
+            ? `Download started: ${filename}. This browser cannot encode AAC, so the audio stays Opus.`
+            : `Download started: ${filename}`);
+        console.log('MP4 export finished:', filename);
+
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            showSuccess('MP4 export cancelled.');
+        } else {
+            console.error('MP4 export error:', e);
+            showError('Failed to export MP4: ' + e.message);
+        }
+    } finally {
+        setRunningExport(null);
+    }
+});
+
+/**
+ * Cancel button handler
+ * Stops a running MP4 or clip export
+ */
+cancelExportBtn.addEventListener('click', () => {
+    if (runningExport) runningExport.abort();
+});
+
+/**
+ * Marks an export as started or finished, locking the export buttons meanwhile
+ * @param {AbortController|null} controller - Controller of the new export, null once it ends
+ */
+function setRunningExport(controller) {
+    runningExport = controller;
+    exportMp4Btn.disabled = controller !== null;
+    if (!controller) exportProgress.classList.add('hidden');
+    if (trimEdits) renderClipPanel();
+}
+
+/**
+ * Shows how far the running export is
+ * @param {string} label - What is being done, e.g. 'Converting to MP4...'
+ * @param {number} fraction - Finished part, 0 to 1
+ */
+function showExportProgress(label, fraction) {
+    exportProgress.classList.remove('hidden');
+    exportProgressBar.value = fraction;
+    exportProgressLabel.textContent = `${label} ${Math.round(fraction * 100)}%`;
+}
+
 /**
  * Discard button handler
- * Deletes recording and closes window
+ * Deletes recording from the library and closes window
  */
-discardBtn.addEventListener('click', () => {
+discardBtn.addEventListener('click', async () => {
     const confirmed = confirm('Are you sure you want to discard this recording? This cannot be undone.');
 
     if (confirmed) {
+        try {
+            await RecordingStore.deleteRecording(recordingId);
+        } catch (e) {
+            console.error('Error deleting recording:', e);
+            showError('Failed to discard recording.');
+            return;
+        }
+
         console.log('Recording discarded by user');
         showSuccess('Recording discarded.');
         cleanup();
@@ -157,19 +340,22 @@ discardBtn.addEventListener('click', () => {
     }
 });
 
+/**
+ * Library button handler
+ * Opens the recordings library in this tab
+ */
+libraryBtn.addEventListener('click', () => {
+    location.href = chrome.runtime.getURL('src/presentation/library/library.html');
+});
+
 /**
  * New Recording button handler
- * Opens recorder window and closes preview
+ * Opens or focuses the recorder window and closes preview
  */
-newRecordingBtn.addEventListener('click', () => {
+newRecordingBtn.addEventListener('click', async () => {
     try {
-        // Open recorder window
-        chrome.windows.create({
-            url: chrome.runtime.getURL('src/presentation/popup/popup.html?mode=window'),
-            type: 'popup',
-            width: 640,
-            height: 600
-        });
+        // background.js opens the recorder window, or focuses the one already open
+        await chrome.runtime.sendMessage({ target: 'background', action: 'openRecorder' });
 
         console.log('Opening new recording window');
         cleanup();
@@ -185,6 +371,616 @@ newRecordingBtn.addEventListener('click', () => {
     }
 });
 
+// ============================================================
+// TRIM & CUT EDITOR
+// ============================================================
+
+/**
+ * Shows the editor once the recording length is known
+ * @param {number} duration - Recording length in seconds
+ */
+function initializeTrimEditor(duration) {
+    if (trimEdits || !Number.isFinite(duration) || duration <= 0) return;
+
+    // Converted audio files can neither be cut nor made into clips
+    if (isAudioOnly() && !isWebM()) return;
+
+    mediaDuration = duration;
+    trimEdits = TrimEdits.create(duration);
+    durationEl.textContent = formatDuration(duration);
+    trimEditor.classList.remove('hidden');
+    renderTrimEditor();
+}
+
+/**
+ * Replaces the edits and redraws the editor
+ * @param {Object} edits - New edits
+ */
+function setTrimEdits(edits) {
+    trimEdits = TrimEdits.normalize(edits, mediaDuration);
+    renderTrimEditor();
+}
+
+/**
+ * @param {number} seconds - Time in the recording
+ * @returns {string} CSS percentage along the timeline
+ */
+function timelinePercent(seconds) {
+    return `${(seconds / mediaDuration) * 100}%`;
+}
+
+/**
+ * Positions an element over a stretch of the timeline
+ * @param {HTMLElement} element - Element to place
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ */
+function placeOnTimeline(element, start, end) {
+    element.style.left = timelinePercent(start);
+    element.style.width = timelinePercent(Math.max(0, end - start));
+}
+
+/**
+ * Draws handles, trimmed ends, cuts and the summary
+ */
+function renderTrimEditor() {
+    inHandle.style.left = timelinePercent(trimEdits.inPoint);
+    outHandle.style.left = timelinePercent(trimEdits.outPoint);
+    placeOnTimeline(timelineStart, 0, trimEdits.inPoint);
+    placeOnTimeline(timelineEnd, trimEdits.outPoint, mediaDuration);
+
+    timelineCuts.replaceChildren(...trimEdits.cuts.map(cut => {
+        const region = document.createElement('div');
+        region.className = 'timeline-cut';
+        placeOnTimeline(region, cut.start, cut.end);
+        return region;
+    }));
+
+    cutList.replaceChildren(...trimEdits.cuts.map((cut, index) => {
+        const item = document.createElement('li');
+        item.className = 'cut-item';
+
+        const label = document.createElement('button');
+        label.className = 'cut-label';
+        label.textContent = `✂️ ${formatDuration(cut.start)} – ${formatDuration(cut.end)}`;
+        label.title = 'Play from just before this cut';
+        label.addEventListener('click', () => {
+            video.currentTime = Math.max(0, cut.start - 2);
+            video.play().catch(() => {});
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'cut-remove';
+        remove.textContent = '✕';
+        remove.title = 'Keep this section';
+        remove.addEventListener('click', () => setTrimEdits(TrimEdits.removeCut(trimEdits, index)));
+
+        item.append(label, remove);
+        return item;
+    }));
+
+    cutBtn.textContent = cutStart === null ? '✂️ Cut from here' : '✂️ Cut to here';
+    cutBtn.classList.toggle('active', cutStart !== null);
+
+    const kept = TrimEdits.keptDuration(trimEdits);
+    trimSummary.textContent = `Keeps ${formatDuration(kept)} of ${formatDuration(mediaDuration)}`;
+    exportTrimmedBtn.disabled = exporting || kept === 0 || !TrimEdits.hasChanges(trimEdits, mediaDuration);
+
+    renderClipPanel();
+    updatePlayhead();
+}
+
+/**
+ * Moves the playhead and stretches a cut still being marked
+ */
+function updatePlayhead() {
+    const time = Math.min(video.currentTime, mediaDuration);
+    playhead.style.left = timelinePercent(time);
+
+    pendingCutEl.classList.toggle('hidden', cutStart === null);
+    if (cutStart !== null) {
+        placeOnTimeline(pendingCutEl, Math.min(cutStart, time), Math.max(cutStart, time));
+    }
+}
+
+/**
+ * @param {PointerEvent|MouseEvent} event - Pointer event over the timeline
+ * @returns {number} Recording time under the pointer, in seconds
+ */
+function timeAtPointer(event) {
+    const rect = timeline.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return fraction * mediaDuration;
+}
+
+/**
+ * Lets a handle be dragged along the timeline
+ * The video follows the handle so the new edge can be seen
+ * @param {HTMLElement} handle - In or out handle
+ * @param {string} field - 'inPoint' or 'outPoint'
+ */
+function makeHandleDraggable(handle, field) {
+    handle.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        handle.setPointerCapture(event.pointerId);
+        handle.classList.add('dragging');
+        video.pause();
+    });
+
+    handle.addEventListener('pointermove', (event) => {
+        if (!handle.hasPointerCapture(event.pointerId)) return;
+
+        // Handles stop at each other instead of swapping
+        const time = field === 'inPoint'
+            ? Math.min(timeAtPointer(event), trimEdits.outPoint)
+            : Math.max(timeAtPointer(event), trimEdits.inPoint);
+
+        setTrimEdits(Object.assign({}, trimEdits, { [field]: time }));
+        video.currentTime = time;
+    });
+
+    handle.addEventListener('pointerup', () => handle.classList.remove('dragging'));
+    handle.addEventListener('pointercancel', () => handle.classList.remove('dragging'));
+}
+
+makeHandleDraggable(inHandle, 'inPoint');
+makeHandleDraggable(outHandle, 'outPoint');
+
+/**
+ * Timeline click handler
+ * Seeks the video to the clicked time
+ */
+timeline.addEventListener('click', (event) => {
+    if (event.target === inHandle || event.target === outHandle) return;
+    video.currentTime = timeAtPointer(event);
+    updatePlayhead();
+});
+
+/**
+ * Start/End here button handlers
+ * Move the in or out point to the current playback position
+ */
+setInBtn.addEventListener('click', () => {
+    setTrimEdits(Object.assign({}, trimEdits, {
+        inPoint: Math.min(video.currentTime, trimEdits.outPoint)
+    }));
+});
+
+setOutBtn.addEventListener('click', () => {
+    setTrimEdits(Object.assign({}, trimEdits, {
+        outPoint: Math.max(video.currentTime, trimEdits.inPoint)
+    }));
+});
+
+/**
+ * Cut button handler
+ * The first click marks where a cut starts, the second where it ends
+ */
+cutBtn.addEventListener('click', () => {
+    if (cutStart === null) {
+        cutStart = video.currentTime;
+        renderTrimEditor();
+        return;
+    }
+
+    const start = cutStart;
+    cutStart = null;
+    setTrimEdits(TrimEdits.addCut(trimEdits, start, video.currentTime, mediaDuration));
+});
+
+/**
+ * Reset button handler
+ * Keeps the whole recording again
+ */
+resetTrimBtn.addEventListener('click', () => {
+    cutStart = null;
+    setTrimEdits(TrimEdits.create(mediaDuration));
+});
+
+/**
+ * Export trimmed button handler
+ * Copies the kept sections into a new recording without re-encoding;
+ * the original stays in the library
+ */
+exportTrimmedBtn.addEventListener('click', async () => {
+    if (!recordingBlob || !trimEdits) return;
+
+    exporting = true;
+    renderTrimEditor();
+    showSuccess('Exporting trimmed recording...');
+
+    let copy = null;
+    try {
+        const file = WebM.parse(await recordingBlob.arrayBuffer());
+        const keptRanges = TrimEdits.keepRanges(trimEdits);
+        const result = WebM.cut(file, keptRanges);
+
+        copy = await RecordingStore.createRecording({
+            status: 'complete',
+            mimeType: recording.mimeType || recordingBlob.type || 'video/webm',
+            source: recording.source || 'manual',
+            captureMode: recording.captureMode,
+            meetingSessionId: recording.meetingSessionId || null,
+            presetName: recording.presetName || null,
+            filenameTemplate: recording.filenameTemplate || null,
+            meetingId: recording.meetingId || null,
+            title: `${recording.title || 'Recording'} (trimmed)`,
+            trimmedFrom: recordingId,
+            indexed: true,
+            // Keeps the original date in the library and in download names
+            createdAt: recording.createdAt || Date.now(),
+            stoppedAt: Date.now(),
+            duration: result.duration,
+            markers: RecordingMarkers.remap(markers, keptRanges)
+        });
+        await RecordingStore.appendChunk(copy.id, 0, result.blob);
+
+        console.log('Trimmed recording saved:', copy.id);
+        showExported(copy.id);
+
+    } catch (e) {
+        console.error('Trim export error:', e);
+        if (copy) RecordingStore.deleteRecording(copy.id).catch(() => {});
+        showError('Failed to export trimmed recording: ' + e.message);
+    } finally {
+        exporting = false;
+        renderTrimEditor();
+    }
+});
+
+/**
+ * Reports a finished export with a link to the new recording
+ * @param {string} id - ID of the trimmed recording
+ */
+function showExported(id) {
+    showSuccess('Trimmed copy saved to the library. ');
+
+    const link = document.createElement('a');
+    link.href = `preview.html?id=${encodeURIComponent(id)}`;
+    link.textContent = 'Open it';
+    statusMessage.appendChild(link);
+}
+
+// ============================================================
+// GIF / WEBP CLIP EXPORT
+// ============================================================
+
+/**
+ * Fills a select with choices
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array} values - Option values
+ * @param {Function} label - Maps a value to its text
+ * @param {*} selected - Value selected at first
+ */
+function fillSelect(select, values, label, selected) {
+    select.replaceChildren(...values.map(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label(value);
+        option.selected = value === selected;
+        return option;
+    }));
+}
+
+fillSelect(clipFormatSelect, Object.keys(ClipOptions.FORMATS),
+    format => ClipOptions.FORMATS[format].label, ClipOptions.DEFAULT_OPTIONS.format);
+fillSelect(clipFrameRateSelect, ClipOptions.FRAME_RATES,
+    fps => `${fps} fps`, ClipOptions.DEFAULT_OPTIONS.frameRate);
+fillSelect(clipWidthSelect, ClipOptions.WIDTHS,
+    width => `${width} px`, ClipOptions.DEFAULT_OPTIONS.width);
+fillSelect(clipColorsSelect, ClipOptions.PALETTES,
+    colors => `${colors} colors`, ClipOptions.DEFAULT_OPTIONS.colors);
+fillSelect(clipQualitySelect, ClipOptions.QUALITIES,
+    quality => `${Math.round(quality * 100)}%`, ClipOptions.DEFAULT_OPTIONS.quality);
+
+/**
+ * @returns {Object} Clip options as currently chosen, see ClipOptions
+ */
+function readClipOptions() {
+    return ClipOptions.normalize({
+        format: clipFormatSelect.value,
+        frameRate: clipFrameRateSelect.value,
+        width: clipWidthSelect.value,
+        colors: clipColorsSelect.value,
+        quality: clipQualitySelect.value
+    });
+}
+
+/**
+ * Shows the options of the chosen format and the estimated clip size
+ * The clip covers the same kept sections as the trimmed export
+ */
+function renderClipPanel() {
+    const options = readClipOptions();
+    const label = ClipOptions.FORMATS[options.format].label;
+    const frameCount = ClipOptions.frameTimes(TrimEdits.keepRanges(trimEdits), options.frameRate).length;
+    const size = ClipOptions.outputSize(video.videoWidth, video.videoHeight, options.width);
+    const bytes = ClipOptions.estimateBytes(options, frameCount, size);
+
+    clipColorsOption.classList.toggle('hidden', options.format !== 'gif');
+    clipQualityOption.classList.toggle('hidden', options.format !== 'webp');
+    exportClipBtn.textContent = `🎞️ Export ${label}`;
+    exportClipBtn.disabled = runningExport !== null || frameCount === 0;
+
+    let estimate = `${frameCount} frames at ${size.width}×${size.height}, about ${ClipOptions.formatBytes(bytes)}`;
+    if (TrimEdits.keptDuration(trimEdits) * options.frameRate > ClipOptions.MAX_FRAMES) {
+        estimate += ` – only the first ${formatDuration(ClipOptions.MAX_FRAMES / options.frameRate)} is used`;
+    }
+    clipEstimate.textContent = estimate;
+}
+
+[clipFormatSelect, clipFrameRateSelect, clipWidthSelect, clipColorsSelect, clipQualitySelect]
+    .forEach(select => select.addEventListener('change', () => {
+        if (trimEdits) renderClipPanel();
+    }));
+
+/**
+ * Export clip button handler
+ * Encodes the kept sections as a looping GIF or WebP in the page and downloads it
+ */
+exportClipBtn.addEventListener('click', async () => {
+    if (!recordingUrl || !trimEdits || runningExport) return;
+
+    const options = readClipOptions();
+    const format = ClipOptions.FORMATS[options.format];
+    const progressLabel = `Encoding ${format.label}...`;
+    const controller = new AbortController();
+    setRunningExport(controller);
+    statusMessage.classList.add('hidden');
+    showExportProgress(progressLabel, 0);
+
+    try {
+        const blob = await ClipExport.exportClip(recordingUrl, TrimEdits.keepRanges(trimEdits), options, {
+            signal: controller.signal,
+            onProgress: fraction => showExportProgress(progressLabel, fraction)
+        });
+        const filename = await RecordingDownloads.downloadRecording(recording, blob, {
+            mimeType: format.mimeType,
+            suffix: '-clip'
+        });
+
+        showSuccess(`Download started: ${filename} (${ClipOptions.formatBytes(blob.size)})`);
+        console.log('Clip export finished:', filename, blob.size, 'bytes');
+
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            showSuccess('Clip export cancelled.');
+        } else {
+            console.error('Clip export error:', e);
+            showError('Failed to export clip: ' + e.message);
+        }
+    } finally {
+        setRunningExport(null);
+    }
+});
+
+// ============================================================
+// AUDIO-ONLY WAVEFORM
+// ============================================================
+
+/**
+ * Shows a waveform in place of the empty video picture
+ * The player shrinks to its controls; the waveform appears once decoded
+ * @param {Blob} blob - Audio recording
+ */
+async function showWaveform(blob) {
+    videoContainer.classList.add('audio-only');
+
+    try {
+        waveformPeaks = await Waveform.computePeaks(blob, WAVEFORM_BARS);
+    } catch (e) {
+        console.warn('Could not draw waveform:', e);
+        waveformPeaks = null;
+    }
+    if (!waveformPeaks) return;
+
+    waveformCanvas.classList.remove('hidden');
+    drawWaveform();
+}
+
+/**
+ * Draws the waveform bars, colouring the part already played
+ */
+function drawWaveform() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(waveformCanvas.clientWidth * ratio);
+    const height = Math.round(waveformCanvas.clientHeight * ratio);
+    if (waveformCanvas.width !== width) waveformCanvas.width = width;
+    if (waveformCanvas.height !== height) waveformCanvas.height = height;
+
+    const duration = Number.isFinite(video.duration) ? video.duration : (recording.duration || 0);
+    const played = duration > 0 ? video.currentTime / duration : 0;
+    const barWidth = width / waveformPeaks.length;
+    const ctx = waveformCanvas.getContext('2d');
+
+    ctx.clearRect(0, 0, width, height);
+    waveformPeaks.forEach((peak, bar) => {
+        // Quiet stretches keep a sliver so the timeline stays visible
+        const barHeight = Math.max(2 * ratio, peak * height * 0.9);
+        ctx.fillStyle = (bar + 0.5) / waveformPeaks.length <= played
+            ? WAVEFORM_COLORS.played
+            : WAVEFORM_COLORS.upcoming;
+        ctx.fillRect(bar * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - ratio), barHeight);
+    });
+}
+
+/**
+ * Waveform click handler
+ * Seeks the recording to the clicked point
+ */
+waveformCanvas.addEventListener('click', (event) => {
+    const duration = Number.isFinite(video.duration) ? video.duration : recording.duration;
+    if (!duration) return;
+
+    const rect = waveformCanvas.getBoundingClientRect();
+    video.currentTime = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)) * duration;
+});
+
+window.addEventListener('resize', () => {
+    if (waveformPeaks) drawWaveform();
+});
+
+// ============================================================
+// BREAKS
+// ============================================================
+
+/**
+ * Lists the points where recording was paused
+ * Clicking a break seeks the video to it
+ * @param {Array<{at: number, duration: number}>} pauses - Breaks in recording seconds
+ */
+function renderBreaks(pauses) {
+    if (!pauses.length) return;
+
+    breaksList.replaceChildren(...pauses.map(pause => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'break-item';
+        button.textContent = `${formatDuration(pause.at)} — paused for ${formatDuration(pause.duration)}`;
+        button.addEventListener('click', () => {
+            video.currentTime = pause.at;
+            video.play().catch(() => {});
+        });
+        item.appendChild(button);
+        return item;
+    }));
+
+    breaksSection.classList.remove('hidden');
+}
+
+// ============================================================
+// CHAPTERS
+// ============================================================
+
+/**
+ * Lists the markers dropped while recording as chapters
+ * Clicking a chapter seeks the video to it
+ * @param {Array} [stored] - Markers as stored with the recording
+ */
+function renderChapters(stored) {
+    markers = RecordingMarkers.normalize(stored);
+    if (!markers.length) return;
+
+    chaptersList.replaceChildren(...markers.map(marker => {
+        const kind = RecordingMarkers.KINDS[marker.kind];
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = `chapter-item chapter-${marker.kind}`;
+        button.textContent = `${formatDuration(marker.at)}  ${kind.icon} ${RecordingMarkers.describe(marker)}`;
+        button.addEventListener('click', () => {
+            video.currentTime = marker.at;
+            video.play().catch(() => {});
+        });
+        item.appendChild(button);
+        return item;
+    }));
+
+    chaptersSection.classList.remove('hidden');
+    highlightChapter();
+}
+
+/**
+ * Marks the chapter that contains the current playback position
+ */
+function highlightChapter() {
+    let current = -1;
+    markers.forEach((marker, i) => {
+        if (marker.at <= video.currentTime) current = i;
+    });
+
+    chaptersList.querySelectorAll('.chapter-item').forEach((button, i) => {
+        button.classList.toggle('active', i === current);
+    });
+}
+
+/**
+ * Downloads a text export named after the recording
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {Object} options - RecordingDownloads options: suffix and extension
+ */
+async function downloadText(text, mimeType, options) {
+    try {
+        const blob = new Blob([text], { type: mimeType });
+        const filename = await RecordingDownloads.downloadRecording(recording, blob, options);
+        showSuccess(`Download started: ${filename}`);
+    } catch (e) {
+        console.error('Chapter export error:', e);
+        showError('Failed to export chapters.');
+    }
+}
+
+/**
+ * Export WebVTT button handler
+ * Downloads the chapters as a WebVTT file players can load next to the video
+ */
+exportVttBtn.addEventListener('click', () => {
+    const duration = mediaDuration || recording.duration || video.duration;
+    downloadText(RecordingMarkers.toWebVtt(markers, duration), 'text/vtt', {
+        suffix: '-chapters',
+        extension: 'vtt'
+    });
+});
+
+/**
+ * Export summary button handler
+ * Downloads decisions, action items and notes as a Markdown document
+ */
+exportSummaryBtn.addEventListener('click', () => {
+    downloadText(RecordingMarkers.toMarkdown(recording, markers), 'text/markdown', {
+        suffix: '-summary',
+        extension: 'md'
+    });
+});
+
+// ============================================================
+// SEPARATE AUDIO TRACKS
+// ============================================================
+
+/**
+ * Offers each separately recorded audio track as its own download
+ * @param {Object[]} tracks - Track metadata from the recording store
+ */
+function renderTrackDownloads(tracks) {
+    const finished = tracks.filter(track => track.status === 'complete' && track.size > 0);
+    if (!finished.length) return;
+
+    trackDownloads.replaceChildren(...finished.map(track => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-neutral';
+        button.textContent = TRACK_LABELS[track.trackKind] || 'Download audio track';
+        // Tracks saved before alignment only carry their measured offset
+        button.title = track.aligned
+            ? 'Lined up with the video'
+            : `Starts ${track.startOffset ? track.startOffset.toFixed(3) : '0.000'}s after the video`;
+        button.addEventListener('click', () => downloadTrack(track));
+        return button;
+    }));
+
+    tracksSection.classList.remove('hidden');
+}
+
+/**
+ * Downloads one separate audio track
+ * @param {Object} track - Track metadata
+ */
+async function downloadTrack(track) {
+    try {
+        const blob = await WebMFinalizer.finalizeRecording(track.id);
+
+        // Named after the main recording so the files sort together
+        const filename = await RecordingDownloads.downloadRecording(recording, blob, {
+            suffix: '-' + track.trackKind,
+            mimeType: track.mimeType
+        });
+
+        showSuccess(`Download started: ${filename}`);
+    } catch (e) {
+        console.error('Track download error:', e);
+        showError('Failed to download audio track.');
+    }
+}
+
 // ============================================================
 // UTILITY FUNCTIONS
 // ============================================================
@@ -203,6 +999,29 @@ function formatDuration(seconds) {
     return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * @returns {boolean} True if the recording is a WebM file
+ */
+function isWebM() {
+    return /\/webm\b/.test((recording && recording.mimeType) || 'video/webm');
+}
+
+/**
+ * @returns {boolean} True if the recording has no video
+ */
+function isAudioOnly() {
+    return /^audio\//.test((recording && recording.mimeType) || '');
+}
+
+/**
+ * @returns {string} Container name for the info bar, e.g. 'WebM' or 'WAV (audio only)'
+ */
+function describeFormat() {
+    const subtype = ((recording && recording.mimeType) || 'video/webm').split(';')[0].split('/')[1];
+    const name = FORMAT_NAMES[subtype] || subtype.toUpperCase();
+    return isAudioOnly() ? `${name} (audio only)` : name;
+}
+
 /**
  * Updates file size display
  * @param {number} bytes - File size in bytes
@@ -237,32 +1056,28 @@ function showError(message) {
  */
 function disableActions() {
     downloadBtn.disabled = true;
+    exportMp4Btn.disabled = true;
+    exportClipBtn.disabled = true;
     discardBtn.disabled = true;
     newRecordingBtn.disabled = true;
+    trimEditor.classList.add('hidden');
 }
 
 /**
  * Cleanup function
- * Revokes object URLs and clears chrome.storage
+ * Revokes object URLs; the recording itself stays in the library
  */
 function cleanup() {
     console.log('Cleaning up preview resources');
 
+    if (runningExport) runningExport.abort();
+
     // Revoke object URL
     if (recordingUrl) {
         URL.revokeObjectURL(recordingUrl);
         recordingUrl = null;
     }
 
-    // Clear chrome.storage
-    try {
-        chrome.storage.local.remove(['recordingData', 'recordingTimestamp'], function () {
-            console.log('Storage cleared');
-        });
-    } catch (e) {
-        console.warn('Error clearing storage:', e);
-    }
-
     recordingBlob = null;
 }
 
@@ -0,0 +1,133 @@
+// ============================================================
+// MEETING DETECTORS - Fixture Checks
+// ============================================================
+// Runs every detector against saved meeting pages in
+// test/fixtures/meetings: which detector claims the page, whether
+// the meeting counts as active and which ID it is given.
+// Run with `npm test`.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { parseHTML } = require('linkedom');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'meetings');
+
+// Fixture -> page URL and what the detectors should report for it
+const CASES = [
+  {
+    fixture: 'google-meet-call.html',
+    url: 'https://meet.google.com/abc-defg-hij?authuser=0',
+    type: 'google-meet',
+    active: true,
+    meetingId: 'meet_abc-defg-hij'
+  },
+  {
+    fixture: 'google-meet-landing.html',
+    url: 'https://meet.google.com/landing',
+    type: null
+  },
+  {
+    fixture: 'zoom-webclient.html',
+    url: 'https://app.zoom.us/wc/join/81234567890?pwd=abc',
+    type: 'zoom',
+    active: true,
+    meetingId: 'zoom_81234567890'
+  },
+  {
+    fixture: 'zoom-profile.html',
+    url: 'https://zoom.us/profile',
+    type: null
+  },
+  {
+    fixture: 'teams-call.html',
+    url: 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0',
+    type: 'teams',
+    active: true,
+    meetingId: 'teams_19:meeting_abc@thread.v2'
+  },
+  {
+    fixture: 'teams-chat.html',
+    url: 'https://teams.microsoft.com/_#/conversations/19:abc@thread.v2',
+    type: null
+  },
+  {
+    fixture: 'webex-personal-room.html',
+    url: 'https://acme.webex.com/meet/JDoe',
+    type: 'webex',
+    active: true,
+    meetingId: 'webex_acme_jdoe'
+  },
+  {
+    fixture: 'jitsi-room.html',
+    url: 'https://meet.jit.si/WeeklyStandup',
+    type: 'jitsi',
+    active: true,
+    meetingId: 'jitsi_weeklystandup'
+  },
+  {
+    fixture: 'jitsi-prejoin.html',
+    url: 'https://meet.jit.si/WeeklyStandup',
+    type: 'jitsi',
+    active: false,
+    meetingId: 'jitsi_weeklystandup'
+  },
+  {
+    fixture: 'whereby-room.html',
+    url: 'https://team.whereby.com/standup',
+    type: 'whereby',
+    active: true,
+    meetingId: 'whereby_team_standup'
+  },
+  {
+    fixture: 'whereby-pricing.html',
+    url: 'https://whereby.com/pricing',
+    type: null
+  }
+];
+
+/**
+ * Loads detectors.js the way the content script does, as a classic script
+ * @returns {Object} MeetingDetectors registry
+ */
+function loadDetectors() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'application', 'content', 'detectors.js'), 'utf8');
+  const context = vm.createContext({});
+  vm.runInContext(source + '\nthis.MeetingDetectors = MeetingDetectors;', context);
+  return context.MeetingDetectors;
+}
+
+const MeetingDetectors = loadDetectors();
+
+for (const expected of CASES) {
+  test(`${expected.fixture} at ${expected.url}`, () => {
+    const { document } = parseHTML(fs.readFileSync(path.join(FIXTURES, expected.fixture), 'utf8'));
+    const location = new URL(expected.url);
+
+    const detector = MeetingDetectors.detect(location, document);
+    assert.equal(detector ? detector.type : null, expected.type);
+    if (!detector) return;
+
+    assert.equal(MeetingDetectors.isActive(detector, document), expected.active);
+    assert.equal(detector.getMeetingId(location), expected.meetingId);
+  });
+}
+
+test('different Teams meetup-join links get different IDs', () => {
+  const { document } = parseHTML(fs.readFileSync(path.join(FIXTURES, 'teams-call.html'), 'utf8'));
+  const urls = [
+    'https://teams.microsoft.com/l/meetup-join/19%3ameeting_NjA0ZTk1YjAtMmM3Ny00ZDI2LWI5ZjAtZmY3OTc5NTQxNjQ4%40thread.v2/0?context=%7b%7d',
+    'https://teams.microsoft.com/l/meetup-join/19%3ameeting_ZGJlMzI4NjgtNGUwZi00YjE2LWE2YjgtMzQ5ZWM5NTk0ODFk%40thread.v2/0?context=%7b%7d'
+  ];
+
+  const ids = urls.map(url => {
+    const location = new URL(url);
+    return MeetingDetectors.detect(location, document).getMeetingId(location);
+  });
+
+  assert.equal(ids[0], 'teams_19:meeting_NjA0ZTk1YjAtMmM3Ny00ZDI2LWI5ZjAtZmY3OTc5NTQxNjQ4@thread.v2');
+  assert.notEqual(ids[0], ids[1]);
+});
@@ -0,0 +1,74 @@
+// ============================================================
+// FILENAME TEMPLATE - Rendering Checks
+// ============================================================
+// Download paths rendered from templates: tokens, folders and
+// the clean-up that keeps every segment a valid file name.
+// Run with `npm test`.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Loads filenameTemplate.js the way extension pages do, as a classic script
+ * @returns {Object} FilenameTemplate module
+ */
+function loadFilenameTemplate() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'domain', 'filenameTemplate.js'), 'utf8');
+  const context = vm.createContext({});
+  vm.runInContext(source + '\nthis.FilenameTemplate = FilenameTemplate;', context);
+  return context.FilenameTemplate;
+}
+
+const FilenameTemplate = loadFilenameTemplate();
+
+// Local time, so the rendered date and time do not depend on the time zone
+const STARTED = new Date(2026, 9, 19, 14, 5, 30);
+
+test('the default template names the file after the start date and time', () => {
+  assert.equal(FilenameTemplate.render(undefined, { date: STARTED }), 'screen-recording-2026-10-19_14-05-30.webm');
+});
+
+test('slashes in the template create folders', () => {
+  const rendered = FilenameTemplate.render('meetings/{platform}/{date}_{title}', {
+    date: STARTED,
+    platform: 'zoom',
+    title: 'Standup: Q4?'
+  });
+
+  assert.equal(rendered, 'meetings/zoom/2026-10-19_Standup_ Q4.webm');
+});
+
+test('token values cannot add folders or climb out of the downloads folder', () => {
+  assert.equal(FilenameTemplate.render('{title}', { date: STARTED, title: 'notes/../secret' }), 'notes-..-secret.webm');
+  assert.equal(FilenameTemplate.render('../{platform}/./x', { date: STARTED, platform: 'teams' }), 'teams/x.webm');
+});
+
+test('reserved Windows names and invalid characters are made safe', () => {
+  const rendered = FilenameTemplate.render('{meetingId}/con', {
+    date: STARTED,
+    meetingId: 'teams_19:meeting_abc@thread.v2'
+  });
+
+  assert.equal(rendered, 'teams_19_meeting_abc@thread.v2/_con.webm');
+});
+
+test('empty tokens fall back to a default name that keeps suffix and extension', () => {
+  const rendered = FilenameTemplate.render('{meetingId}', { date: STARTED, suffix: '-mic', extension: 'ogg' });
+
+  assert.equal(rendered, 'screen-recording-mic.ogg');
+});
+
+test('unknown tokens are left as written', () => {
+  assert.equal(FilenameTemplate.render('{foo}-{duration}', { date: STARTED, duration: 3912 }), '{foo}-1h05m12s.webm');
+});
+
+test('durations are written as minutes and seconds, with hours when needed', () => {
+  assert.equal(FilenameTemplate.formatDuration(183), '3m03s');
+  assert.equal(FilenameTemplate.formatDuration(3912), '1h05m12s');
+  assert.equal(FilenameTemplate.formatDuration(NaN), '');
+  assert.equal(FilenameTemplate.formatDuration(-1), '');
+});
@@ -0,0 +1,91 @@
+// ============================================================
+// MEETING RULES - Decision Checks
+// ============================================================
+// The order in which snoozes, the deny and allow lists and the
+// per-platform choice decide a detected meeting, and when
+// snoozes run out.
+// Run with `npm test`.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Loads meetingRules.js the way the service worker does, as a classic script
+ * @returns {Object} MeetingRules module
+ */
+function loadMeetingRules() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'domain', 'meetingRules.js'), 'utf8');
+  const context = vm.createContext({});
+  vm.runInContext(source + '\nthis.MeetingRules = MeetingRules;', context);
+  return context.MeetingRules;
+}
+
+const MeetingRules = loadMeetingRules();
+
+// Local time, so end of day does not depend on the time zone
+const NOW = new Date(2026, 9, 19, 15, 0).getTime();
+const END_OF_DAY = new Date(2026, 9, 20).getTime();
+
+const MEETING = { meetingType: 'zoom', meetingId: 'zoom_81234567890' };
+
+/**
+ * @param {Object} [rules] - Rules as stored
+ * @param {Object} [meeting] - Detected meeting
+ * @returns {string} Decision at NOW
+ */
+function decide(rules, meeting = MEETING) {
+  return MeetingRules.evaluate(MeetingRules.normalize(rules), meeting, NOW);
+}
+
+test('the platform choice decides meetings without a more specific rule', () => {
+  assert.equal(decide({}), 'ask');
+  assert.equal(decide({ platforms: { zoom: 'record' } }), 'record');
+  assert.equal(decide({ platforms: { zoom: 'ignore' } }), 'ignore');
+  assert.equal(decide({ platforms: { zoom: 'bogus' } }), 'ask');
+  assert.equal(decide({}, { meetingType: 'unknown-platform', meetingId: null }), 'ask');
+});
+
+test('the allow list wins over the platform choice', () => {
+  assert.equal(decide({ platforms: { zoom: 'ignore' }, allowList: [MEETING.meetingId] }), 'record');
+});
+
+test('the deny list wins over the allow list', () => {
+  assert.equal(decide({ allowList: [MEETING.meetingId], denyList: [MEETING.meetingId] }), 'ignore');
+});
+
+test('a snooze wins over the allow list until it runs out', () => {
+  const rules = MeetingRules.snooze(MeetingRules.addToList({}, MEETING.meetingId, 'allowList'), MEETING.meetingId, NOW);
+
+  assert.equal(rules.snoozed[MEETING.meetingId], END_OF_DAY);
+  assert.equal(MeetingRules.evaluate(rules, MEETING, NOW), 'ignore');
+  assert.equal(MeetingRules.evaluate(rules, MEETING, END_OF_DAY - 1), 'ignore');
+  assert.equal(MeetingRules.evaluate(rules, MEETING, END_OF_DAY), 'record');
+});
+
+test('meetings without an identifier only follow the platform choice', () => {
+  const rules = { platforms: { zoom: 'record' }, denyList: [''], snoozed: { '': END_OF_DAY } };
+
+  assert.equal(decide(rules, { meetingType: 'zoom', meetingId: null }), 'record');
+});
+
+test('expired snoozes are pruned and live ones kept', () => {
+  const rules = { snoozed: { old: NOW - 1, current: END_OF_DAY } };
+  const pruned = MeetingRules.pruneSnoozed(rules, NOW);
+
+  assert.deepEqual(Object.keys(pruned.snoozed), ['current']);
+  assert.equal(MeetingRules.isSnoozed(pruned, 'current', NOW), true);
+  assert.equal(MeetingRules.isSnoozed(pruned, 'old', NOW), false);
+});
+
+test('a meeting moves between the allow and deny lists instead of being on both', () => {
+  const allowed = MeetingRules.addToList({}, MEETING.meetingId, 'allowList');
+  const denied = MeetingRules.addToList(allowed, MEETING.meetingId, 'denyList');
+
+  assert.deepEqual(Array.from(denied.allowList), []);
+  assert.deepEqual(Array.from(denied.denyList), [MEETING.meetingId]);
+  assert.equal(MeetingRules.evaluate(denied, MEETING, NOW), 'ignore');
+});
@@ -0,0 +1,363 @@
+// ============================================================
+// WEBM - Remuxing Checks
+// ============================================================
+// Builds a small stream the way MediaRecorder writes it (unknown
+// sizes, no Duration or Cues) and checks what finalize, cut and
+// align write back. The output is read with a separate minimal
+// EBML walker so the checks do not rely on WebM.parse alone.
+// Run with `npm test`.
+// ============================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Loads webm.js the way extension pages do, as a classic script
+ * @returns {Object} WebM module
+ */
+function loadWebM() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'infrastructure', 'media', 'webm.js'), 'utf8');
+  const context = vm.createContext({ Blob });
+  vm.runInContext(source + '\nthis.WebM = WebM;', context);
+  return context.WebM;
+}
+
+const WebM = loadWebM();
+
+const ID = {
+  EBML: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  CUES: 0x1C53BB6B,
+  CUE_POINT: 0xBB,
+  CUE_TIME: 0xB3,
+  CUE_TRACK_POSITIONS: 0xB7,
+  CUE_CLUSTER_POSITION: 0xF1
+};
+
+const VIDEO = 1;
+const AUDIO = 2;
+
+// ============================================================
+// BUILDING INPUT
+// ============================================================
+
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+  return Buffer.from(bytes);
+}
+
+function encodeSize(size) {
+  let length = 1;
+  while (size >= Math.pow(2, 7 * length) - 1) length++;
+  const bytes = Buffer.alloc(length);
+  let value = size + Math.pow(2, 7 * length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+function el(id, ...children) {
+  const data = Buffer.concat(children);
+  return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+function uint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * A frame's payload names its track and original time, so rebased
+ * frames can be traced back
+ */
+function payload(track, time) {
+  return Buffer.from([track, (time >> 8) & 0xFF, time & 0xFF]);
+}
+
+function simpleBlock(frame, clusterTime) {
+  const offset = frame.time - clusterTime;
+  return el(ID.SIMPLE_BLOCK, Buffer.from([
+    0x80 | frame.track,
+    (offset >> 8) & 0xFF,
+    offset & 0xFF,
+    frame.keyframe ? 0x80 : 0x00
+  ]), payload(frame.track, frame.time));
+}
+
+function trackEntry(number, type, codecId) {
+  return el(ID.TRACK_ENTRY,
+    el(ID.TRACK_NUMBER, uint(number)),
+    el(ID.TRACK_TYPE, uint(type)),
+    el(ID.CODEC_ID, Buffer.from(codecId)));
+}
+
+/**
+ * Writes a stream like MediaRecorder: unknown-size Segment and Clusters,
+ * a new cluster at every video keyframe
+ * @param {Array[]} tracks - [number, type, codecId] entries; type 1 is video, 2 audio
+ * @param {Object[]} frames - { track, time, keyframe } in ms
+ * @returns {ArrayBuffer} File contents
+ */
+function buildStream(tracks, frames) {
+  const sorted = frames.slice().sort((a, b) => a.time - b.time || a.track - b.track);
+  const video = tracks.find(track => track[1] === 1);
+  const clusters = [];
+  let current = null;
+
+  sorted.forEach(frame => {
+    if (!current || (video && frame.track === video[0] && frame.keyframe)) {
+      current = { time: frame.time, blocks: [] };
+      clusters.push(current);
+    }
+    current.blocks.push(simpleBlock(frame, current.time));
+  });
+
+  const bytes = Buffer.concat([
+    el(ID.EBML, el(ID.DOC_TYPE, Buffer.from('webm'))),
+    encodeId(ID.SEGMENT), UNKNOWN_SIZE,
+    el(ID.INFO, el(ID.TIMECODE_SCALE, uint(1000000))),
+    el(ID.TRACKS, ...tracks.map(t => trackEntry(...t))),
+    ...clusters.map(cluster => Buffer.concat([
+      encodeId(ID.CLUSTER), UNKNOWN_SIZE,
+      el(ID.TIMECODE, uint(cluster.time)),
+      ...cluster.blocks
+    ]))
+  ]);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+/**
+ * Two seconds of video at 10 fps with keyframes at 0 and 1000 ms,
+ * and audio every 50 ms
+ */
+function buildRecording() {
+  const frames = [];
+  for (let time = 0; time < 2000; time += 100) {
+    frames.push({ track: VIDEO, time, keyframe: time % 1000 === 0 });
+  }
+  for (let time = 0; time < 2000; time += 50) {
+    frames.push({ track: AUDIO, time, keyframe: true });
+  }
+  return buildStream([[VIDEO, 1, 'V_VP8'], [AUDIO, 2, 'A_OPUS']], frames);
+}
+
+// ============================================================
+// READING OUTPUT
+// ============================================================
+
+function readVint(bytes, pos, keepMarker) {
+  let length = 1;
+  while (!(bytes[pos] & (0x80 >> (length - 1)))) length++;
+  let value = keepMarker ? bytes[pos] : bytes[pos] & (0xFF >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + bytes[pos + i];
+  return { value, length };
+}
+
+/**
+ * Lists the elements between two offsets; every size must be known
+ */
+function children(bytes, start, end) {
+  const list = [];
+  for (let pos = start; pos < end;) {
+    const id = readVint(bytes, pos, true);
+    const size = readVint(bytes, pos + id.length, false);
+    const dataStart = pos + id.length + size.length;
+    list.push({ id: id.value, start: pos, dataStart, end: dataStart + size.value });
+    pos = dataStart + size.value;
+  }
+  if (list.length > 0) assert.equal(list[list.length - 1].end, end, 'elements overrun their parent');
+  return list;
+}
+
+function child(bytes, parent, id) {
+  return children(bytes, parent.dataStart, parent.end).find(entry => entry.id === id);
+}
+
+function readUint(bytes, entry) {
+  let value = 0;
+  for (let i = entry.dataStart; i < entry.end; i++) value = value * 256 + bytes[i];
+  return value;
+}
+
+/**
+ * Reads a written file's segment, info, cues and frames
+ */
+async function readOutput(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const [ebml, segment] = children(bytes, 0, bytes.length);
+  assert.equal(ebml.id, ID.EBML);
+  assert.equal(segment.id, ID.SEGMENT);
+
+  const top = children(bytes, segment.dataStart, segment.end);
+  const frames = [];
+  top.filter(entry => entry.id === ID.CLUSTER).forEach(cluster => {
+    const clusterTime = readUint(bytes, child(bytes, cluster, ID.TIMECODE));
+    children(bytes, cluster.dataStart, cluster.end)
+      .filter(entry => entry.id === ID.SIMPLE_BLOCK)
+      .forEach(block => {
+        const data = bytes.subarray(block.dataStart + 4, block.end);
+        frames.push({
+          track: bytes[block.dataStart] & 0x7F,
+          time: clusterTime + ((bytes[block.dataStart + 1] << 24 >> 16) | bytes[block.dataStart + 2]),
+          keyframe: Boolean(bytes[block.dataStart + 3] & 0x80),
+          data: Array.from(data)
+        });
+      });
+  });
+
+  return { bytes, segment, top, frames };
+}
+
+function times(frames, track) {
+  return frames.filter(frame => frame.track === track).map(frame => frame.time);
+}
+
+function range(start, end, step) {
+  const values = [];
+  for (let value = start; value < end; value += step) values.push(value);
+  return values;
+}
+
+// ============================================================
+// FINALIZE
+// ============================================================
+
+test('finalize writes the Duration and a Cues entry per keyframe cluster', async () => {
+  const result = WebM.finalize(buildRecording());
+  const { bytes, segment, top, frames } = await readOutput(result.blob);
+
+  // Last video frame at 1900 ms lasts as long as the one before
+  assert.equal(result.duration, 2);
+  assert.deepEqual(top.map(entry => entry.id).filter((id, i, ids) => ids.indexOf(id) === i),
+    [ID.SEEK_HEAD, ID.INFO, ID.TRACKS, ID.CLUSTER, ID.CUES]);
+
+  const info = top.find(entry => entry.id === ID.INFO);
+  const duration = child(bytes, info, ID.DURATION);
+  assert.equal(Buffer.from(bytes.subarray(duration.dataStart, duration.end)).readDoubleBE(), 2000);
+
+  // Each cue points at the cluster that starts at its time
+  const cues = top.find(entry => entry.id === ID.CUES);
+  const cuePoints = children(bytes, cues.dataStart, cues.end);
+  assert.deepEqual(cuePoints.map(point => readUint(bytes, child(bytes, point, ID.CUE_TIME))), [0, 1000]);
+  cuePoints.forEach(point => {
+    const time = readUint(bytes, child(bytes, point, ID.CUE_TIME));
+    const position = readUint(bytes, child(bytes, child(bytes, point, ID.CUE_TRACK_POSITIONS), ID.CUE_CLUSTER_POSITION));
+    const cluster = top.find(entry => entry.start === segment.dataStart + position);
+    assert.ok(cluster, `cue at ${time} points at an element`);
+    assert.equal(cluster.id, ID.CLUSTER);
+    assert.equal(readUint(bytes, child(bytes, cluster, ID.TIMECODE)), time);
+  });
+
+  // The SeekHead finds the Cues
+  const seekHead = top.find(entry => entry.id === ID.SEEK_HEAD);
+  const cuesSeek = children(bytes, seekHead.dataStart, seekHead.end).find(seek =>
+    readUint(bytes, child(bytes, seek, ID.SEEK_ID)) === ID.CUES);
+  assert.equal(segment.dataStart + readUint(bytes, child(bytes, cuesSeek, ID.SEEK_POSITION)), cues.start);
+
+  // Every frame survives unchanged
+  assert.deepEqual(times(frames, VIDEO), range(0, 2000, 100));
+  assert.deepEqual(times(frames, AUDIO), range(0, 2000, 50));
+});
+
+// ============================================================
+// CUT
+// ============================================================
+
+test('cut starts each kept range at the keyframe before it and closes the gaps', async () => {
+  const file = WebM.parse(buildRecording());
+  const result = WebM.cut(file, [{ start: 0.2, end: 0.6 }, { start: 1.3, end: 1.8 }]);
+  const { frames } = await readOutput(result.blob);
+
+  // 0.2 snaps back to 0 and 1.3 to 1.0: 0.6 s + 0.8 s
+  assert.equal(result.duration, 1.4);
+  assert.deepEqual(times(frames, VIDEO), range(0, 1400, 100));
+  assert.deepEqual(times(frames, AUDIO), range(0, 1400, 50));
+
+  // The second range begins with the keyframe recorded at 1000 ms, now at 600 ms
+  const resumed = frames.find(frame => frame.track === VIDEO && frame.time === 600);
+  assert.equal(resumed.keyframe, true);
+  assert.deepEqual(resumed.data, Array.from(payload(VIDEO, 1000)));
+  const lastAudio = frames.filter(frame => frame.track === AUDIO).pop();
+  assert.deepEqual(lastAudio.data, Array.from(payload(AUDIO, 1750)));
+});
+
+test('cut merges ranges that overlap once snapped to keyframes', () => {
+  const file = WebM.parse(buildRecording());
+  const result = WebM.cut(file, [{ start: 1.1, end: 1.4 }, { start: 1.2, end: 1.9 }]);
+
+  assert.equal(result.duration, 0.9);
+});
+
+// ============================================================
+// ALIGN
+// ============================================================
+
+/**
+ * Audio-only track recording: a frame every 20 ms from firstTime
+ */
+function buildTrack(codecId, firstTime) {
+  const frames = range(firstTime, firstTime + 200, 20).map(time => ({ track: 1, time, keyframe: true }));
+  return WebM.parse(buildStream([[1, 2, codecId]], frames));
+}
+
+test('align pads a late Opus track with silence up to its offset', async () => {
+  const result = WebM.align(buildTrack('A_OPUS', 0), 0.1);
+  const { frames } = await readOutput(result.blob);
+
+  assert.deepEqual(times(frames, 1), range(0, 300, 20));
+  frames.slice(0, 5).forEach(frame => assert.deepEqual(frame.data, [0xF8, 0xFF, 0xFE]));
+  assert.deepEqual(frames[5].data, Array.from(payload(1, 0)));
+  assert.equal(result.duration, 0.28);
+});
+
+test('align moves the first frame to the offset even when the track starts late', async () => {
+  const result = WebM.align(buildTrack('A_OPUS', 7), 0.1);
+  const { frames } = await readOutput(result.blob);
+
+  assert.deepEqual(frames[5].data, Array.from(payload(1, 7)));
+  assert.equal(frames[5].time, 100);
+});
+
+test('align trims the start of a track that began before the video', async () => {
+  const result = WebM.align(buildTrack('A_OPUS', 0), -0.04);
+  const { frames } = await readOutput(result.blob);
+
+  assert.deepEqual(times(frames, 1), range(0, 160, 20));
+  assert.deepEqual(frames[0].data, Array.from(payload(1, 40)));
+});
+
+test('align leaves a gap instead of silence for other codecs', async () => {
+  const result = WebM.align(buildTrack('A_VORBIS', 0), 0.1);
+  const { frames } = await readOutput(result.blob);
+
+  assert.deepEqual(times(frames, 1), range(100, 300, 20));
+  assert.deepEqual(frames[0].data, Array.from(payload(1, 0)));
+});
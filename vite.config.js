@@ -7,8 +7,10 @@ export default defineConfig({
       // specify all HTML entry points you want Vite to copy/build
       input: {
         popup: resolve(__dirname, 'src/presentation/popup/popup.html'),
-        preview: resolve(__dirname, "src/presentation/preview/preview.html")
-        // options: resolve(__dirname, 'options.html'),
+        preview: resolve(__dirname, "src/presentation/preview/preview.html"),
+        library: resolve(__dirname, 'src/presentation/library/library.html'),
+        offscreen: resolve(__dirname, 'src/application/offscreen/offscreen.html'),
+        options: resolve(__dirname, 'src/presentation/options/options.html')
         // background: resolve(__dirname, 'background.html'),
       }
     },